@@ -0,0 +1,374 @@
+/**
+ * Test app routes and their assertions
+ *
+ * Finds the routes a test app actually has (app/ or pages/ directory, plus
+ * its middleware) and checks what each one returns, beyond the status code:
+ * pages must be HTML, API routes JSON, and some routes have their own
+ * assertions (CHECKS).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { request, sleep } = require('./next-server');
+const { emptyDiagnostics } = require('./runtime-diagnostics');
+
+const SOURCE = /\.(tsx|ts|jsx|js)$/;
+
+// ISO timestamps rendered by /ssr, /ssg and /api/test
+const TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z/g;
+
+/**
+ * Timestamps in a response body, in order
+ */
+function timestamps(body) {
+  return body.toString().match(TIMESTAMP) || [];
+}
+
+// Body posted to /api/echo
+const ECHO_PAYLOAD = { message: 'hello riscv64', numbers: [1, 2, 3], nested: { ok: true } };
+
+/**
+ * Keys missing from or added to the diagnostics schema, as "section.key"
+ */
+function schemaDifferences(actual, expected = emptyDiagnostics()) {
+  return Object.keys({ ...expected, ...actual }).flatMap(key => {
+    if (!(key in actual)) return [`missing ${key}`];
+    if (!(key in expected)) return [`unexpected ${key}`];
+    const isSection = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isSection(expected[key])) return [];
+    if (!isSection(actual[key])) return [`${key} is not an object`];
+    return schemaDifferences(actual[key], expected[key]).map(problem => problem.replace(/^(\w+) /, `$1 ${key}.`));
+  });
+}
+
+/**
+ * Form fields as a multipart/form-data body
+ */
+function multipart(fields) {
+  const boundary = `----riscv64-${crypto.randomBytes(8).toString('hex')}`;
+  const parts = Object.entries(fields).map(([name, value]) =>
+    `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`);
+  return { type: `multipart/form-data; boundary=${boundary}`, body: `${parts.join('')}--${boundary}--\r\n` };
+}
+
+/**
+ * Per-route assertions
+ *
+ * `check` gets the first response and the context ({ url, baseUrl, mode,
+ * expectArch, timeoutMs }); it returns a failure message or null. The first
+ * request goes to `path` (required for dynamic routes, default the route
+ * itself) with the `request` options, and must answer 200 with `type`
+ * (default HTML for pages, JSON for API routes). A route with `compilers`
+ * is skipped when the app was built with another compiler path.
+ */
+const CHECKS = {
+  '/api/test': {
+    description: `reports the server's architecture`,
+    check: (res, { expectArch }) => {
+      const arch = JSON.parse(res.body).serverInfo?.arch;
+      return arch === expectArch ? null : `serverInfo.arch is ${JSON.stringify(arch)}, expected "${expectArch}"`;
+    }
+  },
+  '/ssr': {
+    description: 'renders fresh timestamps for every request',
+    check: async (res, { url, timeoutMs }) => {
+      const first = timestamps(res.body);
+      if (first.length === 0) return 'no timestamp in the page';
+
+      await sleep(50);
+      const second = timestamps((await request(url, { timeoutMs })).body);
+      const repeated = first.filter(stamp => second.includes(stamp));
+      return repeated.length === 0 ? null : `timestamp ${repeated[0]} repeated in a second request`;
+    }
+  },
+  '/ssg': {
+    description: 'serves the build-time timestamp unchanged',
+    // `next dev` runs getStaticProps on every request
+    modes: ['start'],
+    check: async (res, { url, timeoutMs }) => {
+      const first = timestamps(res.body);
+      if (first.length === 0) return 'no timestamp in the page';
+
+      await sleep(50);
+      const second = timestamps((await request(url, { timeoutMs })).body);
+      return second.join() === first.join() ? null : `timestamp changed between requests (${first[0]} -> ${second[0] || 'none'})`;
+    }
+  },
+  '/api/diagnostics': {
+    description: 'returns the diagnostics schema without errors',
+    check: (res, { expectArch }) => {
+      const diagnostics = JSON.parse(res.body);
+      const differences = schemaDifferences(diagnostics);
+      if (differences.length > 0) return `schema differs: ${differences.slice(0, 3).join(', ')}`;
+      if (diagnostics.errors.length > 0) return diagnostics.errors.map(error => `${error.section}: ${error.message}`).join('; ');
+      if (diagnostics.runtime.arch !== expectArch) return `runtime.arch is ${JSON.stringify(diagnostics.runtime.arch)}, expected "${expectArch}"`;
+      if (!(diagnostics.cpu.cores >= 1)) return `cpu.cores is ${diagnostics.cpu.cores}`;
+      if (expectArch === 'riscv64' && !/^rv64/.test(diagnostics.cpu.isa || '')) return `cpu.isa is ${JSON.stringify(diagnostics.cpu.isa)}`;
+      return null;
+    }
+  },
+  '/api/echo': {
+    description: 'echoes a POSTed JSON body and rejects GET',
+    request: {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(ECHO_PAYLOAD)
+    },
+    check: async (res, { url, timeoutMs }) => {
+      const received = JSON.stringify(JSON.parse(res.body).received);
+      if (received !== JSON.stringify(ECHO_PAYLOAD)) return `echoed ${received}`;
+
+      const get = await request(url, { timeoutMs });
+      return get.status === 405 ? null : `GET answered HTTP ${get.status}, expected 405`;
+    }
+  },
+  '/api/stream': {
+    description: 'streams its lines as they are written',
+    type: 'text/plain',
+    check: (res) => {
+      const lines = res.body.toString().trim().split('\n');
+      const total = Number(/^chunk \d+\/(\d+)/.exec(lines[0])?.[1]);
+      if (!total || lines.length !== total || lines.some((line, i) => !line.startsWith(`chunk ${i + 1}/${total} `))) {
+        return `unexpected body ${JSON.stringify(lines.slice(0, 2))}...`;
+      }
+
+      // A buffered body arrives with the headers; the route waits 200ms between lines
+      const spreadMs = res.durationMs - res.ttfbMs;
+      return spreadMs >= (total - 1) * 150 ? null : `body complete ${Math.round(spreadMs)}ms after the headers, it was buffered`;
+    }
+  },
+  '/api/edge': {
+    description: 'runs on the Edge runtime with Web Crypto',
+    check: (res) => {
+      const { runtime, sha256 } = JSON.parse(res.body);
+      if (runtime !== 'edge-runtime') return `runtime is ${JSON.stringify(runtime)}, expected "edge-runtime"`;
+
+      const expected = crypto.createHash('sha256').update('riscv64').digest('hex');
+      return sha256 === expected ? null : `SHA-256 of "riscv64" is ${JSON.stringify(sha256)}, expected ${expected}`;
+    }
+  },
+  middleware: {
+    description: 'adds its response header and redirects',
+    path: '/',
+    check: async (res, { baseUrl, timeoutMs }) => {
+      if (res.headers['x-riscv64-middleware'] !== 'edge') {
+        return 'no x-riscv64-middleware header on /';
+      }
+
+      const redirect = await request(`${baseUrl}/middleware-redirect`, { timeoutMs });
+      const location = redirect.headers.location || '';
+      if (redirect.status === 307 && new URL(location, baseUrl).pathname === '/about') return null;
+      return `/middleware-redirect answered HTTP ${redirect.status}${location ? ` -> ${location}` : ''}, expected 307 -> /about`;
+    }
+  },
+  '/isr': {
+    description: 'regenerates the page after its revalidate interval',
+    // `next dev` renders the page on every request
+    modes: ['start'],
+    check: async (res, { url, timeoutMs }) => {
+      const cacheControl = res.headers['cache-control'] || '';
+      const maxAge = /s-maxage=(\d+)/.exec(cacheControl)?.[1];
+      if (!maxAge) return `cache-control is ${JSON.stringify(cacheControl)}, expected s-maxage=<revalidate>`;
+      const first = timestamps(res.body)[0];
+      if (!first) return 'no timestamp in the page';
+
+      // A request after the interval triggers the regeneration and gets the
+      // stale page; one of the next ones gets the new page
+      await sleep(Number(maxAge) * 1000 + 500);
+      const deadline = Date.now() + Math.min(timeoutMs, 60000);
+      while (Date.now() < deadline) {
+        const current = timestamps((await request(url, { timeoutMs })).body)[0];
+        if (current && current !== first) return null;
+        await sleep(500);
+      }
+      return `timestamp ${first} not regenerated ${maxAge}s after it was due`;
+    }
+  },
+  '/posts/[slug]': {
+    description: 'serves the generated slugs and 404s the others',
+    path: '/posts/hello-riscv64',
+    check: async (res, { baseUrl, timeoutMs }) => {
+      if (!res.body.toString().includes('Hello from riscv64')) return 'post title missing from /posts/hello-riscv64';
+
+      const missing = await request(`${baseUrl}/posts/not-a-post`, { timeoutMs });
+      return missing.status === 404 ? null : `/posts/not-a-post answered HTTP ${missing.status}, expected 404`;
+    }
+  },
+  '/font': {
+    description: 'applies and serves its next/font/local font',
+    // Babel builds serve a stand-in page (lib/next-swc-select.js)
+    compilers: ['native', 'wasm'],
+    check: async (res, { baseUrl, timeoutMs }) => {
+      const html = res.body.toString();
+      // A preload <link>, or under `next dev` the RSC payload of the app router
+      const href = /\/_next\/static\/media\/[^"\\]+\.ttf/.exec(html)?.[0];
+      if (!href) return 'no /_next/static/media font in the page';
+      if (!/class="[^"]*__className_/.test(html)) return 'no next/font class name in the page';
+
+      const font = await request(baseUrl + href, { timeoutMs });
+      if (font.status !== 200) return `${href} answered HTTP ${font.status}`;
+      return font.body.length >= 4 && font.body.readUInt32BE(0) === 0x00010000 ? null : `${href} is not a TrueType font`;
+    }
+  },
+  '/actions': {
+    description: 'runs the server action of a form post',
+    check: async (res, { url, baseUrl, expectArch, timeoutMs }) => {
+      const actionId = /name="(\$ACTION_ID_[0-9a-f]+)"/.exec(res.body.toString())?.[1];
+      if (!actionId) return 'no server action form in the page';
+
+      // What a browser without JavaScript sends
+      const form = multipart({ [actionId]: '', message: 'hello riscv64' });
+      const post = await request(url, {
+        method: 'POST',
+        headers: { 'content-type': form.type, origin: baseUrl },
+        body: form.body,
+        timeoutMs
+      });
+      const location = post.headers.location || '';
+      const expected = `/actions?echo=HELLO%20RISCV64&arch=${expectArch}`;
+      if (post.status === 303 && location === expected) return null;
+      return `form post answered HTTP ${post.status}${location ? ` -> ${location}` : ''}, expected 303 -> ${expected}`;
+    }
+  }
+};
+
+function walk(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(full) : [full];
+  });
+}
+
+/**
+ * Routes of an app: { router: 'app'|'pages', routes: [{ path, kind, dynamic }] }
+ *
+ * Dynamic routes keep their pattern (/posts/[slug]); private files (_app,
+ * _components/) and parallel routes (@modal) are left out, route groups
+ * ((marketing)) do not appear in the path. A middleware file adds a
+ * `middleware` route.
+ */
+function discoverRoutes(appDir) {
+  const routes = [];
+  const appRoot = ['app', 'src/app'].map(dir => path.join(appDir, dir)).find(dir => fs.existsSync(dir));
+  const pagesRoot = ['pages', 'src/pages'].map(dir => path.join(appDir, dir)).find(dir => fs.existsSync(dir));
+
+  if (appRoot) {
+    for (const file of walk(appRoot)) {
+      const name = path.basename(file).replace(SOURCE, '');
+      if (!SOURCE.test(file) || (name !== 'page' && name !== 'route')) continue;
+
+      const segments = path.relative(appRoot, path.dirname(file)).split(path.sep).filter(Boolean);
+      if (segments.some(segment => segment.startsWith('_') || segment.startsWith('@'))) continue;
+
+      const routePath = '/' + segments.filter(segment => !/^\(.*\)$/.test(segment)).join('/');
+      routes.push({ path: routePath, kind: name === 'route' ? 'api' : 'page', dynamic: routePath.includes('[') });
+    }
+  }
+
+  if (pagesRoot) {
+    for (const file of walk(pagesRoot)) {
+      const segments = path.relative(pagesRoot, file).replace(SOURCE, '').split(path.sep);
+      if (!SOURCE.test(file) || segments.some(segment => segment.startsWith('_'))) continue;
+
+      if (segments[segments.length - 1] === 'index') segments.pop();
+      const routePath = '/' + segments.join('/');
+      routes.push({ path: routePath, kind: segments[0] === 'api' ? 'api' : 'page', dynamic: routePath.includes('[') });
+    }
+  }
+
+  if (!appRoot && !pagesRoot) {
+    throw new Error(`No app/ or pages/ directory in ${appDir}`);
+  }
+
+  routes.sort((a, b) => a.path.localeCompare(b.path));
+  if (['', 'src'].some(dir => ['middleware.ts', 'middleware.js'].some(file => fs.existsSync(path.join(appDir, dir, file))))) {
+    routes.push({ path: 'middleware', kind: 'middleware', dynamic: false });
+  }
+  return { router: appRoot ? 'app' : 'pages', routes };
+}
+
+/**
+ * Compiler path the server's next.config.js selected (native, wasm or
+ * babel), as its /api/diagnostics reports it; null if it does not say
+ */
+async function selectedCompiler(baseUrl, { timeoutMs = 300000 } = {}) {
+  try {
+    const res = await request(`${baseUrl}/api/diagnostics`, { timeoutMs });
+    return res.status === 200 ? JSON.parse(res.body).swc?.selected || null : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Request a route and run its assertions
+ *
+ * Returns a test case for lib/report.js: { name, status, durationMs,
+ * message, metrics }. A failed assertion fails the case; a request that
+ * never answers is an error. Dynamic routes without a CHECKS path, and
+ * routes that need another compiler than `compiler`, are skipped.
+ */
+async function checkRoute(baseUrl, route, { mode = 'start', expectArch = 'riscv64', timeoutMs = 300000, compiler = null } = {}) {
+  const spec = CHECKS[route.path];
+  if (route.dynamic && !spec?.path) {
+    return { name: route.path, status: 'skipped', durationMs: null, message: 'dynamic route without a sample path in CHECKS', metrics: {} };
+  }
+  if (compiler && spec?.compilers && !spec.compilers.includes(compiler)) {
+    return { name: route.path, status: 'skipped', durationMs: null, message: `needs ${spec.compilers.join(' or ')}, built with ${compiler}`, metrics: {} };
+  }
+
+  const url = baseUrl + (spec?.path || route.path);
+  let res;
+  try {
+    res = await request(url, { ...spec?.request, timeoutMs });
+  } catch (error) {
+    return { name: route.path, status: 'error', durationMs: null, message: error.message, metrics: {} };
+  }
+
+  const result = {
+    name: route.path,
+    status: 'passed',
+    durationMs: Math.round(res.durationMs),
+    message: null,
+    metrics: { 'HTTP code': res.status }
+  };
+  const fail = message => ({ ...result, status: 'failed', message });
+
+  if (res.status !== 200) {
+    return fail(`HTTP ${res.status}`);
+  }
+
+  const type = res.headers['content-type'] || '';
+  const expectedType = spec?.type || (route.kind === 'api' ? 'application/json' : 'text/html');
+  if (!type.startsWith(expectedType)) {
+    return fail(`content-type ${type || 'missing'}, expected ${expectedType}`);
+  }
+  if (expectedType === 'application/json') {
+    try {
+      JSON.parse(res.body);
+    } catch (error) {
+      return fail(`invalid JSON: ${error.message}`);
+    }
+  }
+
+  if (spec && (!spec.modes || spec.modes.includes(mode))) {
+    try {
+      const problem = await spec.check(res, { url, baseUrl, mode, expectArch, timeoutMs });
+      if (problem) return fail(`${spec.description}: ${problem}`);
+      result.message = spec.description;
+    } catch (error) {
+      return { ...result, status: 'error', message: `${spec.description}: ${error.message}` };
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  CHECKS,
+  timestamps,
+  discoverRoutes,
+  selectedCompiler,
+  checkRoute
+};
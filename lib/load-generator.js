@@ -0,0 +1,147 @@
+/**
+ * HTTP load generator
+ *
+ * Closed-loop load: `concurrency` clients each send a request, wait for the
+ * answer and send the next one until the duration is over, over keep-alive
+ * connections. Records every latency, errors by kind and a per-second
+ * timeline. Node built-ins only.
+ */
+
+const http = require('http');
+const { performance } = require('perf_hooks');
+const { request } = require('./next-server');
+
+/**
+ * Nearest-rank percentile of sorted values
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+/**
+ * Latency summary in milliseconds
+ */
+function summarizeLatency(latencies) {
+  if (latencies.length === 0) return null;
+
+  const sorted = Float64Array.from(latencies).sort();
+  const round = value => Number(value.toFixed(2));
+  return {
+    min: round(sorted[0]),
+    mean: round(sorted.reduce((a, b) => a + b, 0) / sorted.length),
+    p50: round(percentile(sorted, 50)),
+    p90: round(percentile(sorted, 90)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Load a URL for `durationMs` with `concurrency` clients
+ *
+ * Every `sampleIntervalMs`, `sample()` (if given) is called and its value
+ * stored in the timeline, e.g. the server's RSS. A request counts as an
+ * error if it fails or answers with a status outside 2xx/3xx; `warmupMs` of
+ * load before the measurement is not recorded.
+ *
+ * Returns { requests, durationMs, rps, bytes, latency, errors: { count,
+ * rate, byKind }, timeline: [{ second, requests, errors, sample }] }.
+ */
+async function runLoad(url, {
+  concurrency = 10,
+  durationMs = 30000,
+  warmupMs = 0,
+  timeoutMs = 30000,
+  sample = null,
+  sampleIntervalMs = 1000
+} = {}) {
+  const agent = new http.Agent({ keepAlive: true, maxSockets: concurrency });
+
+  const load = async (ms, record) => {
+    const end = performance.now() + ms;
+    const client = async () => {
+      while (performance.now() < end) {
+        const start = performance.now();
+        try {
+          const res = await request(url, { agent, timeoutMs });
+          record(start, performance.now() - start, res.status < 400 ? null : `HTTP ${res.status}`, res.body.length);
+        } catch (error) {
+          record(start, performance.now() - start, error.code || error.message, 0);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, client));
+  };
+
+  try {
+    if (warmupMs > 0) {
+      await load(warmupMs, () => {});
+    }
+
+    const latencies = [];
+    const byKind = {};
+    const timeline = [];
+    let bytes = 0;
+    let errors = 0;
+
+    const begin = performance.now();
+    const bucket = (time) => {
+      const second = Math.floor((time - begin) / 1000);
+      while (timeline.length <= second) {
+        timeline.push({ second: timeline.length, requests: 0, errors: 0, sample: null });
+      }
+      return timeline[second];
+    };
+
+    const sampler = sample && setInterval(() => {
+      bucket(performance.now()).sample = sample();
+    }, sampleIntervalMs);
+    if (sample) bucket(begin).sample = sample();
+
+    try {
+      await load(durationMs, (start, latency, error, size) => {
+        const slot = bucket(start);
+        slot.requests++;
+        if (error) {
+          slot.errors++;
+          errors++;
+          byKind[error] = (byKind[error] || 0) + 1;
+        } else {
+          latencies.push(latency);
+          bytes += size;
+        }
+      });
+    } finally {
+      clearInterval(sampler);
+    }
+
+    // Requests still in flight at the end can start a slot past the duration
+    const elapsed = performance.now() - begin;
+    const lastSecond = Math.max(0, Math.ceil(durationMs / 1000) - 1);
+    for (const late of timeline.splice(lastSecond + 1)) {
+      timeline[lastSecond].requests += late.requests;
+      timeline[lastSecond].errors += late.errors;
+    }
+    if (sample) bucket(begin + lastSecond * 1000).sample = sample();
+
+    const requests = latencies.length + errors;
+    return {
+      requests,
+      durationMs: Math.round(elapsed),
+      rps: Number((requests / (elapsed / 1000)).toFixed(1)),
+      bytes,
+      latency: summarizeLatency(latencies),
+      errors: { count: errors, rate: requests > 0 ? Number((errors / requests).toFixed(4)) : 0, byKind },
+      timeline
+    };
+  } finally {
+    agent.destroy();
+  }
+}
+
+module.exports = {
+  percentile,
+  summarizeLatency,
+  runLoad
+};
@@ -0,0 +1,138 @@
+/**
+ * Known native modules and their riscv64 status
+ *
+ * Loads the compatibility database (docs/native-deps.json): the modules
+ * audited in docs/NATIVE-DEPS-AUDIT.md, in the audit's support categories,
+ * with the remediation to suggest when a project depends on one. The audit
+ * tables are generated from it (scripts/compat-db.js). Modules not listed
+ * there are classified from what is found on disk (see lib/native-scan.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DB_FILE = path.join(__dirname, '..', 'docs', 'native-deps.json');
+const SCHEMA_VERSION = 1;
+
+const STATUSES = {
+  prebuilt: { label: 'Prebuilt', icon: '✅', rank: 0 },
+  wasm: { label: 'WASM works', icon: '🟢', rank: 1 },
+  source: { label: 'Build from source', icon: '🔧', rank: 2 },
+  'no-support': { label: 'No support', icon: '⛔', rank: 3 },
+  broken: { label: 'Broken', icon: '❌', rank: 4 }
+};
+
+const REQUIRED_FIELDS = ['name', 'packages', 'status', 'language', 'difficulty', 'tables', 'remediation'];
+const DIFFICULTY = /^(Easy|Medium|Hard|N\/A)\b/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Problems with a compatibility database, as messages (empty when valid)
+ */
+function validateDatabase(db) {
+  const errors = [];
+
+  if (db.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion is ${db.schemaVersion}, expected ${SCHEMA_VERSION}`);
+  }
+  if (!DATE.test(db.updated || '')) {
+    errors.push('updated must be a YYYY-MM-DD date');
+  }
+  if (!Array.isArray(db.tables) || !Array.isArray(db.modules)) {
+    errors.push('tables and modules must be lists');
+    return errors;
+  }
+
+  const tableIds = new Set(db.tables.map(table => table.id));
+  const names = new Set();
+
+  db.modules.forEach((module, index) => {
+    const where = `modules[${index}] (${module.name || 'unnamed'})`;
+
+    const missing = REQUIRED_FIELDS.filter(field => module[field] === undefined || module[field] === '');
+    if (missing.length > 0) errors.push(`${where}: missing ${missing.join(', ')}`);
+
+    if (names.has(module.name)) errors.push(`${where}: duplicate module`);
+    names.add(module.name);
+
+    if (module.status && !STATUSES[module.status]) {
+      errors.push(`${where}: unknown status "${module.status}" (use ${Object.keys(STATUSES).join(', ')})`);
+    }
+    if (module.difficulty && !DIFFICULTY.test(module.difficulty)) {
+      errors.push(`${where}: difficulty must start with Easy, Medium, Hard or N/A`);
+    }
+    if (module.packages && (!Array.isArray(module.packages) || module.packages.length === 0)) {
+      errors.push(`${where}: packages must be a non-empty list`);
+    }
+    if (module.tables) {
+      const tables = Object.keys(module.tables);
+      if (tables.length === 0) errors.push(`${where}: not listed in any table`);
+      for (const table of tables.filter(table => !tableIds.has(table))) {
+        errors.push(`${where}: unknown table "${table}"`);
+      }
+    }
+    if (module.workarounds && !Array.isArray(module.workarounds)) {
+      errors.push(`${where}: workarounds must be a list of commands`);
+    }
+    if (module.lastTested) {
+      for (const field of ['date', 'hardware', 'result'].filter(field => !module.lastTested[field])) {
+        errors.push(`${where}: lastTested.${field} is missing`);
+      }
+      if (module.lastTested.date && !DATE.test(module.lastTested.date)) {
+        errors.push(`${where}: lastTested.date must be a YYYY-MM-DD date`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read and validate a compatibility database
+ */
+function loadDatabase(file = DB_FILE) {
+  let db;
+  try {
+    db = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read compatibility database ${file}: ${error.message}`);
+  }
+
+  const errors = validateDatabase(db);
+  if (errors.length > 0) {
+    throw new Error(`Invalid compatibility database ${file}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return db;
+}
+
+const MODULES = loadDatabase().modules;
+
+/**
+ * Whether a package name matches a catalogue pattern (`*` matches any suffix)
+ */
+function matchesPattern(name, pattern) {
+  return pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern;
+}
+
+/**
+ * Catalogue entry for a package name, or null
+ *
+ * Entries with `scan: false` (pure JS modules with an optional addon) are
+ * only listed in the audit tables.
+ */
+function findModule(packageName) {
+  return MODULES.find(entry =>
+    entry.scan !== false &&
+    (entry.name === packageName || entry.packages.some(pattern => matchesPattern(packageName, pattern)))
+  ) || null;
+}
+
+module.exports = {
+  DB_FILE,
+  STATUSES,
+  MODULES,
+  findModule,
+  loadDatabase,
+  validateDatabase
+};
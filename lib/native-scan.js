@@ -0,0 +1,398 @@
+/**
+ * Native dependency scanner
+ *
+ * Finds the native dependencies of a project from its package-lock.json and
+ * its node_modules tree, and classifies each one for riscv64 in the support
+ * categories of lib/native-modules.js. Either source is enough on its own:
+ * the lockfile lists platform packages npm did not install, node_modules
+ * shows what was actually built or downloaded.
+ *
+ * Evidence looked for:
+ *   - binding.gyp or `gypfile: true` (node-gyp build)
+ *   - compiled `.node` files
+ *   - node-pre-gyp (`binary`), napi-rs (`napi`) and prebuildify (`prebuilds/`) manifests
+ *   - optionalDependencies whose packages carry `os`/`cpu` constraints
+ *     (one package per platform, e.g. @next/swc-linux-x64-gnu)
+ *   - install scripts together with a native build/loader dependency
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATUSES, findModule } = require('./native-modules');
+
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json'];
+
+// Dependencies that only native packages have
+const NATIVE_TOOLING = [
+  'node-gyp',
+  'node-gyp-build',
+  'node-pre-gyp',
+  '@mapbox/node-pre-gyp',
+  'prebuild-install',
+  'bindings',
+  'nan',
+  'node-addon-api',
+  '@napi-rs/cli'
+];
+
+// Platform words in package names, for platform packages without os/cpu metadata
+const PLATFORM_NAME = /(?:^|[-/])(darwin|linux|win32|windows|freebsd|android|openharmony|sunos|wasm32|wasi)(?:$|-)/;
+
+const MAX_NODE_FILES = 5;
+const MAX_DEPTH = 8;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+const packageNameFromPath = lockPath => lockPath.slice(lockPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+
+/**
+ * Load a package-lock.json as a map of install path to entry
+ *
+ * Lockfile v1 nests dependencies; they are flattened into v2-style paths.
+ */
+function readLockfile(file) {
+  const lock = readJson(file);
+  if (!lock) {
+    throw new Error(`Cannot read lockfile: ${file}`);
+  }
+
+  const entries = new Map();
+
+  if (lock.packages) {
+    for (const [lockPath, entry] of Object.entries(lock.packages)) {
+      if (lockPath !== '' && !entry.link) entries.set(lockPath, entry);
+    }
+  } else if (lock.dependencies) {
+    const flatten = (dependencies, prefix) => {
+      for (const [name, entry] of Object.entries(dependencies)) {
+        const lockPath = `${prefix}node_modules/${name}`;
+        entries.set(lockPath, { ...entry, dependencies: entry.requires || {} });
+        if (entry.dependencies) flatten(entry.dependencies, `${lockPath}/`);
+      }
+    };
+    flatten(lock.dependencies, '');
+  }
+
+  return { file, lockfileVersion: lock.lockfileVersion || 1, entries };
+}
+
+/**
+ * Every package directory under node_modules, including nested and scoped ones
+ */
+function listInstalled(projectDir) {
+  const installed = [];
+
+  const walk = (modulesDir, prefix) => {
+    let names;
+    try {
+      names = fs.readdirSync(modulesDir);
+    } catch (error) {
+      return;
+    }
+
+    for (const name of names) {
+      if (name.startsWith('.')) continue;
+
+      if (name.startsWith('@')) {
+        for (const scoped of fs.readdirSync(path.join(modulesDir, name))) {
+          visit(path.join(modulesDir, name, scoped), `${prefix}node_modules/${name}/${scoped}`);
+        }
+      } else {
+        visit(path.join(modulesDir, name), `${prefix}node_modules/${name}`);
+      }
+    }
+  };
+
+  const visit = (dir, lockPath) => {
+    const pkg = readJson(path.join(dir, 'package.json'));
+    if (!pkg) return;
+    installed.push({ lockPath, dir, pkg });
+    walk(path.join(dir, 'node_modules'), `${lockPath}/`);
+  };
+
+  walk(path.join(projectDir, 'node_modules'), '');
+  return installed;
+}
+
+/**
+ * Compiled .node files inside a package (not its dependencies)
+ */
+function findNodeFiles(dir) {
+  const found = [];
+
+  const walk = (current, depth) => {
+    if (depth > MAX_DEPTH || found.length >= MAX_NODE_FILES) return;
+
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (found.length >= MAX_NODE_FILES) return;
+      if (entry.isDirectory() && entry.name !== 'node_modules') {
+        walk(path.join(current, entry.name), depth + 1);
+      } else if (entry.isFile() && entry.name.endsWith('.node')) {
+        found.push(path.relative(dir, path.join(current, entry.name)));
+      }
+    }
+  };
+
+  walk(dir, 0);
+  return found;
+}
+
+/**
+ * Native evidence from an installed package directory
+ */
+function inspectInstalled(dir, pkg) {
+  const evidence = [];
+  const prebuilds = [];
+
+  if (fs.existsSync(path.join(dir, 'binding.gyp'))) evidence.push('binding.gyp');
+  if (pkg.gypfile) evidence.push('gypfile');
+  if (pkg.binary?.module_name || pkg.binary?.host) evidence.push('node-pre-gyp manifest');
+  if (pkg.napi) evidence.push('napi-rs manifest');
+
+  const prebuildsDir = path.join(dir, 'prebuilds');
+  if (fs.existsSync(prebuildsDir)) {
+    prebuilds.push(...fs.readdirSync(prebuildsDir).filter(name => !name.startsWith('.')));
+    evidence.push(`prebuilds/ (${prebuilds.join(', ') || 'empty'})`);
+  }
+
+  const nodeFiles = findNodeFiles(dir);
+  if (nodeFiles.length > 0) evidence.push(`.node files: ${nodeFiles.join(', ')}`);
+
+  return { evidence, prebuilds };
+}
+
+/**
+ * Native build/loader tooling a package depends on
+ */
+function nativeTooling(manifest) {
+  const dependencies = { ...manifest.dependencies, ...manifest.optionalDependencies };
+  return NATIVE_TOOLING.filter(name => dependencies[name]);
+}
+
+/**
+ * The platform package behind an optional dependency, if it is one
+ *
+ * Uses the lockfile's os/cpu constraints, or the package name when the
+ * lockfile does not have the entry.
+ */
+function platformTarget(name, parentPath, lockfile, installed) {
+  const candidates = [`${parentPath}/node_modules/${name}`, `node_modules/${name}`];
+  const entry = lockfile && candidates.map(candidate => lockfile.entries.get(candidate)).find(Boolean);
+  const manifest = entry || candidates.map(candidate => installed.get(candidate)?.pkg).find(Boolean);
+
+  if (manifest?.os || manifest?.cpu) {
+    return { name, os: manifest.os || [], cpu: manifest.cpu || [], libc: manifest.libc || [] };
+  }
+
+  const match = name.match(PLATFORM_NAME);
+  if (!match) return null;
+
+  const cpu = name.match(/riscv64|x64|arm64|ia32|arm|ppc64|s390x|loong64|wasm32/)?.[0];
+  return { name, os: match[1] === 'wasm32' || match[1] === 'wasi' ? [] : [match[1]], cpu: cpu ? [cpu] : [], libc: [] };
+}
+
+const isRiscv64Target = target => target.cpu.includes('riscv64') && (target.os.length === 0 || target.os.includes('linux'));
+const isWasmTarget = target => target.cpu.includes('wasm32') || /wasm32|wasi/.test(target.name);
+const supportsLinux = manifest => !manifest.os || manifest.os.some(os => os === 'linux' || os === '!win32' || os === '!darwin');
+
+/**
+ * Classify one native module for riscv64
+ */
+function classify(group) {
+  const catalogue = group.catalogue;
+  const riscv64Target = group.targets.find(isRiscv64Target);
+  const wasmTarget = group.targets.find(isWasmTarget);
+  const riscv64Prebuild = group.prebuilds.find(name => /^linux-riscv64/.test(name));
+  const result = (status, reason, remediation) => ({ status, reason, remediation });
+
+  // A published riscv64 binary wins over the audit, unless the audit found it broken
+  if ((riscv64Target || riscv64Prebuild) && catalogue?.status !== 'broken') {
+    return result('prebuilt',
+      riscv64Target ? `Platform package ${riscv64Target.name}` : `Bundled prebuild ${riscv64Prebuild}`,
+      'None needed');
+  }
+
+  if (catalogue) {
+    return result(catalogue.status, `Audited (docs/NATIVE-DEPS-AUDIT.md, ${catalogue.language})`, catalogue.remediation);
+  }
+
+  if (group.linuxUnsupported) {
+    return result('no-support', 'Restricted to other operating systems', 'Platform-specific and optional on Linux; nothing to do unless it is required');
+  }
+
+  if (wasmTarget) {
+    return result('wasm', `WASM package ${wasmTarget.name}`, `npm install --cpu=wasm32 ${group.name}`);
+  }
+
+  if (group.evidence.some(item => /binding\.gyp|gypfile|node-pre-gyp|install script/.test(item))) {
+    return result('source', 'Compiled with node-gyp during install',
+      `Install build-essential and python3, then npm rebuild ${group.name} --build-from-source`);
+  }
+
+  if (group.targets.length > 0 || group.evidence.some(item => /napi-rs/.test(item))) {
+    return result('source', 'No linux-riscv64 binary published',
+      'Build the native sources for riscv64gc-unknown-linux-gnu, or look for a pure JS/WASM alternative');
+  }
+
+  return result('source', 'Ships prebuilt binaries for other platforms only',
+    `Rebuild ${group.name} from source on riscv64, or look for a pure JS/WASM alternative`);
+}
+
+/**
+ * Scan a project for native dependencies
+ *
+ * Options: `lockfile` to use a lockfile other than the project's own.
+ */
+function scanProject(projectDir, { lockfile: lockfileOption = null } = {}) {
+  const root = path.resolve(projectDir);
+  const lockfilePath = lockfileOption
+    ? path.resolve(lockfileOption)
+    : LOCKFILES.map(name => path.join(root, name)).find(file => fs.existsSync(file)) || null;
+  const lockfile = lockfilePath ? readLockfile(lockfilePath) : null;
+  const installed = new Map(listInstalled(root).map(item => [item.lockPath, item]));
+
+  if (!lockfile && installed.size === 0) {
+    throw new Error(`No package-lock.json or node_modules found in ${root}`);
+  }
+
+  // Every package, from both sources, keyed by install path
+  const lockPaths = new Set([...(lockfile?.entries.keys() || []), ...installed.keys()]);
+  const packages = [...lockPaths].map(lockPath => {
+    const entry = lockfile?.entries.get(lockPath) || null;
+    const local = installed.get(lockPath) || null;
+    const manifest = local?.pkg || entry;
+    return {
+      lockPath,
+      name: local?.pkg.name || entry?.name || packageNameFromPath(lockPath),
+      version: local?.pkg.version || entry?.version || null,
+      entry,
+      local,
+      manifest
+    };
+  });
+
+  // Platform packages are reported as part of the module they build, which is
+  // the package depending on them unless the audit names the family (next
+  // depends on @next/swc-*, reported as @next/swc)
+  const ownerOfTarget = new Map();
+  const familyOf = new Map();
+  for (const item of packages) {
+    const optional = Object.keys(item.manifest.optionalDependencies || {});
+    const targets = optional.map(name => platformTarget(name, item.lockPath, lockfile, installed)).filter(Boolean);
+    if (targets.length === 0) continue;
+
+    const owner = findModule(item.name)?.name || findModule(targets[0].name)?.name || item.name;
+    familyOf.set(item.lockPath, { owner, targets });
+    for (const target of targets) ownerOfTarget.set(target.name, owner);
+  }
+
+  const groups = new Map();
+  const groupFor = name => {
+    if (!groups.has(name)) {
+      groups.set(name, {
+        name,
+        catalogue: findModule(name),
+        packages: [],
+        requiredBy: new Set(),
+        evidence: new Set(),
+        targets: [],
+        prebuilds: [],
+        linuxUnsupported: false
+      });
+    }
+    return groups.get(name);
+  };
+
+  for (const item of packages) {
+    const inspected = item.local ? inspectInstalled(item.local.dir, item.local.pkg) : { evidence: [], prebuilds: [] };
+    const evidence = [...inspected.evidence];
+
+    const tooling = nativeTooling(item.manifest);
+    if (tooling.length > 0 && (item.entry?.hasInstallScript || item.manifest.scripts?.install || evidence.length > 0)) {
+      evidence.push(`install script with ${tooling.join(', ')}`);
+    }
+
+    const catalogue = findModule(item.name);
+    const family = familyOf.get(item.lockPath);
+    const targetOwner = ownerOfTarget.get(item.name);
+
+    if (family) {
+      const group = groupFor(family.owner);
+      group.targets.push(...family.targets);
+      group.evidence.add(`optionalDependencies for ${family.targets.length} platforms`);
+      if (family.owner !== item.name && !catalogue) {
+        // e.g. next for @next/swc: it pulls the module in but is not native itself
+        group.requiredBy.add(item.name);
+        continue;
+      }
+    }
+
+    if (evidence.length === 0 && !catalogue && !targetOwner && !family) continue;
+
+    const group = groupFor(catalogue?.name || targetOwner || item.name);
+    if (!group.packages.some(pkg => pkg.name === item.name && pkg.version === item.version)) {
+      group.packages.push({
+        name: item.name,
+        version: item.version,
+        path: item.lockPath,
+        installed: Boolean(item.local),
+        platform: Boolean(targetOwner) && targetOwner !== item.name
+      });
+    }
+
+    // Platform packages only add their constraints; their own .node files are expected
+    if (targetOwner && targetOwner !== item.name) continue;
+
+    evidence.forEach(value => group.evidence.add(value));
+    group.prebuilds.push(...inspected.prebuilds);
+    if (!supportsLinux(item.manifest)) group.linuxUnsupported = true;
+  }
+
+  const modules = [...groups.values()].map(group => {
+    const { status, reason, remediation } = classify({ ...group, evidence: [...group.evidence] });
+    return {
+      name: group.name,
+      status,
+      label: STATUSES[status].label,
+      source: group.catalogue ? 'audit' : 'detected',
+      packages: group.packages,
+      requiredBy: [...group.requiredBy],
+      evidence: [...group.evidence],
+      riscv64Targets: group.targets.filter(isRiscv64Target).map(target => target.name),
+      reason,
+      remediation
+    };
+  });
+
+  modules.sort((a, b) => STATUSES[b.status].rank - STATUSES[a.status].rank || a.name.localeCompare(b.name));
+
+  const counts = Object.fromEntries(Object.keys(STATUSES).map(status => [status, 0]));
+  modules.forEach(module => counts[module.status]++);
+
+  return {
+    project: root,
+    lockfile: lockfile ? { file: lockfile.file, version: lockfile.lockfileVersion } : null,
+    nodeModules: installed.size > 0,
+    packagesScanned: packages.length,
+    modules,
+    counts
+  };
+}
+
+module.exports = {
+  findNodeFiles,
+  scanProject
+};
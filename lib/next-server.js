@@ -0,0 +1,289 @@
+/**
+ * Next.js server helpers
+ *
+ * Start `next start` / `next dev` for a test app on a free port, wait until
+ * it actually answers, make timed HTTP requests and shut it down again,
+ * along with anything it forked.
+ * Node built-ins only, so it runs on a fresh riscv64 board.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+const { performance } = require('perf_hooks');
+
+/**
+ * Ask the OS for a free TCP port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Timed HTTP request
+ *
+ * Resolves with status, headers, body and timings (time to first byte and
+ * total). Network errors reject; HTTP error statuses do not. Pass a
+ * keep-alive `agent` to reuse connections.
+ */
+function request(url, { method = 'GET', headers = {}, body = null, timeoutMs = 60000, agent = undefined } = {}) {
+  return new Promise((resolve, reject) => {
+    const start = performance.now();
+    let ttfbMs = null;
+
+    const req = http.request(url, { method, headers, agent, timeout: timeoutMs }, (res) => {
+      ttfbMs = performance.now() - start;
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks),
+          ttfbMs,
+          durationMs: performance.now() - start
+        });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Request timed out after ${timeoutMs}ms: ${url}`)));
+    req.on('error', reject);
+
+    if (body) req.write(body);
+    req.end();
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll a URL until the server answers (any HTTP status below 500)
+ *
+ * Fails early if the server process exits while we wait.
+ */
+async function waitForReady(url, { timeoutMs = 120000, intervalMs = 500, child = null } = {}) {
+  const start = Date.now();
+  let lastError = null;
+
+  while (Date.now() - start < timeoutMs) {
+    if (child && child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode} before becoming ready`);
+    }
+
+    try {
+      const res = await request(url, { timeoutMs: Math.max(intervalMs * 4, 5000) });
+      if (res.status < 500) {
+        return Date.now() - start;
+      }
+      lastError = new Error(`HTTP ${res.status}`);
+    } catch (error) {
+      lastError = error;
+    }
+
+    await sleep(intervalMs);
+  }
+
+  throw new Error(`Server not ready after ${timeoutMs}ms (${lastError ? lastError.message : 'no response'})`);
+}
+
+/**
+ * Resolve the `next` CLI installed in an app
+ */
+function resolveNextBin(appDir) {
+  try {
+    return require.resolve('next/dist/bin/next', { paths: [appDir] });
+  } catch (error) {
+    throw new Error(`Next.js is not installed in ${appDir} (run npm install first)`);
+  }
+}
+
+/**
+ * Signal every process of a group; false if none is left
+ */
+function signalGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Process groups of running servers, killed if we exit or are interrupted
+const running = new Set();
+
+function killRunning() {
+  for (const pid of running) signalGroup(pid, 'SIGKILL');
+}
+
+function onSignal(signal) {
+  killRunning();
+  process.exit(128 + os.constants.signals[signal]);
+}
+
+function track(pid) {
+  if (running.size === 0) {
+    process.on('exit', killRunning);
+    process.on('SIGINT', onSignal);
+    process.on('SIGTERM', onSignal);
+  }
+  running.add(pid);
+}
+
+function untrack(pid) {
+  running.delete(pid);
+  if (running.size === 0) {
+    process.off('exit', killRunning);
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  }
+}
+
+/**
+ * Resident memory of a process group in bytes (Linux; null elsewhere)
+ *
+ * Sums VmRSS over every process of the group, so servers that fork
+ * workers are measured as a whole.
+ */
+function processGroupRss(pgid) {
+  if (!fs.existsSync('/proc/self/stat')) return null;
+
+  let total = 0;
+  for (const entry of fs.readdirSync('/proc').filter(name => /^\d+$/.test(name))) {
+    try {
+      // Fields after "(comm)": state ppid pgrp ...
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      if (Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[2]) !== pgid) continue;
+
+      const rss = fs.readFileSync(`/proc/${entry}/status`, 'utf8').match(/^VmRSS:\s+(\d+) kB/m);
+      if (rss) total += Number(rss[1]) * 1024;
+    } catch (error) {
+      // The process exited while we looked
+    }
+  }
+  return total;
+}
+
+/**
+ * Start a Next.js server for an app and wait until it is ready
+ *
+ * Returns { url, port, pid, startupMs, child, logs, rss, stop }; rss() is the
+ * resident memory of the server and its children. Server output is kept in
+ * memory (and optionally written to `logFile`) for diagnostics.
+ */
+async function startNextServer(appDir, {
+  command = 'start',
+  port = null,
+  env = {},
+  readyPath = '/',
+  timeoutMs = 120000,
+  logFile = null
+} = {}) {
+  const serverPort = port || await getFreePort();
+  const nextBin = resolveNextBin(appDir);
+  const output = [];
+  const logStream = logFile ? fs.createWriteStream(logFile) : null;
+
+  // In its own process group: `next dev` forks the actual server, which
+  // would outlive a signal sent to the CLI process alone
+  const child = spawn(process.execPath, [nextBin, command, '-p', String(serverPort), '-H', '127.0.0.1'], {
+    cwd: appDir,
+    env: { ...process.env, NEXT_TELEMETRY_DISABLED: '1', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    detached: true
+  });
+  track(child.pid);
+
+  const collect = (chunk) => {
+    output.push(chunk.toString());
+    if (logStream) logStream.write(chunk);
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+
+  const url = `http://127.0.0.1:${serverPort}`;
+
+  const stop = () => new Promise((resolve) => {
+    const finish = () => {
+      // Whatever the server forked and left behind
+      signalGroup(child.pid, 'SIGKILL');
+      untrack(child.pid);
+      if (logStream) logStream.end();
+      resolve();
+    };
+
+    if (child.exitCode !== null || child.signalCode !== null) {
+      finish();
+      return;
+    }
+
+    const forceKill = setTimeout(() => signalGroup(child.pid, 'SIGKILL'), 10000);
+    child.once('exit', () => {
+      clearTimeout(forceKill);
+      finish();
+    });
+    signalGroup(child.pid, 'SIGTERM');
+  });
+
+  try {
+    const startupMs = await waitForReady(url + readyPath, { timeoutMs, child });
+    return {
+      url,
+      port: serverPort,
+      pid: child.pid,
+      startupMs,
+      child,
+      logs: () => output.join(''),
+      rss: () => processGroupRss(child.pid),
+      stop
+    };
+  } catch (error) {
+    await stop();
+    error.logs = output.join('');
+    throw error;
+  }
+}
+
+/**
+ * Check whether an app has a production build
+ */
+function hasBuild(appDir) {
+  return fs.existsSync(path.join(appDir, '.next', 'BUILD_ID'));
+}
+
+/**
+ * Build an app if it has no production build yet (or `force` is set)
+ */
+function ensureBuild(appDir, { force = false } = {}) {
+  if (hasBuild(appDir) && !force) {
+    return;
+  }
+
+  console.log(`  Building ${path.basename(appDir)} (next build)...`);
+  execFileSync('npm', ['run', 'build'], { cwd: appDir, stdio: 'inherit' });
+}
+
+module.exports = {
+  getFreePort,
+  request,
+  waitForReady,
+  resolveNextBin,
+  processGroupRss,
+  startNextServer,
+  hasBuild,
+  ensureBuild,
+  sleep
+};
@@ -0,0 +1,269 @@
+/**
+ * Next.js SWC loader patch
+ *
+ * Next.js only loads native SWC for the platforms listed by
+ * getSupportedArchTriples() in node_modules/next/dist/build/swc/index.js, and
+ * linux/riscv64 is not one of them. The patch adds a `riscv64` entry to its
+ * `linux` block. The function is found structurally, so the same code patches
+ * the arrow function of Next 13.x/14.x and the function declaration of 15.x.
+ *
+ * The bundled @napi-rs/triples names the arch `riscv64gc` up to 13.x and
+ * `riscv64` from 14.x, which also changes the binding package Next.js looks
+ * for (@next/swc-linux-riscv64gc-gnu vs @next/swc-linux-riscv64-gnu).
+ *
+ * The added line carries a marker with the Next.js version it was made for and
+ * a hash of the unpatched file, so the patch can be verified and reverted:
+ *
+ *   riscv64: linux.riscv64, // nextjs-riscv64-patch next@14.2.35 sha256:0123456789ab
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const MARKER = 'nextjs-riscv64-patch';
+const LOADER = path.join('node_modules', 'next', 'dist', 'build', 'swc', 'index.js');
+const TRIPLES = path.join('node_modules', 'next', 'dist', 'compiled', '@napi-rs', 'triples');
+const ARCH_KEYS = ['riscv64', 'riscv64gc'];
+
+const DEFINITION = /(?:(?:const|let|var)\s+getSupportedArchTriples\s*=\s*\(\)\s*=>\s*|function\s+getSupportedArchTriples\s*\(\)\s*)\{/;
+const MARKED_LINE = new RegExp(`^[ \\t]*riscv64\\s*:\\s*linux\\.(\\w+),?\\s*// ${MARKER} next@(\\S+) sha256:([0-9a-f]+)[ \\t]*\\n`, 'm');
+const RISCV64_LINE = /^[ \t]*riscv64\s*:\s*([^\n]*?),?[ \t]*\n/m;
+const LEGACY_VALUE = 'linux.riscv64gc';
+
+// Where `hook` copies the postinstall runner in projects outside this repository
+const VENDOR_DIR = 'nextjs-riscv64';
+// A postinstall command that applies the patch, in any form `hook` has written
+const HOOK_COMMAND = /patch-next-swc-loader\.js\s+apply|(?:nextjs-riscv64|patches)\/postinstall\.c?js/;
+
+const STATES = {
+  missing: 'Next.js is not installed',
+  unsupported: 'getSupportedArchTriples() not found in the loader (unknown layout)',
+  'no-triple': 'The bundled @napi-rs/triples has no linux riscv64 entry',
+  unpatched: 'Not patched',
+  patched: 'Patched',
+  stale: 'Patched for another Next.js version',
+  legacy: 'Patched without a marker (apply-nextjs-patch.sh or sed)',
+  upstream: 'riscv64 already supported by this Next.js'
+};
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Index of the brace closing the one at `open`, skipping strings and comments
+ */
+function matchBrace(source, open) {
+  let depth = 0;
+
+  for (let i = open; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '/' && source[i + 1] === '/') {
+      i = source.indexOf('\n', i);
+      if (i === -1) break;
+    } else if (char === '/' && source[i + 1] === '*') {
+      i = source.indexOf('*/', i + 2) + 1;
+      if (i === 0) break;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      for (i++; i < source.length && source[i] !== char; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Span of the `linux: { ... }` block inside getSupportedArchTriples(), or null
+ */
+function findLinuxBlock(source) {
+  const definition = DEFINITION.exec(source);
+  if (!definition) return null;
+
+  const bodyOpen = definition.index + definition[0].length - 1;
+  const bodyClose = matchBrace(source, bodyOpen);
+  if (bodyClose === -1) return null;
+
+  const linux = /\blinux\s*:\s*\{/g;
+  linux.lastIndex = bodyOpen;
+  const match = linux.exec(source);
+  if (!match || match.index > bodyClose) return null;
+
+  const open = match.index + match[0].length - 1;
+  const close = matchBrace(source, open);
+  return close === -1 ? null : { open, close };
+}
+
+/**
+ * Arch key and binding package for linux/riscv64 in the bundled triples
+ */
+function riscv64Triple(projectDir) {
+  const triplesDir = path.join(projectDir, TRIPLES);
+  if (!fs.existsSync(triplesDir)) return null;
+
+  const { linux } = require(triplesDir).platformArchTriples;
+  const key = ARCH_KEYS.find(candidate => Array.isArray(linux[candidate]) && linux[candidate].length > 0);
+  if (!key) return null;
+
+  const abi = linux[key].find(triple => triple.abi === 'gnu') || linux[key][0];
+  return {
+    key,
+    bindingPackage: `@next/swc-${abi.platformArchABI}`,
+    binary: `next-swc.${abi.platformArchABI}.node`
+  };
+}
+
+/**
+ * Patch state of a project's loader
+ *
+ * Returns { state, message, loader, nextVersion, patchedFor, key,
+ * bindingPackage, binary } where state is one of STATES.
+ */
+function inspect(projectDir) {
+  projectDir = path.resolve(projectDir);
+  const loader = path.join(projectDir, LOADER);
+  const manifest = path.join(projectDir, 'node_modules', 'next', 'package.json');
+  const result = { state: 'missing', loader, nextVersion: null, patchedFor: null, key: null, bindingPackage: null, binary: null };
+
+  if (!fs.existsSync(manifest) || !fs.existsSync(loader)) {
+    return { ...result, message: STATES.missing };
+  }
+  result.nextVersion = JSON.parse(fs.readFileSync(manifest, 'utf8')).version;
+
+  const triple = riscv64Triple(projectDir);
+  if (triple) Object.assign(result, triple);
+
+  const source = fs.readFileSync(loader, 'utf8');
+  const block = findLinuxBlock(source);
+  const linuxBlock = block ? source.slice(block.open, block.close) : null;
+
+  let state;
+  if (!block) {
+    state = 'unsupported';
+  } else if (MARKED_LINE.test(linuxBlock)) {
+    const [, , version] = linuxBlock.match(MARKED_LINE);
+    result.patchedFor = version;
+    state = version === result.nextVersion ? 'patched' : 'stale';
+  } else if (RISCV64_LINE.test(linuxBlock)) {
+    state = linuxBlock.match(RISCV64_LINE)[1].trim() === LEGACY_VALUE ? 'legacy' : 'upstream';
+  } else {
+    state = triple ? 'unpatched' : 'no-triple';
+  }
+
+  return { ...result, state, message: STATES[state] };
+}
+
+/**
+ * Loader source without our (or the legacy) riscv64 line
+ */
+function withoutPatch(source) {
+  const block = findLinuxBlock(source);
+  const linuxBlock = source.slice(block.open, block.close);
+  const line = linuxBlock.match(MARKED_LINE) || linuxBlock.match(RISCV64_LINE);
+  if (!line) return source;
+
+  const start = block.open + line.index;
+  return source.slice(0, start) + source.slice(start + line[0].length);
+}
+
+/**
+ * Add the riscv64 entry; returns the new state and whether the file changed
+ */
+function apply(projectDir) {
+  const status = inspect(projectDir);
+
+  if (['missing', 'unsupported', 'no-triple'].includes(status.state)) {
+    throw new Error(`Cannot patch ${status.loader}: ${status.message}`);
+  }
+  if (['patched', 'upstream'].includes(status.state)) {
+    return { ...status, changed: false };
+  }
+
+  const pristine = withoutPatch(fs.readFileSync(status.loader, 'utf8'));
+  const block = findLinuxBlock(pristine);
+  const linuxBlock = pristine.slice(block.open, block.close);
+
+  // After the arm64 entry, or first in the block
+  const arm64 = linuxBlock.match(/^([ \t]*)arm64\s*:[^\n]*\n/m);
+  let at;
+  let indent;
+  if (arm64) {
+    at = block.open + arm64.index + arm64[0].length;
+    indent = arm64[1];
+  } else {
+    at = pristine.indexOf('\n', block.open) + 1;
+    indent = pristine.slice(at).match(/^[ \t]*/)[0];
+  }
+
+  const line = `${indent}riscv64: linux.${status.key}, // ${MARKER} next@${status.nextVersion} sha256:${hash(pristine)}\n`;
+  fs.writeFileSync(status.loader, pristine.slice(0, at) + line + pristine.slice(at));
+
+  return { ...inspect(projectDir), changed: true };
+}
+
+/**
+ * Remove the riscv64 entry
+ *
+ * Returns the new state, whether the file changed, and whether the result
+ * matches the hash recorded when the patch was applied (null if unknown).
+ */
+function revert(projectDir) {
+  const status = inspect(projectDir);
+  if (!['patched', 'stale', 'legacy'].includes(status.state)) {
+    return { ...status, changed: false, pristine: null };
+  }
+
+  const source = fs.readFileSync(status.loader, 'utf8');
+  const block = findLinuxBlock(source);
+  const recorded = source.slice(block.open, block.close).match(MARKED_LINE)?.[3];
+  const restored = withoutPatch(source);
+  fs.writeFileSync(status.loader, restored);
+
+  return { ...inspect(projectDir), changed: true, pristine: recorded ? hash(restored) === recorded : null };
+}
+
+/**
+ * Check that the patch is in place for the installed Next.js and that the
+ * loader now returns a linux/riscv64 triple; returns a list of problems
+ */
+function verify(projectDir) {
+  const status = inspect(projectDir);
+  if (status.state !== 'patched') {
+    return [`${status.message}${status.patchedFor ? ` (next@${status.patchedFor}, installed ${status.nextVersion})` : ''}`];
+  }
+
+  const check = `
+    const { getSupportedArchTriples } = require(${JSON.stringify(status.loader)});
+    const triples = getSupportedArchTriples().linux.riscv64 || [];
+    console.log(triples.map(triple => triple.platformArchABI).join(','));
+  `;
+  const result = spawnSync(process.execPath, ['-e', check], { cwd: projectDir, encoding: 'utf8', timeout: 60000 });
+  if (result.status !== 0) {
+    const output = (result.stderr || result.error?.message || '').trim().split('\n');
+    return [`Loading the patched loader failed: ${output.find(line => /Error/.test(line)) || output[0]}`];
+  }
+  if (!result.stdout.trim()) {
+    return ['getSupportedArchTriples().linux.riscv64 is empty'];
+  }
+  return [];
+}
+
+module.exports = {
+  MARKER,
+  LOADER,
+  STATES,
+  VENDOR_DIR,
+  HOOK_COMMAND,
+  inspect,
+  apply,
+  revert,
+  verify
+};
@@ -0,0 +1,342 @@
+/**
+ * Native-or-WASM SWC selection for Next.js on riscv64
+ *
+ * A missing or broken riscv64 SWC binding otherwise only shows up as an
+ * opaque "Failed to load SWC binary" from Next.js. This picks the first
+ * compiler path that works, in order:
+ *
+ *   native  the riscv64 binding the patched loader looks for (see
+ *           lib/next-swc-patch.js), if it loads in a child process and
+ *           exports the API Next.js calls
+ *   wasm    @next/swc-wasm-nodejs, if installed and this Next.js falls back
+ *           to it (13.x after a native load error, 15.x with
+ *           experimental.useWasmBinary; 14.x never does)
+ *   babel   the project's Babel config with SWC minification off (13.x
+ *           only; 14.x and later load SWC even with a Babel config), unless
+ *           the project imports next/font, which Babel cannot compile
+ *
+ * and explains the choice in one line. withRiscv64Swc() applies it to a
+ * next.config.js:
+ *
+ *   const { withRiscv64Swc } = require('/path/to/nextjs-riscv64/lib/next-swc-select');
+ *   module.exports = withRiscv64Swc({ ... });
+ *
+ * NEXT_RISCV64_SWC=native|wasm|babel forces a path, and
+ * NEXT_RISCV64_SWC_MINIFY=on|off overrides swcMinify (before 15.x).
+ *
+ * Modules only SWC can compile (next/font) are named X.swc.tsx, with an
+ * X.babel.tsx next to them that Babel builds get instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { inspect } = require('./next-swc-patch');
+
+const PATHS = ['native', 'wasm', 'babel'];
+const WASM_PACKAGE = '@next/swc-wasm-nodejs';
+const FORCE_ENV = 'NEXT_RISCV64_SWC';
+const RESULT_ENV = 'NEXT_RISCV64_SWC_SELECTED';
+const MINIFY_ENV = 'NEXT_RISCV64_SWC_MINIFY';
+
+// What Next.js calls on each kind of binding (build/swc/index.js)
+const NATIVE_API = ['transform', 'transformSync', 'minify', 'minifySync', 'parse'];
+const WASM_API = ['transformSync', 'minifySync', 'parseSync'];
+
+const BABEL_CONFIGS = [
+  '.babelrc', '.babelrc.json', '.babelrc.js', '.babelrc.cjs',
+  'babel.config.js', 'babel.config.json', 'babel.config.cjs', 'babel.config.mjs'
+];
+
+// Modules with a Babel stand-in, X.swc.tsx -> X.babel.tsx
+const SWC_ONLY = /\.swc\.(tsx|ts|jsx|js)$/;
+const SOURCE = /\.(tsx|ts|jsx|js|mjs|cjs)$/;
+// What Next.js refuses to compile with Babel (build/babel/plugins/next-font-unsupported.js)
+const NEXT_FONT_IMPORT = /\bfrom\s*['"](?:@next|next)\/font\/(?:local|google)['"]/;
+
+// Load failures, from the most specific message
+const LOAD_ERRORS = [
+  { kind: 'missing file', test: /Cannot find module/ },
+  { kind: 'wrong architecture', test: /invalid ELF header|wrong ELF class|ELF file's machine|Exec format error/ },
+  { kind: 'ABI mismatch', test: /undefined symbol|NODE_MODULE_VERSION|GLIBC\w*_[\d.]+' not found|napi_/ }
+];
+
+/**
+ * Load a binding in a child process, so a crash cannot take Next.js down
+ *
+ * Returns { functions } on success, { problem } otherwise.
+ */
+function probe(file, cwd) {
+  const script = `
+    try {
+      const binding = require(${JSON.stringify(file)});
+      console.log(JSON.stringify({ functions: Object.keys(binding).filter(name => typeof binding[name] === 'function') }));
+    } catch (error) {
+      console.log(JSON.stringify({ error: error.message }));
+    }
+  `;
+  const result = spawnSync(process.execPath, ['-e', script], { cwd, encoding: 'utf8', timeout: 60000 });
+
+  if (result.signal) {
+    const hint = result.signal === 'SIGILL' ? ', built for CPU extensions this machine lacks?' : '';
+    return { problem: `crashed: ${result.signal} while loading${hint}` };
+  }
+  let output;
+  try {
+    output = JSON.parse(result.stdout.trim().split('\n').pop());
+  } catch (error) {
+    return { problem: `load error: ${(result.stderr || result.error?.message || 'no output').trim().split('\n')[0]}` };
+  }
+  if (output.error) {
+    const message = output.error.split('\n')[0].replace(`${file}: `, '');
+    const kind = LOAD_ERRORS.find(entry => entry.test.test(message))?.kind || 'load error';
+    return { problem: `${kind}: ${message}` };
+  }
+  return { functions: output.functions };
+}
+
+/**
+ * Problem with a probed binding's API, or null
+ */
+function apiProblem(functions, expected) {
+  const missing = expected.filter(name => !functions.includes(name));
+  return missing.length > 0 ? `API mismatch: does not export ${missing.join(', ')}` : null;
+}
+
+/**
+ * Next.js only warns about a binding made for another version, and its
+ * options may not match
+ */
+function versionWarning(version, nextVersion) {
+  return version && version !== nextVersion ? `built for next@${version}, installed ${nextVersion}` : null;
+}
+
+function packageVersion(dir) {
+  const manifest = path.join(dir, 'package.json');
+  return fs.existsSync(manifest) ? JSON.parse(fs.readFileSync(manifest, 'utf8')).version : null;
+}
+
+/**
+ * Can the loader Next.js ships reach the riscv64 binding?
+ */
+function checkNative(projectDir, loader) {
+  const usable = loader.state === 'patched' || loader.state === 'upstream' ||
+    (loader.state === 'legacy' && loader.key === 'riscv64gc');
+  if (!usable) {
+    return { problem: `loader ${loader.message.toLowerCase()} (run patches/patch-next-swc-loader.js apply)` };
+  }
+
+  const dir = path.join(projectDir, 'node_modules', loader.bindingPackage);
+  const file = path.join(dir, loader.binary);
+  const label = `${loader.bindingPackage}${packageVersion(dir) ? ` ${packageVersion(dir)}` : ''}`;
+  if (!fs.existsSync(file)) {
+    return { label, problem: `missing file: ${path.relative(projectDir, file)}` };
+  }
+
+  const result = probe(file, projectDir);
+  const problem = result.problem || apiProblem(result.functions, NATIVE_API);
+  if (problem) return { label, problem };
+
+  return { label, warning: versionWarning(packageVersion(dir), loader.nextVersion) };
+}
+
+/**
+ * Is @next/swc-wasm-nodejs installed, loadable, and reachable from this Next.js?
+ */
+function checkWasm(projectDir, loader, nativeProblem) {
+  const major = parseInt(loader.nextVersion, 10);
+  const dir = path.join(projectDir, 'node_modules', WASM_PACKAGE);
+  const label = `${WASM_PACKAGE}${packageVersion(dir) ? ` ${packageVersion(dir)}` : ''}`;
+
+  if (major === 14) {
+    return { label, problem: 'Next.js 14 does not fall back to WASM' };
+  }
+  // 13.x only tries WASM after the native binding throws, not after a crash or a bad API
+  if (major <= 13 && nativeProblem && /^(crashed|API mismatch)/.test(nativeProblem)) {
+    return { label, problem: `Next.js ${major} would load the native binding first` };
+  }
+  if (!fs.existsSync(path.join(dir, 'wasm.js'))) {
+    return { label, problem: `not installed (npm install --save-optional ${WASM_PACKAGE})` };
+  }
+
+  const result = probe(path.join(dir, 'wasm.js'), projectDir);
+  const problem = result.problem || apiProblem(result.functions, WASM_API);
+  return problem ? { label, problem } : { label, warning: versionWarning(packageVersion(dir), loader.nextVersion) };
+}
+
+/**
+ * The Babel stand-in of an X.swc.tsx module, if it has one
+ */
+function babelFallback(file) {
+  const fallback = file.replace(SWC_ONLY, '.babel.$1');
+  return SWC_ONLY.test(file) && fs.existsSync(fallback) ? fallback : null;
+}
+
+/**
+ * Project files a Babel build would compile that import next/font
+ *
+ * X.swc.tsx modules with an X.babel.tsx are left out: Babel builds get the
+ * stand-in.
+ */
+function nextFontImports(projectDir) {
+  const found = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!entry.name.startsWith('.') && entry.name !== 'node_modules') walk(file);
+      } else if (SOURCE.test(entry.name) && !babelFallback(file) && NEXT_FONT_IMPORT.test(fs.readFileSync(file, 'utf8'))) {
+        found.push(path.relative(projectDir, file));
+      }
+    }
+  };
+  walk(projectDir);
+  return found.sort();
+}
+
+/**
+ * Why a Babel build of the project would fail, or null
+ */
+function babelProblem(projectDir) {
+  const fonts = nextFontImports(projectDir);
+  if (fonts.length === 0) return null;
+  const more = fonts.length > 1 ? ` and ${fonts.length - 1} more` : '';
+  return `next/font needs SWC (${fonts[0]}${more}; move it to an X.swc.tsx with an X.babel.tsx next to it)`;
+}
+
+function checkBabel(projectDir, major) {
+  if (major >= 14) {
+    return { problem: `Next.js ${major} loads SWC even with a Babel config` };
+  }
+  const config = BABEL_CONFIGS.find(name => fs.existsSync(path.join(projectDir, name)));
+  if (!config) {
+    return { problem: 'no Babel config (add a .babelrc with {"presets": ["next/babel"]})' };
+  }
+  const problem = babelProblem(projectDir);
+  return problem ? { problem } : { label: config };
+}
+
+/**
+ * The compiler path for a project
+ *
+ * Returns { path, label, reason, nextVersion, forced } where path is one of
+ * PATHS, or null when nothing works.
+ */
+function selectSwc(projectDir = process.cwd()) {
+  projectDir = path.resolve(projectDir);
+  const loader = inspect(projectDir);
+  const major = parseInt(loader.nextVersion, 10);
+  const forced = process.env[FORCE_ENV];
+  const result = { path: null, label: null, reason: null, nextVersion: loader.nextVersion, forced: Boolean(forced) };
+
+  if (forced) {
+    if (!PATHS.includes(forced)) {
+      throw new Error(`${FORCE_ENV}=${forced}: expected one of ${PATHS.join(', ')}`);
+    }
+    return { ...result, path: forced, reason: `forced by ${FORCE_ENV}` };
+  }
+  if (loader.state === 'missing') {
+    return { ...result, reason: loader.message };
+  }
+  if (process.arch !== 'riscv64') {
+    return { ...result, path: 'native', label: `@next/swc for linux/${process.arch}`, reason: 'official binding' };
+  }
+
+  const native = checkNative(projectDir, loader);
+  if (!native.problem) {
+    const reason = native.warning ? `loads, but ${native.warning}` : 'loads and exports the expected API';
+    return { ...result, path: 'native', label: native.label, reason };
+  }
+
+  const failures = [`native${native.label ? ` ${native.label}` : ''}: ${native.problem}`];
+  const wasm = checkWasm(projectDir, loader, native.problem);
+  if (!wasm.problem) {
+    if (wasm.warning) failures.push(`WASM ${wasm.warning}`);
+    return { ...result, path: 'wasm', label: wasm.label, reason: failures.join('; ') };
+  }
+  failures.push(`WASM: ${wasm.problem}`);
+
+  const babel = checkBabel(projectDir, major);
+  if (!babel.problem) {
+    return { ...result, path: 'babel', label: babel.label, reason: failures.join('; ') };
+  }
+  failures.push(`Babel: ${babel.problem}`);
+  return { ...result, reason: failures.join('; ') };
+}
+
+/**
+ * One-line explanation of a selection
+ */
+function describe(selection) {
+  if (!selection.path) {
+    return `❌ SWC: no working compiler for Next.js ${selection.nextVersion || ''} - ${selection.reason}`;
+  }
+  const icon = selection.path === 'native' && !selection.forced ? '✅' : '⚠️ ';
+  return `${icon} SWC: ${selection.path}${selection.label ? ` (${selection.label})` : ''} - ${selection.reason}`;
+}
+
+/**
+ * Wrap a Next.js config so it uses the selected path
+ *
+ *   native  SWC transforms and minification, even if a .babelrc is present
+ *   wasm    SWC transforms through WASM, minification by Terser (before 15.x)
+ *   babel   Babel transforms, minification by Terser, X.swc.tsx modules
+ *           replaced by their X.babel.tsx
+ *
+ * The selection is made once and passed to Next.js worker processes through
+ * the environment, so it is printed once per build. Throws when nothing works.
+ * NEXT_RISCV64_SWC_MINIFY=on|off replaces the swcMinify default.
+ */
+function withRiscv64Swc(nextConfig = {}, { projectDir = process.cwd(), quiet = false } = {}) {
+  let selection;
+  if (process.env[RESULT_ENV]) {
+    selection = JSON.parse(process.env[RESULT_ENV]);
+  } else {
+    selection = selectSwc(projectDir);
+    process.env[RESULT_ENV] = JSON.stringify(selection);
+    if (!quiet && selection.path) console.log(describe(selection));
+  }
+
+  if (!selection.path) {
+    throw new Error(describe(selection));
+  }
+
+  const minify = process.env[MINIFY_ENV];
+  if (minify && minify !== 'on' && minify !== 'off') {
+    throw new Error(`${MINIFY_ENV}=${minify}: expected on or off`);
+  }
+
+  const major = parseInt(selection.nextVersion, 10);
+  const config = {
+    ...nextConfig,
+    experimental: { ...nextConfig.experimental, forceSwcTransforms: selection.path !== 'babel' }
+  };
+  if (major < 15) {
+    config.swcMinify = minify ? minify === 'on' : selection.path === 'native';
+  }
+  if (selection.path === 'wasm' && major >= 15) {
+    config.experimental.useWasmBinary = true;
+  }
+  if (selection.path === 'babel') {
+    config.webpack = (webpackConfig, context) => {
+      webpackConfig.plugins.push(new context.webpack.NormalModuleReplacementPlugin(SWC_ONLY, (resolved) => {
+        const fallback = resolved.createData?.resource && babelFallback(resolved.createData.resource);
+        if (fallback) resolved.createData.resource = fallback;
+      }));
+      return nextConfig.webpack ? nextConfig.webpack(webpackConfig, context) : webpackConfig;
+    };
+  }
+  return config;
+}
+
+module.exports = {
+  PATHS,
+  BABEL_CONFIGS,
+  NATIVE_API,
+  WASM_API,
+  probe,
+  babelProblem,
+  selectSwc,
+  describe,
+  withRiscv64Swc
+};
@@ -0,0 +1,317 @@
+/**
+ * Prebuild registry
+ *
+ * A self-hosted stand-in for the GitHub releases the installer downloads
+ * from, for labs without internet access. Each subdirectory of the registry
+ * directory is a release, served with the layout of GitHub release downloads:
+ *
+ *   GET  /index.json     releases, Next.js versions, packages and hashes
+ *   GET  /{tag}/{file}   a release asset (HEAD works too)
+ *   PUT  /{tag}/{file}   upload an asset (needs the registry token)
+ *
+ * so `scripts/install-riscv64-binaries.js --from=http://host:port` works
+ * unchanged. Release metadata comes from, in order: a release.json written by
+ * `publish --module --version`, the provenance.json written by
+ * scripts/package-native-swc.js, or the module release tag formats in
+ * docs/native-deps.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { MODULES } = require('./native-modules');
+
+const INDEX_VERSION = 1;
+const CHECKSUMS = 'SHA256SUMS';
+const PROVENANCE = 'provenance.json';
+const RELEASE_INFO = 'release.json';
+
+// Release tags and file names: one path segment, no dot files
+const NAME = /^[A-Za-z0-9][A-Za-z0-9._@+-]*$/;
+
+// Hashes of served files, keyed by path, size and mtime
+const hashes = new Map();
+
+function sha256(file) {
+  const stat = fs.statSync(file);
+  const key = `${file}:${stat.size}:${stat.mtimeMs}`;
+  if (!hashes.has(key)) {
+    hashes.set(key, crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex'));
+  }
+  return hashes.get(key);
+}
+
+/**
+ * Entries of a SHA256SUMS file as { file: hash }
+ */
+function parseChecksums(content) {
+  const sums = {};
+  for (const line of content.split('\n')) {
+    const match = line.trim().match(/^([0-9a-f]{64})\s+\*?(.+)$/i);
+    if (match) sums[path.basename(match[2])] = match[1].toLowerCase();
+  }
+  return sums;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Module, version and package of a release
+ */
+function releaseInfo(tag, dir) {
+  const info = readJson(path.join(dir, RELEASE_INFO));
+  if (info) {
+    return { module: info.module || null, version: info.version || null, build: info.build || null, package: info.package || null };
+  }
+
+  const provenance = readJson(path.join(dir, PROVENANCE));
+  const fromTag = MODULES.filter(module => module.release?.tag).map(module => {
+    const pattern = module.release.tag
+      .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+      .replace('{version}', '(?<version>.+?)')
+      .replace('{build}', '(?<build>\\d+)');
+    const match = tag.match(new RegExp(`^${pattern}$`));
+    return match && { module: module.name, version: match.groups.version, build: parseInt(match.groups.build, 10) };
+  }).find(Boolean);
+
+  if (provenance?.package) {
+    return {
+      module: '@next/swc',
+      version: provenance.package.version,
+      build: fromTag?.build || null,
+      package: provenance.package.name
+    };
+  }
+  return fromTag ? { ...fromTag, package: null } : { module: null, version: null, build: null, package: null };
+}
+
+/**
+ * Index entry of one release directory
+ */
+function describeRelease(registryDir, tag) {
+  const dir = path.join(registryDir, tag);
+  const names = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && NAME.test(entry.name))
+    .map(entry => entry.name)
+    .sort();
+
+  const files = names.map(name => ({
+    name,
+    size: fs.statSync(path.join(dir, name)).size,
+    sha256: sha256(path.join(dir, name)),
+    url: `/${tag}/${name}`
+  }));
+
+  // Every asset must be listed in SHA256SUMS with its actual hash
+  const problems = [];
+  if (!names.includes(CHECKSUMS)) {
+    problems.push(`no ${CHECKSUMS}`);
+  } else {
+    const sums = parseChecksums(fs.readFileSync(path.join(dir, CHECKSUMS), 'utf8'));
+    for (const file of files) {
+      if (file.name === CHECKSUMS || file.name === RELEASE_INFO) continue;
+      if (!sums[file.name]) {
+        problems.push(`${file.name} not in ${CHECKSUMS}`);
+      } else if (sums[file.name] !== file.sha256) {
+        problems.push(`${file.name} does not match ${CHECKSUMS}`);
+      }
+    }
+  }
+
+  return { tag, ...releaseInfo(tag, dir), verified: problems.length === 0, problems, files };
+}
+
+/**
+ * The registry index: every release, and the Next.js versions with an
+ * @next/swc binary
+ */
+function buildIndex(registryDir) {
+  const tags = fs.existsSync(registryDir)
+    ? fs.readdirSync(registryDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && NAME.test(entry.name))
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    : [];
+  const releases = tags.map(tag => describeRelease(registryDir, tag));
+
+  const swc = MODULES.find(module => module.name === '@next/swc');
+  const next = {};
+  for (const release of releases.filter(entry => entry.module === '@next/swc' && entry.version)) {
+    const binary = release.files.find(file => file.name === swc.release.binary);
+    (next[release.version] = next[release.version] || []).push({
+      tag: release.tag,
+      package: release.package,
+      binary: binary ? binary.name : null,
+      sha256: binary ? binary.sha256 : null,
+      verified: release.verified
+    });
+  }
+
+  return { schemaVersion: INDEX_VERSION, generated: new Date().toISOString(), releases, next };
+}
+
+function sendJson(res, status, body) {
+  const content = JSON.stringify(body, null, 2) + '\n';
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(content) });
+  res.end(content);
+}
+
+function authorized(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Store an upload next to its target, then move it into place
+ */
+async function receiveUpload(req, res, target, { force }) {
+  // A dot file, so the index never lists a half-written upload
+  const temp = path.join(path.dirname(target), `.${path.basename(target)}.upload-${crypto.randomBytes(4).toString('hex')}`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  try {
+    await pipeline(req, async function* (source) {
+      for await (const chunk of source) {
+        hash.update(chunk);
+        size += chunk.length;
+        yield chunk;
+      }
+    }, fs.createWriteStream(temp));
+
+    const digest = hash.digest('hex');
+    const expected = req.headers['x-checksum-sha256'];
+    if (expected && expected.toLowerCase() !== digest) {
+      return sendJson(res, 422, { error: `sha256 mismatch: sent ${expected}, received ${digest}` });
+    }
+
+    const result = { file: path.basename(target), size, sha256: digest };
+    if (fs.existsSync(target)) {
+      if (sha256(target) === digest) {
+        return sendJson(res, 200, { ...result, status: 'unchanged' });
+      }
+      if (!force) {
+        return sendJson(res, 409, { error: `${path.basename(target)} already exists with other content (publish with --force to replace it)` });
+      }
+    }
+    fs.renameSync(temp, target);
+    return sendJson(res, 201, { ...result, status: 'stored' });
+  } finally {
+    fs.rmSync(temp, { force: true });
+  }
+}
+
+/**
+ * HTTP server for a registry directory; uploads are refused without a token
+ */
+function createRegistryServer({ dir, token = null, log = console.log }) {
+  return http.createServer(async (req, res) => {
+    res.on('finish', () => log(`${req.method} ${req.url} ${res.statusCode}`));
+
+    try {
+      const url = new URL(req.url, 'http://registry');
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+      if (segments.length === 0 || (segments.length === 1 && segments[0] === 'index.json')) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return sendJson(res, 405, { error: 'Use GET' });
+        return sendJson(res, 200, buildIndex(dir));
+      }
+      if (segments.length > 2 || !segments.every(segment => NAME.test(segment))) {
+        return sendJson(res, 400, { error: 'Expected /index.json, /{tag}/ or /{tag}/{file}' });
+      }
+
+      const [tag, file] = segments;
+      if (!file) {
+        if (!fs.existsSync(path.join(dir, tag))) return sendJson(res, 404, { error: `No release ${tag}` });
+        return sendJson(res, 200, describeRelease(dir, tag));
+      }
+
+      const target = path.join(dir, tag, file);
+      if (req.method === 'PUT') {
+        if (!token) return sendJson(res, 403, { error: 'This registry is read-only (start it with --token to allow publishing)' });
+        if (!authorized(req, token)) return sendJson(res, 401, { error: 'Missing or wrong token' });
+        return await receiveUpload(req, res, target, { force: url.searchParams.has('force') });
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendJson(res, 405, { error: 'Use GET, HEAD or PUT' });
+      }
+      if (!fs.existsSync(target) || !fs.statSync(target).isFile()) {
+        return sendJson(res, 404, { error: `No ${file} in ${tag}` });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': file.endsWith('.json') ? 'application/json' : 'application/octet-stream',
+        'Content-Length': fs.statSync(target).size
+      });
+      if (req.method === 'HEAD') return res.end();
+      await pipeline(fs.createReadStream(target), res);
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      } else {
+        res.destroy(error);
+      }
+    }
+  });
+}
+
+/**
+ * Upload files to a release; SHA256SUMS goes last, so the release only
+ * verifies once everything has arrived
+ *
+ * `files` maps asset names to local paths or Buffers. Returns the server's
+ * answer for each file.
+ */
+async function publish(registryUrl, tag, files, { token, force = false, timeout = 300000 }) {
+  const names = Object.keys(files).sort((a, b) => (a === CHECKSUMS) - (b === CHECKSUMS));
+  const results = [];
+
+  for (const name of names) {
+    const content = files[name];
+    const isBuffer = Buffer.isBuffer(content);
+    const digest = isBuffer
+      ? crypto.createHash('sha256').update(content).digest('hex')
+      : sha256(content);
+    const url = `${registryUrl.replace(/\/+$/, '')}/${encodeURIComponent(tag)}/${encodeURIComponent(name)}${force ? '?force=1' : ''}`;
+
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(isBuffer ? content.length : fs.statSync(content).size),
+        'X-Checksum-Sha256': digest
+      },
+      body: isBuffer ? content : fs.createReadStream(content),
+      duplex: 'half',
+      signal: AbortSignal.timeout(timeout)
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${name}: HTTP ${response.status}${body.error ? `: ${body.error}` : ''}`);
+    }
+    results.push(body);
+  }
+  return results;
+}
+
+module.exports = {
+  CHECKSUMS,
+  RELEASE_INFO,
+  NAME,
+  parseChecksums,
+  buildIndex,
+  describeRelease,
+  createRegistryServer,
+  publish
+};
@@ -0,0 +1,757 @@
+/**
+ * Shared test reporting
+ *
+ * Every audit tool records its results in one schema and renders them through
+ * the same renderers: Markdown (following docs/testing/TEMPLATE.md), a
+ * standalone HTML page, CSV and JUnit XML for CI dashboards. The JSON form of
+ * the schema is itself a format, so saved reports can be read back
+ * (loadReport) and re-rendered later.
+ *
+ * Schema:
+ *   { schemaVersion, tool, title, date, application, tester, issue,
+ *     system: { hardware, arch, os, kernel, cpus, memory, node, npm },
+ *     packages: { name: version },
+ *     environment: 'free text shown as a code block',
+ *     suites: [{ name, command, status, durationMs, notes, metrics, log,
+ *                cases: [{ name, status, durationMs, message, metrics, log }] }],
+ *     metrics: { name: value },
+ *     issues: [{ severity: critical|warning|minor, description, impact, workaround }],
+ *     nativeDependencies: { name: status },
+ *     conclusion: { summary, recommendations: [], nextSteps: [] } }
+ *
+ * Statuses are passed, failed, error, skipped or warning.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+const SCHEMA_VERSION = 1;
+const STATUSES = ['passed', 'failed', 'error', 'skipped', 'warning'];
+const SEVERITIES = ['critical', 'warning', 'minor'];
+
+const STATUS_ICONS = {
+  passed: '✅',
+  failed: '❌',
+  error: '💥',
+  skipped: '⏭️',
+  warning: '⚠️'
+};
+
+const STATUS_LABELS = {
+  passed: 'Success',
+  failed: 'Failed',
+  error: 'Error',
+  skipped: 'Skipped',
+  warning: 'Warning'
+};
+
+const OVERALL_LABELS = {
+  success: '✅ Success',
+  partial: '⚠️ Partial Success',
+  failed: '❌ Failed'
+};
+
+/**
+ * Read a one-line file, or null
+ */
+function readFirstLine(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').replace(/\0/g, '').split('\n')[0].trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describe the machine the tests run on
+ */
+function collectSystemInfo() {
+  const osRelease = (() => {
+    try {
+      const match = fs.readFileSync('/etc/os-release', 'utf8').match(/^PRETTY_NAME="?([^"\n]*)"?$/m);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  })();
+
+  const npm = (() => {
+    try {
+      return execSync('npm --version', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 30000 }).trim();
+    } catch (error) {
+      return null;
+    }
+  })();
+
+  return {
+    // The device tree names boards such as the Banana Pi F3
+    hardware: readFirstLine('/proc/device-tree/model') || os.cpus()[0]?.model || null,
+    arch: os.arch(),
+    os: osRelease || `${os.type()} ${os.release()}`,
+    kernel: os.release(),
+    cpus: os.cpus().length,
+    memory: `${(os.totalmem() / 1024 / 1024 / 1024).toFixed(1)} GB`,
+    node: process.version,
+    npm
+  };
+}
+
+/**
+ * Create an empty report
+ */
+function createReport({ tool, title, application = null, tester = null, issue = null, system = collectSystemInfo() }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    tool,
+    title: title || tool,
+    date: new Date().toISOString(),
+    application,
+    tester,
+    issue,
+    system,
+    packages: {},
+    environment: null,
+    suites: [],
+    metrics: {},
+    issues: [],
+    nativeDependencies: {},
+    conclusion: { summary: null, recommendations: [], nextSteps: [] }
+  };
+}
+
+function checkStatus(status) {
+  if (!STATUSES.includes(status)) {
+    throw new Error(`Unknown status: ${status} (expected ${STATUSES.join(', ')})`);
+  }
+  return status;
+}
+
+/**
+ * Add a suite (a report section) and return it
+ *
+ * Without an explicit status the suite status is derived from its cases.
+ */
+function addSuite(report, { name, command = null, status = null, durationMs = null, notes = null, metrics = {}, log = null }) {
+  const suite = {
+    name,
+    command,
+    status: status && checkStatus(status),
+    durationMs,
+    notes,
+    metrics,
+    log,
+    cases: []
+  };
+
+  report.suites.push(suite);
+  return suite;
+}
+
+/**
+ * Add a test case to a suite and return it
+ */
+function addCase(suite, { name, status, durationMs = null, message = null, metrics = {}, log = null }) {
+  const testCase = { name, status: checkStatus(status), durationMs, message, metrics, log };
+  suite.cases.push(testCase);
+  return testCase;
+}
+
+/**
+ * Record an issue for the "Issues Encountered" section
+ */
+function addIssue(report, { severity = 'warning', description, impact = null, workaround = null }) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown severity: ${severity} (expected ${SEVERITIES.join(', ')})`);
+  }
+  report.issues.push({ severity, description, impact, workaround });
+}
+
+/**
+ * Status of a suite: explicit, or the worst of its cases
+ */
+function suiteStatus(suite) {
+  if (suite.status) return suite.status;
+  if (suite.cases.length === 0) return 'skipped';
+
+  for (const status of ['error', 'failed', 'warning']) {
+    if (suite.cases.some(testCase => testCase.status === status)) return status;
+  }
+  return suite.cases.every(testCase => testCase.status === 'skipped') ? 'skipped' : 'passed';
+}
+
+/**
+ * Overall result: success, partial (some failures or warnings) or failed
+ */
+function overallStatus(report) {
+  const statuses = report.suites.map(suiteStatus);
+  const bad = statuses.filter(status => status === 'failed' || status === 'error').length;
+
+  if (bad === 0) {
+    return statuses.includes('warning') ? 'partial' : 'success';
+  }
+  return bad < statuses.filter(status => status !== 'skipped').length ? 'partial' : 'failed';
+}
+
+/**
+ * Case counts over the whole report
+ */
+function countCases(report) {
+  const counts = { total: 0, passed: 0, failed: 0, error: 0, skipped: 0, warning: 0 };
+
+  for (const suite of report.suites) {
+    // A suite without cases counts as one check
+    const statuses = suite.cases.length > 0 ? suite.cases.map(testCase => testCase.status) : [suiteStatus(suite)];
+    for (const status of statuses) {
+      counts.total++;
+      counts[status]++;
+    }
+  }
+
+  return counts;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return value > 0 ? '∞' : '-∞';
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  // Number() drops the trailing zeros: 7 ms, 7.5 ms, 7.25 ms
+  if (ms < 10) return `${Number(ms.toFixed(2))} ms`;
+  if (ms < 1000) return `${Math.round(ms)} ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)} s`;
+  return `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+}
+
+/**
+ * Metric names used by any case of a suite, in first-seen order
+ */
+function metricColumns(cases) {
+  const columns = [];
+  for (const testCase of cases) {
+    for (const key of Object.keys(testCase.metrics || {})) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  return columns;
+}
+
+function conclusionSummary(report) {
+  if (report.conclusion.summary) return report.conclusion.summary;
+
+  const counts = countCases(report);
+  const problems = counts.failed + counts.error;
+  return `${counts.passed} of ${counts.total} checks passed` +
+    (problems > 0 ? `, ${problems} failed` : '') +
+    (counts.warning > 0 ? `, ${counts.warning} with warnings` : '') +
+    (counts.skipped > 0 ? `, ${counts.skipped} skipped` : '') + '.';
+}
+
+const SYSTEM_LABELS = [
+  ['hardware', 'Hardware'],
+  ['arch', 'Architecture'],
+  ['os', 'OS'],
+  ['kernel', 'Kernel'],
+  ['cpus', 'CPUs'],
+  ['memory', 'Memory'],
+  ['node', 'Node.js Version'],
+  ['npm', 'npm Version']
+];
+
+function localDate(iso) {
+  const date = new Date(iso);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Markdown following docs/testing/TEMPLATE.md
+ */
+function renderMarkdown(report) {
+  const lines = [];
+  const add = (...items) => lines.push(...items);
+  const cell = value => formatValue(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  add(`# ${report.title}`, '');
+  add(`**Date**: ${localDate(report.date)}`);
+  if (report.application) add(`**Test Application**: ${report.application}`);
+  if (report.tester) add(`**Tester**: ${report.tester}`);
+  if (report.issue) add(`**Issue**: ${report.issue}`);
+  add(`**Tool**: ${report.tool}`, '');
+
+  add('## System Information', '');
+  for (const [key, label] of SYSTEM_LABELS) {
+    if (report.system[key] !== null && report.system[key] !== undefined) {
+      add(`- **${label}**: ${report.system[key]}`);
+    }
+  }
+  for (const [name, version] of Object.entries(report.packages)) {
+    add(`- **${name} Version**: ${version}`);
+  }
+  add('');
+
+  if (report.environment) {
+    add('## Test Environment', '', '```bash', report.environment.trimEnd(), '```', '');
+  }
+
+  add('## Test Results', '');
+
+  report.suites.forEach((suite, index) => {
+    const status = suiteStatus(suite);
+
+    add(`### ${index + 1}. ${suite.name}`, '');
+    if (suite.command) add(`**Command**: \`${suite.command}\``, '');
+
+    add(`- ${STATUS_ICONS[status]} Status: ${STATUS_LABELS[status]}`);
+    if (suite.durationMs !== null) add(`- ⏱️ Duration: ${formatDuration(suite.durationMs)}`);
+    for (const [name, value] of Object.entries(suite.metrics)) {
+      add(`- 📊 ${name}: ${formatValue(value)}`);
+    }
+    if (suite.notes) add(`- 📝 Notes: ${suite.notes}`);
+    add('');
+
+    if (suite.cases.length > 0) {
+      const columns = metricColumns(suite.cases);
+      const hasDuration = suite.cases.some(testCase => testCase.durationMs !== null);
+
+      add(
+        `| Case | Status | ${hasDuration ? 'Duration | ' : ''}${columns.map(column => `${cell(column)} | `).join('')}Notes |`,
+        `|------|--------|${hasDuration ? '----------|' : ''}${columns.map(() => '------|').join('')}-------|`
+      );
+
+      for (const testCase of suite.cases) {
+        add(
+          `| ${cell(testCase.name)} | ${STATUS_ICONS[testCase.status]} | ` +
+          (hasDuration ? `${formatDuration(testCase.durationMs)} | ` : '') +
+          columns.map(column => `${cell(testCase.metrics[column])} | `).join('') +
+          `${testCase.message ? cell(testCase.message) : ''} |`
+        );
+      }
+      add('');
+    }
+
+    const logs = [
+      ...(suite.log ? [[`${suite.name} Log`, suite.log]] : []),
+      ...suite.cases.filter(testCase => testCase.log).map(testCase => [`${testCase.name} Log`, testCase.log])
+    ];
+    for (const [summary, log] of logs) {
+      add('<details>', `<summary>${summary}</summary>`, '', '```', log.trimEnd(), '```', '', '</details>', '');
+    }
+  });
+
+  if (Object.keys(report.metrics).length > 0) {
+    add('## Performance Metrics', '');
+    for (const [name, value] of Object.entries(report.metrics)) {
+      add(`- **${name}**: ${formatValue(value)}`);
+    }
+    add('');
+  }
+
+  add('## Issues Encountered', '');
+  if (report.issues.length === 0) {
+    add('None.', '');
+  }
+  const issueHeadings = { critical: 'Critical Issues', warning: 'Warnings', minor: 'Minor Issues' };
+  for (const severity of SEVERITIES) {
+    const issues = report.issues.filter(issue => issue.severity === severity);
+    if (issues.length === 0) continue;
+
+    add(`### ${issueHeadings[severity]}`);
+    issues.forEach((issue, index) => {
+      add(`${index + 1}. **${severity === 'warning' ? 'Warning' : 'Issue'}**: ${issue.description}`);
+      if (issue.impact) add(`   - **Impact**: ${issue.impact}`);
+      if (issue.workaround) add(`   - **Workaround**: ${issue.workaround}`);
+    });
+    add('');
+  }
+
+  if (Object.keys(report.nativeDependencies).length > 0) {
+    add('## Native Dependencies', '');
+    for (const [name, status] of Object.entries(report.nativeDependencies)) {
+      add(`- \`${name}\`: ${status}`);
+    }
+    add('');
+  }
+
+  add('## Conclusion', '');
+  add(`**Overall Status**: ${OVERALL_LABELS[overallStatus(report)]}`, '');
+  add('**Summary**:', conclusionSummary(report), '');
+
+  if (report.conclusion.recommendations.length > 0) {
+    add('**Recommendations**:');
+    report.conclusion.recommendations.forEach((item, index) => add(`${index + 1}. ${item}`));
+    add('');
+  }
+
+  if (report.conclusion.nextSteps.length > 0) {
+    add('**Next Steps**:');
+    report.conclusion.nextSteps.forEach(item => add(`- [ ] ${item}`));
+    add('');
+  }
+
+  add('---', '');
+  add(`**Test completed**: ${localDate(report.date)}`);
+  add(`**Report generated by**: ${report.tester || report.tool}`, '');
+
+  return lines.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+    body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 72rem; padding: 0 1rem; color: #222; }
+    h1 { border-bottom: 2px solid #ddd; padding-bottom: .5rem; }
+    table { border-collapse: collapse; margin: .5rem 0 1.5rem; font-size: .9rem; }
+    th, td { border: 1px solid #ddd; padding: .3rem .6rem; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .status { font-weight: 600; }
+    .passed { color: #1a7f37; } .failed, .error { color: #cf222e; }
+    .warning { color: #9a6700; } .skipped { color: #6e7781; }
+    pre { background: #f6f8fa; padding: .75rem; overflow-x: auto; }
+    .overall { font-size: 1.2rem; }`;
+
+/**
+ * Standalone HTML page (no external assets)
+ */
+function renderHtml(report) {
+  const parts = [];
+  const add = (...items) => parts.push(...items);
+  const status = value => `<span class="status ${value}">${STATUS_ICONS[value]} ${STATUS_LABELS[value]}</span>`;
+  const td = value => `<td${typeof value === 'number' ? ' class="num"' : ''}>${escapeHtml(formatValue(value))}</td>`;
+  const details = (summary, log) =>
+    `<details><summary>${escapeHtml(summary)}</summary><pre>${escapeHtml(log.trimEnd())}</pre></details>`;
+
+  add(
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${escapeHtml(report.title)}</title>`,
+    `  <style>${HTML_STYLE}\n  </style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(report.title)}</h1>`,
+    `<p class="overall">${OVERALL_LABELS[overallStatus(report)]} &mdash; ${escapeHtml(conclusionSummary(report))}</p>`
+  );
+
+  const header = [
+    ['Date', localDate(report.date)],
+    ['Tool', report.tool],
+    ['Test Application', report.application],
+    ['Tester', report.tester],
+    ['Issue', report.issue]
+  ].filter(([, value]) => value);
+
+  add('<h2>System Information</h2>', '<table>');
+  for (const [label, value] of header) {
+    add(`<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`);
+  }
+  for (const [key, label] of SYSTEM_LABELS) {
+    if (report.system[key] !== null && report.system[key] !== undefined) {
+      add(`<tr><th>${label}</th><td>${escapeHtml(report.system[key])}</td></tr>`);
+    }
+  }
+  for (const [name, version] of Object.entries(report.packages)) {
+    add(`<tr><th>${escapeHtml(name)} Version</th><td>${escapeHtml(version)}</td></tr>`);
+  }
+  add('</table>');
+
+  if (report.environment) {
+    add('<h2>Test Environment</h2>', `<pre>${escapeHtml(report.environment.trimEnd())}</pre>`);
+  }
+
+  add('<h2>Test Results</h2>');
+  report.suites.forEach((suite, index) => {
+    add(`<h3>${index + 1}. ${escapeHtml(suite.name)}</h3>`, '<ul>');
+    if (suite.command) add(`<li>Command: <code>${escapeHtml(suite.command)}</code></li>`);
+    add(`<li>Status: ${status(suiteStatus(suite))}</li>`);
+    if (suite.durationMs !== null) add(`<li>Duration: ${formatDuration(suite.durationMs)}</li>`);
+    for (const [name, value] of Object.entries(suite.metrics)) {
+      add(`<li>${escapeHtml(name)}: ${escapeHtml(formatValue(value))}</li>`);
+    }
+    if (suite.notes) add(`<li>Notes: ${escapeHtml(suite.notes)}</li>`);
+    add('</ul>');
+
+    if (suite.cases.length > 0) {
+      const columns = metricColumns(suite.cases);
+      add(
+        '<table>',
+        '<tr><th>Case</th><th>Status</th><th>Duration</th>' +
+        columns.map(column => `<th>${escapeHtml(column)}</th>`).join('') + '<th>Notes</th></tr>'
+      );
+      for (const testCase of suite.cases) {
+        add(
+          `<tr><td>${escapeHtml(testCase.name)}</td><td>${status(testCase.status)}</td>` +
+          `<td class="num">${formatDuration(testCase.durationMs)}</td>` +
+          columns.map(column => td(testCase.metrics[column])).join('') +
+          `<td>${escapeHtml(testCase.message || '')}</td></tr>`
+        );
+      }
+      add('</table>');
+    }
+
+    if (suite.log) add(details(`${suite.name} Log`, suite.log));
+    for (const testCase of suite.cases.filter(testCase => testCase.log)) {
+      add(details(`${testCase.name} Log`, testCase.log));
+    }
+  });
+
+  if (Object.keys(report.metrics).length > 0) {
+    add('<h2>Performance Metrics</h2>', '<table>');
+    for (const [name, value] of Object.entries(report.metrics)) {
+      add(`<tr><th>${escapeHtml(name)}</th>${td(value)}</tr>`);
+    }
+    add('</table>');
+  }
+
+  add('<h2>Issues Encountered</h2>');
+  if (report.issues.length === 0) {
+    add('<p>None.</p>');
+  } else {
+    add('<table>', '<tr><th>Severity</th><th>Description</th><th>Impact</th><th>Workaround</th></tr>');
+    for (const issue of report.issues) {
+      add(
+        `<tr><td>${issue.severity}</td><td>${escapeHtml(issue.description)}</td>` +
+        `<td>${escapeHtml(issue.impact || '')}</td><td>${escapeHtml(issue.workaround || '')}</td></tr>`
+      );
+    }
+    add('</table>');
+  }
+
+  if (Object.keys(report.nativeDependencies).length > 0) {
+    add('<h2>Native Dependencies</h2>', '<ul>');
+    for (const [name, value] of Object.entries(report.nativeDependencies)) {
+      add(`<li><code>${escapeHtml(name)}</code>: ${escapeHtml(value)}</li>`);
+    }
+    add('</ul>');
+  }
+
+  add('<h2>Conclusion</h2>', `<p>${escapeHtml(conclusionSummary(report))}</p>`);
+  if (report.conclusion.recommendations.length > 0) {
+    add('<h3>Recommendations</h3>', '<ol>', ...report.conclusion.recommendations.map(item => `<li>${escapeHtml(item)}</li>`), '</ol>');
+  }
+  if (report.conclusion.nextSteps.length > 0) {
+    add('<h3>Next Steps</h3>', '<ul>', ...report.conclusion.nextSteps.map(item => `<li>${escapeHtml(item)}</li>`), '</ul>');
+  }
+
+  add('</body>', '</html>', '');
+  return parts.join('\n');
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per case (suites without cases get one row)
+ *
+ * Metric columns are the union over all cases; values stay unformatted.
+ */
+function renderCsv(report) {
+  const rows = [];
+  for (const suite of report.suites) {
+    if (suite.cases.length === 0) {
+      rows.push({ suite: suite.name, name: '', status: suiteStatus(suite), durationMs: suite.durationMs, message: suite.notes, metrics: suite.metrics });
+    }
+    for (const testCase of suite.cases) {
+      rows.push({ suite: suite.name, ...testCase });
+    }
+  }
+
+  const columns = metricColumns(rows);
+  const lines = [['tool', 'suite', 'case', 'status', 'duration_ms', 'message', ...columns].map(csvField).join(',')];
+
+  for (const row of rows) {
+    lines.push([
+      report.tool,
+      row.suite,
+      row.name,
+      row.status,
+      row.durationMs,
+      row.message,
+      ...columns.map(column => row.metrics?.[column])
+    ].map(csvField).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function xmlEscape(value) {
+  return escapeHtml(value)
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * JUnit XML: one <testsuite> per suite, system information as properties
+ */
+function renderJunit(report) {
+  const counts = countCases(report);
+  const totalMs = report.suites.reduce((sum, suite) => sum + (suite.durationMs ||
+    suite.cases.reduce((caseSum, testCase) => caseSum + (testCase.durationMs || 0), 0)), 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xmlEscape(report.title)}" tests="${counts.total}" failures="${counts.failed}" ` +
+    `errors="${counts.error}" skipped="${counts.skipped}" time="${seconds(totalMs)}">`
+  ];
+
+  for (const suite of report.suites) {
+    // A suite without cases becomes a single case carrying the suite status
+    const cases = suite.cases.length > 0
+      ? suite.cases
+      : [{ name: suite.name, status: suiteStatus(suite), durationMs: suite.durationMs, message: suite.notes, metrics: suite.metrics, log: suite.log }];
+    const count = status => cases.filter(testCase => testCase.status === status).length;
+    const suiteMs = suite.durationMs ?? cases.reduce((sum, testCase) => sum + (testCase.durationMs || 0), 0);
+
+    lines.push(
+      `  <testsuite name="${xmlEscape(suite.name)}" tests="${cases.length}" failures="${count('failed')}" ` +
+      `errors="${count('error')}" skipped="${count('skipped')}" time="${seconds(suiteMs)}" ` +
+      `timestamp="${report.date.replace(/\.\d+Z$/, '')}" hostname="${xmlEscape(os.hostname())}">`,
+      '    <properties>'
+    );
+    for (const [key, value] of Object.entries(report.system)) {
+      if (value !== null && value !== undefined) {
+        lines.push(`      <property name="${xmlEscape(key)}" value="${xmlEscape(value)}"/>`);
+      }
+    }
+    if (suite.command) lines.push(`      <property name="command" value="${xmlEscape(suite.command)}"/>`);
+    lines.push('    </properties>');
+
+    for (const testCase of cases) {
+      const classname = `${report.tool}.${suite.name}`;
+      const output = [
+        ...Object.entries(testCase.metrics || {}).map(([key, value]) => `${key}: ${formatValue(value)}`),
+        ...(testCase.log ? [testCase.log.trimEnd()] : [])
+      ].join('\n');
+      const message = xmlEscape(testCase.message || STATUS_LABELS[testCase.status]);
+
+      lines.push(`    <testcase classname="${xmlEscape(classname)}" name="${xmlEscape(testCase.name)}" time="${seconds(testCase.durationMs)}">`);
+      if (testCase.status === 'failed') lines.push(`      <failure message="${message}"/>`);
+      if (testCase.status === 'error') lines.push(`      <error message="${message}"/>`);
+      if (testCase.status === 'skipped') lines.push(`      <skipped message="${message}"/>`);
+      if (output) lines.push(`      <system-out>${xmlEscape(output)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>', '');
+  return lines.join('\n');
+}
+
+const RENDERERS = {
+  json: report => JSON.stringify(report, null, 2) + '\n',
+  markdown: renderMarkdown,
+  html: renderHtml,
+  csv: renderCsv,
+  junit: renderJunit
+};
+
+const EXTENSIONS = {
+  json: '.json',
+  markdown: '.md',
+  html: '.html',
+  csv: '.csv',
+  junit: '.junit.xml'
+};
+
+const FORMATS = Object.keys(RENDERERS);
+
+/**
+ * Parse a comma-separated format list ("md" and "xml" are accepted aliases)
+ */
+function parseFormats(value) {
+  if (!value) return [];
+
+  const aliases = { md: 'markdown', xml: 'junit' };
+  const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean)
+    .map(format => aliases[format] || format);
+
+  for (const format of formats) {
+    if (!RENDERERS[format]) {
+      throw new Error(`Unknown report format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+  }
+
+  return [...new Set(formats)];
+}
+
+/**
+ * Render a report in one format
+ */
+function render(report, format) {
+  if (!RENDERERS[format]) {
+    throw new Error(`Unknown report format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+  return RENDERERS[format](report);
+}
+
+/**
+ * Write a report in several formats next to each other
+ *
+ * `basePath` is the output path without extension; returns the written files.
+ */
+function writeReport(report, basePath, formats) {
+  fs.mkdirSync(path.dirname(basePath), { recursive: true });
+
+  return formats.map((format) => {
+    const file = basePath + EXTENSIONS[format];
+    fs.writeFileSync(file, render(report, format));
+    return file;
+  });
+}
+
+/**
+ * Load a report saved in the JSON format
+ */
+function loadReport(file) {
+  const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (report.schemaVersion !== SCHEMA_VERSION || !Array.isArray(report.suites)) {
+    throw new Error(`${file} is not a report (schema version ${SCHEMA_VERSION})`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  STATUSES,
+  FORMATS,
+  EXTENSIONS,
+  collectSystemInfo,
+  createReport,
+  addSuite,
+  addCase,
+  addIssue,
+  suiteStatus,
+  overallStatus,
+  countCases,
+  parseFormats,
+  render,
+  writeReport,
+  loadReport
+};
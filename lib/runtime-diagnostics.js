@@ -0,0 +1,288 @@
+/**
+ * Runtime diagnostics for Next.js on riscv64
+ *
+ * Everything worth knowing when an app misbehaves on a board: the compiler
+ * path picked by lib/next-swc-select.js and the SWC bindings installed, the
+ * sharp backend (native libvips, WASM, or the squoosh fallback of Next.js
+ * 14.x), glibc, the RISC-V ISA string and extensions from /proc/cpuinfo, core
+ * count and cgroup limits. Only reads what an unprivileged process can read
+ * and never loads an SWC binding, so a broken binary cannot crash the caller.
+ *
+ * The result always has the same shape (SCHEMA_VERSION): unknown values are
+ * null, and a section that fails is listed in `errors` with its defaults.
+ * Used by the test apps' /api/diagnostics routes, so it sticks to what a
+ * bundler can follow: Node built-ins, and createRequire for the app's own
+ * packages.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRequire } = require('module');
+
+const SCHEMA_VERSION = 1;
+
+// Set by withRiscv64Swc() in next.config.js (lib/next-swc-select.js)
+const SELECTION_ENV = 'NEXT_RISCV64_SWC_SELECTED';
+
+// cgroup v1 reports "no limit" as a page-aligned LONG_MAX
+const UNLIMITED_V1 = 2 ** 62;
+
+/**
+ * The result with every field at its default
+ */
+function emptyDiagnostics() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    timestamp: null,
+    runtime: { node: null, abi: null, napi: null, arch: null, platform: null, uptimeSeconds: null },
+    memory: { rssMB: null, heapUsedMB: null, heapTotalMB: null, systemTotalMB: null, systemFreeMB: null },
+    libc: { family: null, version: null },
+    swc: { nextVersion: null, selected: null, label: null, reason: null, forced: null, bindings: [] },
+    sharp: { installed: false, version: null, backend: null, package: null, libvips: null, error: null },
+    cpu: { model: null, cores: null, available: null, isa: null, base: null, extensions: [], mmu: null, uarch: null },
+    cgroup: { version: null, memoryLimitBytes: null, memoryUsageBytes: null, cpuLimit: null },
+    errors: []
+  };
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+function readJson(file) {
+  const text = readText(file);
+  return text === null ? null : JSON.parse(text);
+}
+
+const toMB = bytes => Math.round(bytes / 1024 / 1024);
+
+function runtimeInfo() {
+  return {
+    node: process.version,
+    abi: process.versions.modules,
+    napi: process.versions.napi || null,
+    arch: process.arch,
+    platform: process.platform,
+    uptimeSeconds: Math.floor(process.uptime())
+  };
+}
+
+function memoryInfo() {
+  const usage = process.memoryUsage();
+  return {
+    rssMB: toMB(usage.rss),
+    heapUsedMB: toMB(usage.heapUsed),
+    heapTotalMB: toMB(usage.heapTotal),
+    systemTotalMB: toMB(os.totalmem()),
+    systemFreeMB: toMB(os.freemem())
+  };
+}
+
+/**
+ * glibc version from the process report, or musl from its loader
+ */
+function libcInfo() {
+  if (process.platform !== 'linux') return { family: null, version: null };
+
+  const { header, sharedObjects = [] } = process.report.getReport();
+  if (header.glibcVersionRuntime) {
+    return { family: 'glibc', version: header.glibcVersionRuntime };
+  }
+  return { family: sharedObjects.some(file => /ld-musl|libc\.musl/.test(file)) ? 'musl' : null, version: null };
+}
+
+/**
+ * Compiler path chosen by next.config.js, and the SWC bindings on disk
+ */
+function swcInfo(projectDir) {
+  const selection = process.env[SELECTION_ENV] ? JSON.parse(process.env[SELECTION_ENV]) : {};
+  const scope = path.join(projectDir, 'node_modules', '@next');
+  const names = fs.existsSync(scope) ? fs.readdirSync(scope).filter(name => name.startsWith('swc-')) : [];
+
+  return {
+    nextVersion: readJson(path.join(projectDir, 'node_modules', 'next', 'package.json'))?.version || null,
+    selected: selection.path || null,
+    label: selection.label || null,
+    reason: selection.reason || null,
+    forced: typeof selection.forced === 'boolean' ? selection.forced : null,
+    bindings: names.sort().map(name => {
+      const dir = path.join(scope, name);
+      return {
+        package: `@next/${name}`,
+        version: readJson(path.join(dir, 'package.json'))?.version || null,
+        binary: fs.readdirSync(dir).find(file => file.endsWith('.node') || file.endsWith('.wasm')) || null
+      };
+    })
+  };
+}
+
+/**
+ * sharp version and backend, as the app itself would load it
+ *
+ * The backend is told by the binary in the require cache: @img/sharp-wasm32
+ * is WASM, anything else native libvips (prebuilt package or built from
+ * source). Without a loadable sharp, Next.js before 15 falls back to squoosh.
+ */
+function sharpInfo(projectDir) {
+  projectDir = path.resolve(projectDir);
+  const projectRequire = createRequire(path.join(projectDir, 'package.json'));
+  const installed = fs.existsSync(path.join(projectDir, 'node_modules', 'sharp', 'package.json'));
+  const nextMajor = parseInt(readJson(path.join(projectDir, 'node_modules', 'next', 'package.json'))?.version, 10);
+
+  let sharp;
+  try {
+    sharp = projectRequire('sharp');
+  } catch (error) {
+    return {
+      installed,
+      version: null,
+      backend: nextMajor < 15 ? 'squoosh' : null,
+      package: null,
+      libvips: null,
+      error: installed ? error.message.split('\n')[0] : 'not installed'
+    };
+  }
+
+  const binary = Object.keys(projectRequire.cache).find(file => /sharp[^/\\]*\.node$|sharp-wasm32/.test(file)) || '';
+  const pkg = binary.match(/@img[/\\](sharp-[^/\\]+)/)?.[1];
+  return {
+    installed,
+    version: sharp.versions?.sharp || readJson(path.join(projectDir, 'node_modules', 'sharp', 'package.json'))?.version || null,
+    backend: pkg === 'sharp-wasm32' ? 'wasm' : 'native',
+    package: pkg ? `@img/${pkg}` : null,
+    libvips: sharp.versions?.vips || null,
+    error: null
+  };
+}
+
+/**
+ * CPU model and RISC-V ISA from /proc/cpuinfo text
+ *
+ * `isa` is the first hart's full string (rv64imafdcv_zba_zbb_...), `base` its
+ * single-letter part and `extensions` the multi-letter ones (zba, zbb,
+ * sstc, ...). Other architectures only get `model`.
+ */
+function parseCpuinfo(text) {
+  const fields = {};
+  for (const line of (text || '').split('\n')) {
+    const match = line.match(/^([^:]+?)\s*:\s*(.*)$/);
+    if (match && !(match[1] in fields)) fields[match[1]] = match[2].trim();
+  }
+
+  const isa = fields.isa || null;
+  const [base = null, ...extensions] = isa ? isa.toLowerCase().split('_') : [];
+  return {
+    model: fields['model name'] || fields.uarch || fields.Model || null,
+    isa,
+    base,
+    extensions: extensions.filter(Boolean),
+    mmu: fields.mmu || null,
+    uarch: fields.uarch || null
+  };
+}
+
+function cpuInfo() {
+  const { model, isa, base, extensions, mmu, uarch } = parseCpuinfo(readText('/proc/cpuinfo'));
+  return {
+    model: model || os.cpus()[0]?.model || null,
+    cores: os.cpus().length,
+    available: typeof os.availableParallelism === 'function' ? os.availableParallelism() : null,
+    isa,
+    base,
+    extensions,
+    mmu,
+    uarch
+  };
+}
+
+function readNumber(file, unlimited = Infinity) {
+  const text = readText(file)?.trim();
+  if (!text || text === 'max') return null;
+  const value = Number(text);
+  return Number.isFinite(value) && value < unlimited ? value : null;
+}
+
+/**
+ * Memory and CPU limits of the cgroup this process runs in (v2 or v1)
+ */
+function cgroupInfo(root = '/sys/fs/cgroup') {
+  const lines = (readText('/proc/self/cgroup') || '').split('\n').filter(Boolean);
+  const none = { version: null, memoryLimitBytes: null, memoryUsageBytes: null, cpuLimit: null };
+  if (lines.length === 0) return none;
+
+  // Inside a cgroup namespace the listed path may not exist under root
+  const locate = (base, relative, file) =>
+    [path.join(base, relative, file), path.join(base, file)].find(candidate => fs.existsSync(candidate)) || null;
+
+  const unified = lines.find(line => line.startsWith('0::'));
+  if (unified && fs.existsSync(path.join(root, 'cgroup.controllers'))) {
+    const relative = unified.slice(3);
+    const [quota, period] = (readText(locate(root, relative, 'cpu.max')) || '').trim().split(/\s+/);
+    return {
+      version: 2,
+      memoryLimitBytes: readNumber(locate(root, relative, 'memory.max')),
+      memoryUsageBytes: readNumber(locate(root, relative, 'memory.current')),
+      cpuLimit: quota && quota !== 'max' ? Number((Number(quota) / Number(period)).toFixed(2)) : null
+    };
+  }
+
+  const controller = name => lines.map(line => line.split(':')).find(([, names]) => names.split(',').includes(name))?.[2];
+  const memory = controller('memory');
+  const cpu = controller('cpu');
+  if (memory === undefined && cpu === undefined) return none;
+
+  const memoryDir = path.join(root, 'memory');
+  const cpuDir = fs.existsSync(path.join(root, 'cpu')) ? path.join(root, 'cpu') : path.join(root, 'cpu,cpuacct');
+  const quota = cpu !== undefined ? readNumber(locate(cpuDir, cpu, 'cpu.cfs_quota_us')) : null;
+  const period = cpu !== undefined ? readNumber(locate(cpuDir, cpu, 'cpu.cfs_period_us')) : null;
+  return {
+    version: 1,
+    memoryLimitBytes: memory !== undefined ? readNumber(locate(memoryDir, memory, 'memory.limit_in_bytes'), UNLIMITED_V1) : null,
+    memoryUsageBytes: memory !== undefined ? readNumber(locate(memoryDir, memory, 'memory.usage_in_bytes')) : null,
+    cpuLimit: quota > 0 && period > 0 ? Number((quota / period).toFixed(2)) : null
+  };
+}
+
+/**
+ * All diagnostics for the app in `projectDir` (the server's working directory)
+ */
+function collectDiagnostics({ projectDir = process.cwd() } = {}) {
+  projectDir = path.resolve(projectDir);
+  const result = emptyDiagnostics();
+  result.timestamp = new Date().toISOString();
+
+  const sections = {
+    runtime: runtimeInfo,
+    memory: memoryInfo,
+    libc: libcInfo,
+    swc: () => swcInfo(projectDir),
+    sharp: () => sharpInfo(projectDir),
+    cpu: cpuInfo,
+    cgroup: () => cgroupInfo()
+  };
+  for (const [name, collect] of Object.entries(sections)) {
+    try {
+      result[name] = { ...result[name], ...collect() };
+    } catch (error) {
+      result.errors.push({ section: name, message: error.message });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  emptyDiagnostics,
+  parseCpuinfo,
+  libcInfo,
+  swcInfo,
+  sharpInfo,
+  cpuInfo,
+  cgroupInfo,
+  collectDiagnostics
+};
@@ -0,0 +1,59 @@
+/**
+ * Version helpers
+ *
+ * Numeric comparison of x.y.z versions (Node.js, Next.js, glibc), and the
+ * newest glibc a binary was linked against, read from its symbol versions
+ * without loading it.
+ */
+
+const fs = require('fs');
+
+/**
+ * [major, minor, patch] of "v1.2.3" or "1.2"; missing parts are 0
+ */
+function parseVersion(version) {
+  return String(version).replace(/^v/, '').split('.').map(part => parseInt(part, 10) || 0);
+}
+
+/**
+ * Negative, zero or positive as `a` is older, equal or newer than `b`
+ */
+function compareVersions(a, b) {
+  const [x, y] = [parseVersion(a), parseVersion(b)];
+  for (let i = 0; i < 3; i++) {
+    if ((x[i] || 0) !== (y[i] || 0)) return (x[i] || 0) - (y[i] || 0);
+  }
+  return 0;
+}
+
+/**
+ * Newest GLIBC_x.y symbol version a binary links against, or null
+ *
+ * Read in chunks: SWC bindings are well over 100 MB.
+ */
+function requiredGlibc(file) {
+  const fd = fs.openSync(file, 'r');
+  const buffer = Buffer.alloc(1024 * 1024);
+  let newest = null;
+  let tail = '';
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      const text = tail + buffer.toString('latin1', 0, bytes);
+      for (const [, version] of text.matchAll(/GLIBC_(\d+\.\d+(?:\.\d+)?)/g)) {
+        if (!newest || compareVersions(version, newest) > 0) newest = version;
+      }
+      // A symbol version split across two chunks
+      tail = text.slice(-16);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return newest;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  requiredGlibc
+};
@@ -1,70 +1,19 @@
 #!/bin/bash
 
 # Apply Next.js riscv64 support patch
-# This script patches Next.js to recognize riscv64 as a supported platform
+# Wrapper around patch-next-swc-loader.js, which finds getSupportedArchTriples()
+# structurally (Next 13.x-15.x) and marks the patch with the Next.js version
+#
+# Usage: ./apply-nextjs-patch.sh [project-dir]
 
 set -euo pipefail
 
-# Check if we're in a Next.js project
-if [ ! -f "package.json" ]; then
-    echo "Error: package.json not found. Please run this script from your Next.js project root."
-    exit 1
-fi
+PATCHER="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)/patch-next-swc-loader.js"
+PROJECT_DIR="${1:-.}"
 
-# Check if Next.js is installed
-NEXTJS_SWC_FILE="node_modules/next/dist/build/swc/index.js"
-if [ ! -f "$NEXTJS_SWC_FILE" ]; then
-    echo "Error: Next.js not found in node_modules. Please run 'npm install' first."
-    exit 1
-fi
+node "${PATCHER}" apply "${PROJECT_DIR}"
+node "${PATCHER}" verify "${PROJECT_DIR}"
 
-echo "=== Next.js riscv64 Patch Installer ==="
-echo ""
-echo "This will patch Next.js to support riscv64 architecture."
-echo "Target file: $NEXTJS_SWC_FILE"
-echo ""
-
-# Create backup
-echo "Creating backup..."
-cp "$NEXTJS_SWC_FILE" "${NEXTJS_SWC_FILE}.backup"
-echo "✅ Backup created: ${NEXTJS_SWC_FILE}.backup"
-echo ""
-
-# Apply patch
-echo "Applying patch..."
-if grep -q "riscv64: linux.riscv64gc" "$NEXTJS_SWC_FILE"; then
-    echo "⚠️  Patch already applied!"
-else
-    # Add riscv64 support using unified diff patch
-    PATCH_FILE="$(dirname "${BASH_SOURCE[0]}")/nextjs-riscv64-support.patch"
-    if [ ! -f "$PATCH_FILE" ]; then
-        echo "❌ Patch file not found: $PATCH_FILE"
-        exit 1
-    fi
-
-    if patch -p1 < "$PATCH_FILE"; then
-        echo "✅ Patch applied successfully"
-    else
-        echo "❌ Failed to apply patch"
-        echo "Restoring backup..."
-        mv "${NEXTJS_SWC_FILE}.backup" "$NEXTJS_SWC_FILE"
-        exit 1
-    fi
-fi
-
-echo ""
-echo "=== Verification ==="
-if grep -q "riscv64: linux.riscv64gc" "$NEXTJS_SWC_FILE"; then
-    echo "✅ riscv64 support verified in Next.js loader"
-else
-    echo "❌ Patch verification failed!"
-    echo "Restoring backup..."
-    mv "${NEXTJS_SWC_FILE}.backup" "$NEXTJS_SWC_FILE"
-    exit 1
-fi
-
-echo ""
-echo "✅ All done! Next.js now supports riscv64 architecture."
 echo ""
 echo "To restore original Next.js:"
-echo "  cp ${NEXTJS_SWC_FILE}.backup $NEXTJS_SWC_FILE"
+echo "  node ${PATCHER} revert ${PROJECT_DIR}"
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Next.js SWC Loader Patcher
+ *
+ * Adds linux/riscv64 to the platforms Next.js loads native SWC for (see
+ * lib/next-swc-patch.js). Works on Next 13.x, 14.x and 15.x, and can be
+ * verified and reverted.
+ *
+ * Usage:
+ *   node patches/patch-next-swc-loader.js status [PROJECT_DIR] [--json]
+ *   node patches/patch-next-swc-loader.js apply [PROJECT_DIR]
+ *   node patches/patch-next-swc-loader.js verify [PROJECT_DIR]
+ *   node patches/patch-next-swc-loader.js revert [PROJECT_DIR]
+ *   node patches/patch-next-swc-loader.js hook [PROJECT_DIR]
+ *   node patches/patch-next-swc-loader.js unhook [PROJECT_DIR]
+ *
+ * PROJECT_DIR defaults to the current directory. `status` also shows which
+ * compiler the project gets (native, WASM or Babel, see
+ * lib/next-swc-select.js) and why. `verify` exits 1 unless the patch is in
+ * place for the installed Next.js and the loader returns a linux/riscv64
+ * triple. `hook` adds patches/postinstall.js to the project's postinstall
+ * script, so `npm install` and `npm ci` re-apply the patch instead of
+ * silently dropping it (warning, never failing, when there is nothing to
+ * patch). Projects outside this repository get a copy in nextjs-riscv64/ to
+ * commit with package.json; `unhook` removes both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { VENDOR_DIR, HOOK_COMMAND, inspect, apply, revert, verify } = require('../lib/next-swc-patch');
+const { selectSwc, describe } = require('../lib/next-swc-select');
+
+const [command, ...rest] = process.argv.slice(2);
+const hasFlag = name => rest.includes(`--${name}`);
+const projectDir = path.resolve(rest.find(arg => !arg.startsWith('--')) || '.');
+
+const RUNNER = path.join(__dirname, 'postinstall.js');
+// Copied as .cjs, so they also run in "type": "module" projects
+const VENDORED = { 'postinstall.cjs': RUNNER, 'next-swc-patch.cjs': require.resolve('../lib/next-swc-patch') };
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+const ICONS = {
+  missing: '❌',
+  unsupported: '❌',
+  'no-triple': '❌',
+  unpatched: '⚪',
+  patched: '✅',
+  stale: '⚠️ ',
+  legacy: '⚠️ ',
+  upstream: '✅'
+};
+
+function printStatus(status) {
+  const installed = status.bindingPackage && fs.existsSync(path.join(projectDir, 'node_modules', status.bindingPackage, status.binary));
+
+  console.log(`${ICONS[status.state]} ${status.message}${status.patchedFor ? ` (next@${status.patchedFor})` : ''}`);
+  console.log(`   Project:  ${projectDir}`);
+  console.log(`   Next.js:  ${status.nextVersion || '-'}`);
+  if (status.key) {
+    console.log(`   Triple:   linux.${status.key}`);
+    console.log(`   Binding:  ${status.bindingPackage} (${installed ? 'installed' : 'not installed'})`);
+  }
+}
+
+/**
+ * Set up the postinstall runner for a project and return its command
+ *
+ * The test apps in this repository run patches/postinstall.js in place.
+ * Projects elsewhere get their own copy (refreshed on every `hook`): a path
+ * into this clone would break `npm ci` on any other machine.
+ */
+function installRunner() {
+  const repoRoot = path.dirname(__dirname);
+  if (projectDir.startsWith(repoRoot + path.sep)) {
+    return `node ${path.relative(projectDir, RUNNER).split(path.sep).join('/')}`;
+  }
+
+  const dir = path.join(projectDir, VENDOR_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, source] of Object.entries(VENDORED)) {
+    fs.copyFileSync(source, path.join(dir, name));
+  }
+  return `node ${VENDOR_DIR}/postinstall.cjs`;
+}
+
+/**
+ * Remove the copied runner, and its directory if nothing else is in it
+ */
+function removeRunner() {
+  const dir = path.join(projectDir, VENDOR_DIR);
+  if (!fs.existsSync(dir)) return false;
+
+  for (const name of Object.keys(VENDORED)) {
+    fs.rmSync(path.join(dir, name), { force: true });
+  }
+  if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+  return true;
+}
+
+function updatePostinstall(update) {
+  const manifestFile = path.join(projectDir, 'package.json');
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`package.json not found in ${projectDir}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  const current = manifest.scripts?.postinstall || '';
+  const updated = update(current);
+  if (updated === current) return false;
+
+  manifest.scripts = manifest.scripts || {};
+  if (updated) {
+    manifest.scripts.postinstall = updated;
+  } else {
+    delete manifest.scripts.postinstall;
+  }
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2) + '\n');
+  return true;
+}
+
+/**
+ * A postinstall script without our command (in any earlier form)
+ */
+function withoutHook(script) {
+  return script.split('&&')
+    .map(part => part.trim())
+    .filter(part => part && !HOOK_COMMAND.test(part))
+    .join(' && ');
+}
+
+function main() {
+  switch (command) {
+    case 'status': {
+      const status = inspect(projectDir);
+      const selection = selectSwc(projectDir);
+      if (hasFlag('json')) {
+        console.log(JSON.stringify({ ...status, selection }, null, 2));
+      } else {
+        printStatus(status);
+        console.log(`\n${describe(selection)}`);
+      }
+      return 0;
+    }
+
+    case 'apply': {
+      const result = apply(projectDir);
+      if (result.changed) {
+        console.log(`✅ Patched the Next.js ${result.nextVersion} SWC loader for riscv64 (linux.${result.key}, ${result.bindingPackage})`);
+      } else {
+        console.log(`✅ Nothing to do: ${result.message}`);
+      }
+      return 0;
+    }
+
+    case 'verify': {
+      const problems = verify(projectDir);
+      if (problems.length > 0) {
+        for (const problem of problems) console.error(`❌ ${problem}`);
+        console.error(`   Run: node ${__filename} apply ${projectDir}`);
+        return 1;
+      }
+      const status = inspect(projectDir);
+      console.log(`✅ Next.js ${status.nextVersion} loader patched for riscv64 (linux.${status.key})`);
+      return 0;
+    }
+
+    case 'revert': {
+      const result = revert(projectDir);
+      if (!result.changed) {
+        console.log(`✅ Nothing to revert: ${result.message}`);
+      } else if (result.pristine === false) {
+        console.log('⚠️  Patch removed, but the loader differs from the file that was patched (edited since?)');
+      } else {
+        console.log(`✅ Reverted the Next.js ${result.nextVersion} SWC loader`);
+      }
+      return 0;
+    }
+
+    case 'hook': {
+      if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
+        throw new Error(`package.json not found in ${projectDir}`);
+      }
+      const hook = installRunner();
+      const changed = updatePostinstall(current => {
+        if (current.includes(hook)) return current;
+        const others = withoutHook(current);
+        return others ? `${others} && ${hook}` : hook;
+      });
+      console.log(changed ? `✅ postinstall now runs: ${hook}` : '✅ postinstall already applies the patch');
+      if (hook.includes(VENDOR_DIR)) {
+        console.log(`   Commit ${VENDOR_DIR}/ with package.json, so every install can run it`);
+      }
+      return 0;
+    }
+
+    case 'unhook': {
+      const changed = updatePostinstall(withoutHook);
+      const removed = removeRunner();
+      console.log(changed ? '✅ Removed the patch from postinstall' : '✅ postinstall does not apply the patch');
+      if (removed) console.log(`   Removed ${VENDOR_DIR}/`);
+      return 0;
+    }
+
+    case undefined:
+    case 'help':
+    case '--help':
+    case '-h':
+      showUsage();
+      return 0;
+
+    default:
+      throw new Error(`Unknown command: ${command} (use ${['status', 'apply', 'verify', 'revert', 'hook', 'unhook'].join(', ')})`);
+  }
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Postinstall runner for the SWC loader patch
+ *
+ * What `patch-next-swc-loader.js hook` adds to a project's postinstall
+ * script, so `npm install` and `npm ci` re-apply the patch. It never fails
+ * the install: with nothing to patch (no Next.js, an unknown loader layout,
+ * no riscv64 triple) or a patch that cannot be written, it warns and exits 0;
+ * `patch-next-swc-loader.js verify` and the doctor are the checks that fail.
+ *
+ * Projects outside this repository get a copy of it as
+ * nextjs-riscv64/postinstall.cjs, with lib/next-swc-patch.js next to it, so
+ * the hook works on every machine that installs the project.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Next to this file when vendored into a project, in lib/ within this repository
+const vendored = path.join(__dirname, 'next-swc-patch.cjs');
+const { inspect, apply } = require(fs.existsSync(vendored) ? vendored : '../lib/next-swc-patch');
+
+// npm runs lifecycle scripts from the package root
+const projectDir = process.cwd();
+
+try {
+  const status = inspect(projectDir);
+  if (['missing', 'unsupported', 'no-triple'].includes(status.state)) {
+    console.warn(`⚠️  riscv64 SWC loader patch skipped: ${status.message}`);
+  } else {
+    const result = apply(projectDir);
+    console.log(result.changed
+      ? `✅ Patched the Next.js ${result.nextVersion} SWC loader for riscv64 (linux.${result.key})`
+      : `✅ riscv64 SWC loader: ${result.message}`);
+  }
+} catch (error) {
+  console.warn(`⚠️  riscv64 SWC loader patch failed: ${error.message}`);
+}
@@ -10,10 +10,14 @@ set -euo pipefail
 # Configuration
 DEFAULT_VERSION="v13.5.6"
 NEXT_VERSION="${1:-$DEFAULT_VERSION}"
-OUTPUT_DIR="${2:-./builds/${NEXT_VERSION}}"
+OUTPUT_DIR=$(realpath -m "${2:-./builds/${NEXT_VERSION}}")
 BUILD_DIR=$(mktemp -d "/tmp/nextjs-swc-build.XXXXXXXXXX")
 LOG_FILE="${BUILD_DIR}/build.log"
 
+# Without default features to avoid ring v0.16.20 (recorded in PROVENANCE.json)
+CARGO_FLAGS=(--release --no-default-features)
+BUILD_SECONDS=0
+
 # Colors for output
 RED='\033[0;31m'
 GREEN='\033[0;32m'
@@ -159,22 +163,21 @@ build_swc() {
     fi
 
     log_info "Starting cargo build (this will take 2-4 hours)..."
-    log_info "Build flags: --release --no-default-features (to avoid ring dependency)"
+    log_info "Build flags: ${CARGO_FLAGS[*]} (to avoid ring dependency)"
     echo ""
 
     # Build with cargo directly, without default features to avoid ring v0.16.20
     # The --no-default-features flag skips TLS dependencies that require ring
     local start_time=$(date +%s)
 
-    cargo build --release \
+    cargo build "${CARGO_FLAGS[@]}" \
         --manifest-path crates/napi/Cargo.toml \
-        --no-default-features \
         2>&1 | tee -a "${LOG_FILE}"
 
     local end_time=$(date +%s)
-    local duration=$((end_time - start_time))
-    local hours=$((duration / 3600))
-    local minutes=$(((duration % 3600) / 60))
+    BUILD_SECONDS=$((end_time - start_time))
+    local hours=$((BUILD_SECONDS / 3600))
+    local minutes=$(((BUILD_SECONDS % 3600) / 60))
 
     log_info "Build completed in ${hours}h ${minutes}m"
 }
@@ -227,6 +230,7 @@ package_binary() {
   ],
   "os": ["linux"],
   "cpu": ["riscv64"],
+  "libc": ["glibc"],
   "engines": {
     "node": ">= 10"
   },
@@ -249,7 +253,7 @@ EOF
 - **Hardware**: $(uname -m) $(cat /proc/cpuinfo | grep "model name\|Hardware" | head -1 | cut -d: -f2 | xargs)
 - **OS**: $(cat /etc/os-release | grep PRETTY_NAME | cut -d'"' -f2)
 - **Rust Version**: $(rustc --version | awk '{print $2}')
-- **Build Flags**: --release --no-default-features
+- **Build Flags**: ${CARGO_FLAGS[*]}
 - **SHA256**: $(sha256sum "${output_name}" | awk '{print $1}')
 
 ## Installation
@@ -266,11 +270,55 @@ Built without default features to avoid ring v0.16.20 dependency issue on riscv6
 TLS features are disabled but not required for local compilation.
 EOF
 
+    write_provenance
+
     log_info "Binary packaged successfully"
     log_info "Output: ${OUTPUT_DIR}/${output_name}"
     log_info "Size: $(du -h "${OUTPUT_DIR}/${output_name}" | cut -f1)"
 }
 
+# Record what the binary was built from and with, for scripts/package-native-swc.js
+write_provenance() {
+    local source_dir="${BUILD_DIR}/next.js"
+    local swc_dir="${source_dir}/packages/next-swc"
+    # rustc and cargo as selected by the rust-toolchain file in next-swc
+    local rustc_info=$(cd "${swc_dir}" && rustc -vV)
+    local cargo_version=$(cd "${swc_dir}" && cargo --version)
+    local flags=$(printf '"%s", ' "${CARGO_FLAGS[@]}")
+    local default_features=true
+    [[ " ${CARGO_FLAGS[*]} " == *" --no-default-features "* ]] && default_features=false
+
+    cat > "${OUTPUT_DIR}/PROVENANCE.json" <<EOF
+{
+  "schemaVersion": 1,
+  "version": "${NEXT_VERSION#v}",
+  "source": {
+    "repository": "https://github.com/vercel/next.js",
+    "ref": "${NEXT_VERSION}",
+    "commit": "$(git -C "${source_dir}" rev-parse HEAD)"
+  },
+  "toolchain": {
+    "rustc": "$(echo "${rustc_info}" | head -1)",
+    "cargo": "${cargo_version}",
+    "host": "$(echo "${rustc_info}" | awk '/^host:/{print $2}')"
+  },
+  "cargo": {
+    "manifest": "crates/napi/Cargo.toml",
+    "flags": [${flags%, }],
+    "defaultFeatures": ${default_features}
+  },
+  "system": {
+    "glibc": "$(getconf GNU_LIBC_VERSION 2>/dev/null | awk '{print $2}')",
+    "os": "$(grep PRETTY_NAME /etc/os-release | cut -d'"' -f2)",
+    "kernel": "$(uname -r)",
+    "hardware": "$(tr -d '\0' 2>/dev/null < /proc/device-tree/model || uname -m)"
+  },
+  "builtAt": "$(date -u +"%Y-%m-%dT%H:%M:%SZ")",
+  "durationSeconds": ${BUILD_SECONDS}
+}
+EOF
+}
+
 # Cleanup
 cleanup() {
     log_step "Cleaning up..."
@@ -307,6 +355,10 @@ print_summary() {
     echo ""
     log_info "Don't forget to apply the Next.js loader patch!"
     log_info "See: patches/apply-nextjs-patch.sh"
+    echo ""
+    log_info "To make an npm package and a release directory from it:"
+    echo ""
+    echo "  node scripts/package-native-swc.js ${OUTPUT_DIR}"
 }
 
 # Main
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+
+/**
+ * Compatibility Database CLI
+ *
+ * docs/native-deps.json is the source of truth for the riscv64 status of
+ * native modules. This renders the tables of docs/NATIVE-DEPS-AUDIT.md from
+ * it, checks test results against it and lets shell scripts read from it.
+ *
+ * Usage:
+ *   node scripts/compat-db.js generate [--check] [--doc=FILE]
+ *   node scripts/compat-db.js validate FILE... [--strict]
+ *   node scripts/compat-db.js lint
+ *   node scripts/compat-db.js get MODULE [FIELD]
+ *
+ * All commands take --db=FILE (default docs/native-deps.json).
+ *
+ * `generate` rewrites the GENERATED regions of the audit (default
+ * docs/NATIVE-DEPS-AUDIT.md); with --check it only exits 1 if they are out of
+ * date. `validate` reads test results (report JSON from lib/report.js, or
+ * Markdown following docs/testing/TEMPLATE.md) and exits 1 when a riscv64
+ * result contradicts the database; --strict also fails on warnings (unknown
+ * modules, results newer than the module's lastTested). `get` prints one
+ * field (dot path, e.g. riscv64Packages.0 or lastTested.date) or the whole
+ * entry as JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DB_FILE, STATUSES, loadDatabase, validateDatabase } = require('../lib/native-modules');
+
+const [command, ...rest] = process.argv.slice(2);
+
+const getArg = (name, fallback) => rest.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const hasFlag = name => rest.includes(`--${name}`);
+const positional = rest.filter(arg => !arg.startsWith('--'));
+
+const DEFAULT_DOC = path.join(__dirname, '..', 'docs', 'NATIVE-DEPS-AUDIT.md');
+const COLUMNS = ['Module', 'riscv64 Prebuilds', 'Language', 'Build Difficulty', 'Notes'];
+
+// Quick Reference rows, in the order of the audit
+const SUPPORT_LEVELS = [
+  { label: 'Full Support', match: module => module.status === 'prebuilt', description: 'Official prebuilt binaries available', list: true },
+  { label: 'WASM Works', match: module => module.status === 'wasm', description: 'Fully functional through the WASM build', list: true },
+  { label: 'Experimental', match: module => Boolean(module.experimental), description: 'Work-in-progress native support', list: true },
+  { label: 'Build from Source', match: module => module.status === 'source', description: 'Must compile locally, generally works', list: false },
+  { label: 'Broken', match: module => module.status === 'broken', description: 'Does not work on riscv64, no workaround', list: true },
+  { label: 'No Support', match: module => module.status === 'no-support', description: 'Platform-specific or deprecated', list: true }
+];
+
+// Which test outcomes agree with which database status
+const CONSISTENT = {
+  working: ['prebuilt', 'wasm', 'source'],
+  wasm: ['prebuilt', 'wasm', 'source'],
+  failing: ['broken', 'no-support']
+};
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+/**
+ * The "riscv64 Prebuilds" cell, derived from the module status
+ */
+function prebuildsCell(module) {
+  const note = module.prebuildsNote ? ` (${module.prebuildsNote})` : '';
+  switch (module.status) {
+    case 'prebuilt': return '**Yes**';
+    case 'wasm': return 'WASM works ✅';
+    case 'broken': return '❌ Broken';
+    case 'no-support': return note ? `No${note}` : 'N/A';
+    default: return `No${note}`;
+  }
+}
+
+function displayName(module) {
+  return `**${module.label || module.name}**${module.alias ? ` (${module.alias})` : ''}`;
+}
+
+function tableRow(cells) {
+  return `| ${cells.join(' | ')} |`;
+}
+
+function renderQuickReference(db) {
+  const lines = [
+    tableRow(['Support Level', 'Count', 'Description']),
+    '|---------------|-------|-------------|'
+  ];
+
+  for (const level of SUPPORT_LEVELS) {
+    const modules = db.modules.filter(level.match);
+    const names = level.list && modules.length > 0 ? ` (${modules.map(module => module.name).join(', ')})` : '';
+    lines.push(tableRow([`**${level.label}**`, modules.length, level.description + names]));
+  }
+
+  return lines.join('\n');
+}
+
+function renderMatrix(db) {
+  const sections = db.tables.map(table => {
+    const rows = db.modules
+      .filter(module => module.tables[table.id] !== undefined)
+      .map(module => tableRow([
+        displayName(module),
+        prebuildsCell(module),
+        module.language,
+        module.difficulty,
+        module.tables[table.id]
+      ]));
+
+    return [
+      `### ${table.title}`,
+      '',
+      tableRow(COLUMNS),
+      `|${COLUMNS.map(column => '-'.repeat(column.length + 2)).join('|')}|`,
+      ...rows
+    ].join('\n');
+  });
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Replace the content between the BEGIN/END GENERATED markers of a region
+ */
+function replaceRegion(doc, name, content) {
+  const begin = `<!-- BEGIN GENERATED: ${name} -->`;
+  const end = `<!-- END GENERATED: ${name} -->`;
+  const start = doc.indexOf(begin);
+  const stop = doc.indexOf(end);
+
+  if (start === -1 || stop < start) {
+    throw new Error(`Missing "${begin}" ... "${end}" markers`);
+  }
+
+  return `${doc.slice(0, start + begin.length)}\n${content}\n${doc.slice(stop)}`;
+}
+
+function generate(db) {
+  const docFile = getArg('doc', DEFAULT_DOC);
+  const current = fs.readFileSync(docFile, 'utf8');
+
+  let updated = replaceRegion(current, 'quick-reference', renderQuickReference(db));
+  updated = replaceRegion(updated, 'compatibility-matrix', renderMatrix(db));
+
+  if (updated === current) {
+    console.log(`✅ ${docFile} is up to date`);
+    return 0;
+  }
+
+  if (hasFlag('check')) {
+    console.error(`❌ ${docFile} is out of date; run: node scripts/compat-db.js generate`);
+    return 1;
+  }
+
+  fs.writeFileSync(docFile, updated);
+  console.log(`📝 Regenerated tables in ${docFile}`);
+  return 0;
+}
+
+/**
+ * Module results from a test-result file: [{ name, text }] plus when and where
+ */
+function readResults(file) {
+  const content = fs.readFileSync(file, 'utf8');
+
+  if (file.endsWith('.json')) {
+    const report = JSON.parse(content);
+    return {
+      date: report.date ? report.date.slice(0, 10) : null,
+      hardware: report.system?.hardware || null,
+      arch: report.system?.arch || null,
+      entries: Object.entries(report.nativeDependencies || {}).map(([name, text]) => ({ name, text: String(text) }))
+    };
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    // "- `name`: status" (TEMPLATE.md, lib/report.js)
+    const item = line.match(/^- `([^`]+)`: (.+)$/);
+    if (item) {
+      entries.push({ name: item[1], text: item[2] });
+      continue;
+    }
+    // "| **name** | ✅ status | ..." (summary tables)
+    const row = line.match(/^\| \*\*([^*]+)\*\* \| ([✅❌⚠️🟢⛔][^|]*) \|/u);
+    if (row) entries.push({ name: row[1], text: row[2].trim() });
+  }
+
+  const field = label => content.match(new RegExp(`\\*\\*${label}\\*\\*: (.+)`))?.[1].trim() || null;
+  const hardware = field('Hardware');
+  const arch = field('Architecture');
+
+  return {
+    date: field('Date')?.match(/\d{4}-\d{2}-\d{2}/)?.[0] || null,
+    hardware,
+    arch: arch || (hardware && /Banana Pi|riscv|VisionFive|SpacemiT/i.test(hardware) ? 'riscv64' : null),
+    entries
+  };
+}
+
+/**
+ * What a result line says about a module: failing, working, wasm or untested
+ */
+function classifyOutcome(text) {
+  if (/\[.*\/.*\]|not tested|not set up|not found|not available|skipped/i.test(text)) return 'untested';
+  if (/❌|broken|fail|error|panic|bug|crash/i.test(text)) return 'failing';
+  if (/wasm/i.test(text)) return 'wasm';
+  if (/✅|works|working|success|installed|found|passed|loaded|not needed|prebuilt|built/i.test(text)) return 'working';
+  return 'untested';
+}
+
+/**
+ * Database entry for a result name ("Prisma engines" → prisma)
+ */
+function lookupModule(db, name) {
+  const candidates = [name, name.replace(/\s*\(.*\)$/, ''), name.split(/\s+/)[0]].map(value => value.toLowerCase());
+
+  for (const candidate of candidates) {
+    const module = db.modules.find(entry =>
+      [entry.name, entry.label, entry.alias].filter(Boolean).some(value => value.toLowerCase() === candidate) ||
+      entry.packages.some(pattern => pattern.endsWith('*')
+        ? candidate.startsWith(pattern.slice(0, -1).toLowerCase())
+        : candidate === pattern.toLowerCase())
+    );
+    if (module) return module;
+  }
+  return null;
+}
+
+function validate(db) {
+  const files = positional;
+  if (files.length === 0) {
+    throw new Error('validate needs at least one test-result file');
+  }
+
+  let errors = 0;
+  let warnings = 0;
+
+  for (const file of files) {
+    const results = readResults(file);
+    const onRiscv64 = results.arch === 'riscv64';
+
+    console.log(`🔍 ${file}`);
+    console.log(`   ${results.date || 'undated'} on ${results.hardware || 'unknown hardware'} (${results.arch || 'unknown arch'})`);
+
+    if (results.entries.length === 0) {
+      console.log('   ⚠️  No module results found\n');
+      warnings++;
+      continue;
+    }
+
+    for (const { name, text } of results.entries) {
+      const module = lookupModule(db, name);
+      const outcome = classifyOutcome(text);
+
+      if (!module) {
+        console.log(`   ⚠️  ${name}: not in the database ("${text}")`);
+        warnings++;
+        continue;
+      }
+
+      const expected = `${STATUSES[module.status].icon} ${STATUSES[module.status].label}`;
+
+      if (outcome === 'untested') {
+        console.log(`   ⏭️  ${name}: not tested ("${text}")`);
+        continue;
+      }
+
+      if (!CONSISTENT[outcome].includes(module.status)) {
+        const message = `${name}: result is ${outcome} ("${text}") but ${module.name} is ${expected} in the database`;
+        if (onRiscv64) {
+          console.log(`   ❌ ${message}`);
+          errors++;
+        } else {
+          console.log(`   ⚠️  ${message} (not a riscv64 result)`);
+          warnings++;
+        }
+        continue;
+      }
+
+      const lastTested = module.lastTested?.date;
+      if (onRiscv64 && results.date && (!lastTested || results.date > lastTested)) {
+        console.log(`   ⚠️  ${name}: consistent (${expected}), newer than lastTested (${lastTested || 'never'}) - update the database`);
+        warnings++;
+        continue;
+      }
+
+      console.log(`   ✅ ${name}: consistent (${expected})`);
+    }
+    console.log('');
+  }
+
+  console.log('─'.repeat(80));
+  console.log(`📊 ${files.length} file(s): ${errors} contradiction(s), ${warnings} warning(s)\n`);
+
+  return errors > 0 || (hasFlag('strict') && warnings > 0) ? 1 : 0;
+}
+
+function lint(dbFile) {
+  const db = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+  const errors = validateDatabase(db);
+
+  if (errors.length > 0) {
+    console.error(`❌ ${dbFile}:`);
+    for (const error of errors) console.error(`   - ${error}`);
+    return 1;
+  }
+
+  console.log(`✅ ${dbFile}: ${db.modules.length} modules in ${db.tables.length} tables (updated ${db.updated})`);
+  return 0;
+}
+
+function get(db) {
+  const [name, field] = positional;
+  if (!name) {
+    throw new Error('get needs a module name');
+  }
+
+  const module = db.modules.find(entry => entry.name === name);
+  if (!module) {
+    throw new Error(`Unknown module: ${name}`);
+  }
+
+  const value = field ? field.split('.').reduce((object, key) => object?.[key], module) : module;
+  if (value === undefined || value === null) {
+    throw new Error(`${name} has no ${field}`);
+  }
+
+  console.log(typeof value === 'object' ? JSON.stringify(value, null, 2) : value);
+  return 0;
+}
+
+function main() {
+  if (!command || ['help', '--help', '-h'].includes(command)) {
+    showUsage();
+    return 0;
+  }
+
+  const dbFile = getArg('db', DB_FILE);
+  if (command === 'lint') {
+    return lint(dbFile);
+  }
+
+  const db = loadDatabase(dbFile);
+
+  switch (command) {
+    case 'generate': return generate(db);
+    case 'validate': return validate(db);
+    case 'get': return get(db);
+    default: throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+
+/**
+ * Next.js riscv64 Doctor
+ *
+ * Walks through docs/INSTALLATION.md for a project and the host it runs on:
+ * Node.js version and ABI, architecture, glibc, the SWC binding (present,
+ * loadable, glibc it needs), the loader patch, the compiler path and what
+ * forces a slow one (.babelrc, swcMinify: false), the sharp backend and known
+ * broken native dependencies. Each check passes, warns or fails, with the
+ * command or document that fixes it. Bindings and addons are loaded in child
+ * processes, so a crashing binary cannot take the doctor down.
+ *
+ * Usage:
+ *   node scripts/doctor.js [PROJECT_DIR] [--json] [--strict]
+ *
+ * PROJECT_DIR defaults to the current directory. --json prints the checks
+ * for provisioning scripts instead of the list. Exits with 1 if a check
+ * failed (with --strict, also if one warned).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { MODULES, STATUSES } = require('../lib/native-modules');
+const { findNodeFiles, scanProject } = require('../lib/native-scan');
+const { HOOK_COMMAND, inspect } = require('../lib/next-swc-patch');
+const { BABEL_CONFIGS, NATIVE_API, probe, selectSwc, describe } = require('../lib/next-swc-select');
+const { libcInfo } = require('../lib/runtime-diagnostics');
+const { parseVersion, compareVersions, requiredGlibc } = require('../lib/versions');
+
+const args = process.argv.slice(2);
+const hasFlag = name => args.includes(`--${name}`);
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+const NEXT_CONFIGS = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts'];
+
+// Addons compiled with node-gyp, built against one Node.js ABI
+const MAX_ADDONS = 10;
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+/**
+ * A file of this repository: relative when run from inside it, else absolute
+ */
+function repoPath(file) {
+  const full = path.join(PROJECT_ROOT, file);
+  const inside = (process.cwd() + path.sep).startsWith(PROJECT_ROOT + path.sep);
+  return inside ? path.relative(process.cwd(), full) : full;
+}
+
+function command(script, ...rest) {
+  return ['node', repoPath(script), ...rest].join(' ');
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Does a version satisfy an engines range (>=, >, <, <=, ^, = and ||)?
+ *
+ * Returns null for ranges it does not understand.
+ */
+function satisfies(version, range) {
+  const alternatives = range.split('||').map(part => part.trim().replace(/([<>=^]+)\s+/g, '$1'));
+  let understood = true;
+
+  const result = alternatives.some(alternative => alternative.split(/\s+/).filter(Boolean).every(comparator => {
+    const match = comparator.match(/^(>=|<=|>|<|\^|=)?v?(\d+(?:\.\d+){0,2})$/);
+    if (!match) {
+      understood = false;
+      return false;
+    }
+    const [, operator = '=', target] = match;
+    const order = compareVersions(version, target);
+    switch (operator) {
+      case '>=': return order >= 0;
+      case '>': return order > 0;
+      case '<=': return order <= 0;
+      case '<': return order < 0;
+      case '^': return order >= 0 && parseVersion(version)[0] === parseVersion(target)[0];
+      default: return order === 0;
+    }
+  }));
+  return result || understood ? result : null;
+}
+
+/**
+ * Project facts shared by the checks, computed once
+ */
+function gatherContext(projectDir) {
+  const loader = inspect(projectDir);
+  const nextConfigFile = NEXT_CONFIGS.map(name => path.join(projectDir, name)).find(file => fs.existsSync(file)) || null;
+  let scan = null;
+  let scanError = null;
+  try {
+    scan = scanProject(projectDir);
+  } catch (error) {
+    scanError = error.message;
+  }
+
+  return {
+    projectDir,
+    loader,
+    nextMajor: parseInt(loader.nextVersion, 10),
+    manifest: readJson(path.join(projectDir, 'package.json')) || {},
+    nextConfigFile,
+    nextConfig: nextConfigFile ? fs.readFileSync(nextConfigFile, 'utf8') : '',
+    libc: libcInfo(),
+    scan,
+    scanError
+  };
+}
+
+const pass = (message, fix = null) => ({ status: 'pass', message, fix });
+const warn = (message, fix) => ({ status: 'warn', message, fix });
+const fail = (message, fix) => ({ status: 'fail', message, fix });
+
+function checkNode({ projectDir, loader }) {
+  const abi = `ABI ${process.versions.modules}, N-API ${process.versions.napi}`;
+  const installer = fs.readFileSync(path.join(__dirname, 'install-nodejs.sh'), 'utf8');
+  const recommended = installer.match(/^DEFAULT_VERSION="(v[\d.]+)"/m)?.[1];
+  const range = readJson(path.join(projectDir, 'node_modules', 'next', 'package.json'))?.engines?.node;
+
+  if (range && satisfies(process.version, range) === false) {
+    return fail(`${process.version} (${abi}), next ${loader.nextVersion} needs ${range}`, repoPath('scripts/install-nodejs.sh'));
+  }
+  const needs = range ? `, next ${loader.nextVersion} needs ${range}` : '';
+  if (recommended && parseVersion(process.version)[0] < parseVersion(recommended)[0]) {
+    return warn(`${process.version} (${abi})${needs}; the riscv64 builds are tested with ${recommended}`, `${repoPath('scripts/install-nodejs.sh')} ${recommended}`);
+  }
+  return pass(`${process.version} (${abi})${needs}`);
+}
+
+/**
+ * Addons built by node-gyp must match this Node.js ABI
+ */
+function checkAddons({ projectDir, scan, scanError }) {
+  if (!scan) return warn(`cannot scan dependencies: ${scanError}`, 'npm install');
+
+  const addons = scan.modules.flatMap(module => module.packages
+    .filter(pkg => pkg.installed && !pkg.platform)
+    .flatMap(pkg => findNodeFiles(path.join(projectDir, pkg.path, 'build'))
+      .filter(file => /^(Release|Debug)[/\\][^/\\]+\.node$/.test(file))
+      .map(file => ({ name: pkg.name, file: path.join(projectDir, pkg.path, 'build', file) }))))
+    .slice(0, MAX_ADDONS);
+  if (addons.length === 0) return pass('no node-gyp addons to load');
+
+  // Loadable libraries that are not addons (SQLite extensions, ...) do not self-register
+  const broken = addons
+    .map(addon => ({ ...addon, problem: probe(addon.file, projectDir).problem }))
+    .filter(addon => addon.problem && !/did not self-register/.test(addon.problem));
+  if (broken.length > 0) {
+    const names = [...new Set(broken.map(addon => addon.name))];
+    return fail(broken.map(addon => `${addon.name}: ${addon.problem}`).join('; '), `npm rebuild ${names.join(' ')}`);
+  }
+  return pass(`${addons.length} node-gyp addon${addons.length === 1 ? '' : 's'} load with ABI ${process.versions.modules}`);
+}
+
+function checkArch() {
+  if (process.arch === 'riscv64') return pass('linux/riscv64');
+  return warn(`${process.platform}/${process.arch}: the riscv64 checks describe this host instead`,
+    'Run the doctor on the riscv64 board');
+}
+
+function checkGlibc({ libc }) {
+  if (process.platform !== 'linux') return warn(`${process.platform} has no glibc`, 'Use a Linux riscv64 board');
+  if (libc.family === 'musl') {
+    return fail('musl: the riscv64 SWC builds are linux-riscv64-gnu', 'Use a glibc distribution (Debian, Ubuntu, Fedora)');
+  }
+  if (!libc.version) return warn('C library not identified', 'Check `ldd --version`');
+  return pass(`glibc ${libc.version}`);
+}
+
+/**
+ * The binding Next.js loads on this host
+ */
+function bindingFor({ loader, libc }) {
+  if (process.arch === 'riscv64') {
+    return loader.bindingPackage ? { pkg: loader.bindingPackage, binary: loader.binary } : null;
+  }
+  const triple = `${process.platform}-${process.arch}${process.platform === 'linux' ? `-${libc.family === 'musl' ? 'musl' : 'gnu'}` : ''}`;
+  return { pkg: `@next/swc-${triple}`, binary: `next-swc.${triple}.node` };
+}
+
+function checkBinding(context) {
+  const { projectDir, loader, libc } = context;
+  if (loader.state === 'missing') return fail(loader.message, 'npm install');
+
+  const binding = bindingFor(context);
+  const installer = command('scripts/install-riscv64-binaries.js', path.relative(process.cwd(), projectDir) || '.');
+  if (!binding) return fail(`no binding name for linux/riscv64: ${loader.message}`, installer);
+
+  const dir = path.join(projectDir, 'node_modules', binding.pkg);
+  const file = path.join(dir, binding.binary);
+  if (!fs.existsSync(file)) {
+    return fail(`${binding.pkg} not installed`, process.arch === 'riscv64' ? installer : 'npm install');
+  }
+
+  const version = readJson(path.join(dir, 'package.json'))?.version;
+  const glibc = requiredGlibc(file);
+  if (glibc && libc.version && compareVersions(glibc, libc.version) > 0) {
+    return fail(`${binding.pkg} ${version} needs glibc ${glibc}, the host has ${libc.version}`,
+      'Build the binding on this board (docs/BUILDING-SWC.md) or upgrade the distribution');
+  }
+
+  const result = probe(file, projectDir);
+  const missing = result.functions ? NATIVE_API.filter(name => !result.functions.includes(name)) : [];
+  if (result.problem || missing.length > 0) {
+    const problem = result.problem || `API mismatch: does not export ${missing.join(', ')}`;
+    const fix = /^crashed/.test(problem) ? 'Build the binding for this CPU (docs/BUILDING-SWC.md)' : `${installer} --force`;
+    return fail(`${binding.pkg} ${version}: ${problem}`, fix);
+  }
+
+  // Next.js pins its official bindings, sometimes to an earlier patch release
+  const expected = readJson(path.join(projectDir, 'node_modules', 'next', 'package.json'))?.optionalDependencies?.[binding.pkg] || loader.nextVersion;
+  const needs = glibc ? `, needs glibc ${glibc}` : '';
+  if (version && version !== expected) {
+    return warn(`${binding.pkg} ${version} loads${needs}, but next ${loader.nextVersion} expects ${expected}`,
+      process.arch === 'riscv64' ? `${installer} --force` : 'npm install');
+  }
+  return pass(`${binding.pkg} ${version} loads${needs}`);
+}
+
+function checkLoader({ projectDir, loader, manifest }) {
+  if (loader.state === 'missing') return fail(loader.message, 'npm install');
+
+  const patcher = command('patches/patch-next-swc-loader.js', 'apply', path.relative(process.cwd(), projectDir) || '.');
+  if (process.arch !== 'riscv64') {
+    return pass(`not needed on ${process.platform}/${process.arch} (${loader.message.toLowerCase()})`);
+  }
+  if (loader.state === 'upstream') return pass(loader.message);
+  if (loader.state === 'legacy') return warn(loader.message, patcher);
+  if (loader.state !== 'patched') return fail(`${loader.message} (next ${loader.nextVersion})`, patcher);
+
+  const postinstall = manifest.scripts?.postinstall || '';
+  if (!HOOK_COMMAND.test(postinstall) && !/install-riscv64-binaries\.js/.test(postinstall)) {
+    return warn(`patched for next ${loader.patchedFor}, but npm install will drop the patch`,
+      patcher.replace(' apply ', ' hook '));
+  }
+  return pass(`patched for next ${loader.patchedFor}, re-applied by postinstall`);
+}
+
+function checkCompiler({ projectDir }) {
+  let selection;
+  try {
+    selection = selectSwc(projectDir);
+  } catch (error) {
+    return fail(error.message, 'Unset NEXT_RISCV64_SWC or set it to native, wasm or babel');
+  }
+  const line = describe(selection).replace(/^\S+\s+SWC: /, '');
+  if (!selection.path) return fail(line, 'Fix the SWC binding and loader checks above');
+  if (selection.path !== 'native' || selection.forced) {
+    return warn(`${line} (slower than native SWC)`, 'Fix the SWC binding, then unset NEXT_RISCV64_SWC');
+  }
+  return pass(line);
+}
+
+function usesSelection(nextConfig) {
+  return /withRiscv64Swc/.test(nextConfig);
+}
+
+function checkBabel({ projectDir, nextConfig, nextMajor }) {
+  const config = BABEL_CONFIGS.find(name => fs.existsSync(path.join(projectDir, name)));
+  if (!config) return pass('no Babel config');
+  if (usesSelection(nextConfig)) return pass(`${config} present, withRiscv64Swc() decides whether it is used`);
+  if (/forceSwcTransforms\s*:\s*true/.test(nextConfig)) return pass(`${config} present, ignored (forceSwcTransforms)`);
+
+  const cost = nextMajor >= 14 ? 'Babel transforms, and no next/font' : 'Babel transforms instead of SWC';
+  return warn(`${config} makes Next.js use ${cost}`,
+    `Remove ${config} once native SWC loads, or wrap next.config.js with withRiscv64Swc() (docs/SWC-WORKAROUNDS.md)`);
+}
+
+function checkMinify({ nextConfig, nextConfigFile, nextMajor }) {
+  const forced = process.env.NEXT_RISCV64_SWC_MINIFY;
+  if (nextMajor >= 15) return pass(`Next.js ${nextMajor} always minifies with SWC`);
+  if (forced === 'off') return warn('NEXT_RISCV64_SWC_MINIFY=off: Terser minification (slower)', 'Unset NEXT_RISCV64_SWC_MINIFY');
+  if (usesSelection(nextConfig)) return pass('swcMinify set by withRiscv64Swc() to match the compiler path');
+  if (/swcMinify\s*:\s*false/.test(nextConfig)) {
+    return warn(`${path.basename(nextConfigFile)} sets swcMinify: false (Terser, slower)`, 'Remove swcMinify: false once native SWC loads');
+  }
+  return pass('SWC minification');
+}
+
+function checkSharp({ projectDir, nextMajor }) {
+  const script = `console.log(JSON.stringify(require(${JSON.stringify(require.resolve('../lib/runtime-diagnostics'))}).sharpInfo(${JSON.stringify(projectDir)})))`;
+  const result = spawnSync(process.execPath, ['-e', script], { cwd: projectDir, encoding: 'utf8', timeout: 60000 });
+  const remediation = MODULES.find(module => module.name === 'sharp')?.remediation || 'npm install --cpu=wasm32 sharp';
+
+  if (result.signal) return fail(`crashed: ${result.signal} while loading sharp`, 'Rebuild libvips and sharp (docs/BUILDING-LIBVIPS.md)');
+  let sharp;
+  try {
+    sharp = JSON.parse(result.stdout.trim().split('\n').pop());
+  } catch (error) {
+    return fail(`could not inspect sharp: ${(result.stderr || 'no output').trim().split('\n')[0]}`, 'npm install');
+  }
+
+  if (sharp.backend === 'native') {
+    return pass(`sharp ${sharp.version}, native libvips ${sharp.libvips}${sharp.package ? ` (${sharp.package})` : ''}`);
+  }
+  if (sharp.backend === 'wasm') {
+    return warn(`sharp ${sharp.version}, WASM libvips ${sharp.libvips} (slower than native)`, 'Build libvips for native sharp (docs/BUILDING-LIBVIPS.md)');
+  }
+  if (sharp.installed) return fail(`sharp does not load: ${sharp.error}`, remediation);
+  if (sharp.backend === 'squoosh') {
+    return warn(`sharp not installed: Next.js ${nextMajor} falls back to squoosh (WASM, slow)`, remediation);
+  }
+  return warn('sharp not installed: next/image optimization needs it', remediation);
+}
+
+function checkDependencies({ scan, scanError }) {
+  if (!scan) return fail(`cannot scan dependencies: ${scanError}`, 'npm install');
+
+  // The SWC binding has its own checks
+  const modules = scan.modules.filter(module => module.name !== '@next/swc');
+  const describeModules = list => list.map(module => `${module.name} (${STATUSES[module.status].label})`).join(', ');
+  const fixes = list => [...new Set(list.map(module => `${module.name}: ${module.remediation}`))].join('; ');
+
+  const broken = modules.filter(module => module.status === 'broken');
+  if (broken.length > 0) return fail(describeModules(broken), fixes(broken));
+
+  const attention = modules.filter(module => module.status === 'source' || module.status === 'no-support');
+  if (attention.length > 0) return warn(describeModules(attention), fixes(attention));
+
+  return pass(`${modules.length} native module${modules.length === 1 ? '' : 's'}, none known to be broken on riscv64`);
+}
+
+const CHECKS = [
+  { id: 'node', title: 'Node.js', run: checkNode },
+  { id: 'abi', title: 'Native addons', run: checkAddons },
+  { id: 'arch', title: 'Architecture', run: checkArch },
+  { id: 'glibc', title: 'C library', run: checkGlibc },
+  { id: 'swc-binding', title: 'SWC binding', run: checkBinding },
+  { id: 'swc-loader', title: 'Loader patch', run: checkLoader },
+  { id: 'compiler', title: 'Compiler path', run: checkCompiler },
+  { id: 'babel', title: 'Babel config', run: checkBabel },
+  { id: 'swc-minify', title: 'Minification', run: checkMinify },
+  { id: 'sharp', title: 'sharp backend', run: checkSharp },
+  { id: 'native-deps', title: 'Native deps', run: checkDependencies }
+];
+
+/**
+ * Run every check against a project
+ */
+function runDoctor(projectDir) {
+  const context = gatherContext(projectDir);
+  const checks = CHECKS.map(({ id, title, run }) => {
+    try {
+      return { id, title, ...run(context) };
+    } catch (error) {
+      return { id, title, status: 'fail', message: `check failed: ${error.message}`, fix: null };
+    }
+  });
+
+  const counts = { pass: 0, warn: 0, fail: 0 };
+  checks.forEach(check => counts[check.status]++);
+  return {
+    project: projectDir,
+    nextVersion: context.loader.nextVersion,
+    host: {
+      node: process.version,
+      abi: process.versions.modules,
+      napi: process.versions.napi,
+      platform: process.platform,
+      arch: process.arch,
+      libc: context.libc
+    },
+    checks,
+    counts
+  };
+}
+
+function printResult(result) {
+  const libc = result.host.libc.family ? `, ${result.host.libc.family} ${result.host.libc.version || ''}`.trimEnd() : '';
+  console.log('🩺 Next.js riscv64 doctor\n');
+  console.log(`  Project: ${path.relative(process.cwd(), result.project) || '.'} (next ${result.nextVersion || 'not installed'})`);
+  console.log(`  Host:    ${result.host.platform}/${result.host.arch}, Node.js ${result.host.node}${libc}\n`);
+
+  for (const check of result.checks) {
+    console.log(`  ${ICONS[check.status]} ${check.title.padEnd(15)} ${check.message}`);
+    if (check.status !== 'pass' && check.fix) {
+      console.log(`     → ${check.fix}`);
+    }
+  }
+
+  const { pass: passed, warn: warnings, fail: failed } = result.counts;
+  console.log(`\n${failed > 0 ? '❌' : warnings > 0 ? '⚠️ ' : '✅'} ${passed} passed, ${warnings} warning${warnings === 1 ? '' : 's'}, ${failed} failed`);
+}
+
+function main() {
+  if (hasFlag('help') || hasFlag('h') || args[0] === 'help') {
+    showUsage();
+    return 0;
+  }
+
+  const projectDir = path.resolve(args.find(arg => !arg.startsWith('--')) || '.');
+  if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
+    throw new Error(`No package.json in ${projectDir}`);
+  }
+
+  const result = runDoctor(projectDir);
+  if (hasFlag('json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printResult(result);
+  }
+
+  if (result.counts.fail > 0) return 1;
+  return hasFlag('strict') && result.counts.warn > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
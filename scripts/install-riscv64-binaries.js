@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * riscv64 Binaries Installer for Next.js
+ *
+ * Installs the @next/swc riscv64 binary matching the Next.js version found in
+ * the project's node_modules, under the package name that version's loader
+ * looks for, then applies the loader patch (lib/next-swc-patch.js). Never
+ * prompts, so it can run from provisioning scripts, Dockerfiles and
+ * postinstall hooks.
+ *
+ * Usage:
+ *   node scripts/install-riscv64-binaries.js [PROJECT_DIR] [--from=DIR|TARBALL|URL]
+ *                                            [--version=X.Y.Z] [--build=N]
+ *                                            [--skip-checksum] [--allow-version-mismatch]
+ *                                            [--no-patch] [--force] [--any-arch]
+ *                                            [--timeout=MS]
+ *
+ * PROJECT_DIR defaults to the current directory. --version defaults to the
+ * installed `next` version; a different one is refused unless
+ * --allow-version-mismatch is given.
+ *
+ * --from picks where the binary comes from (default: the GitHub releases of
+ * the repository in docs/native-deps.json):
+ *   DIR      a local directory: a build output (scripts/build-native-swc.sh)
+ *            or a copy of the releases, one v{version}-riscv64-{build}/ per release
+ *   TARBALL  a .tar.gz/.tgz of either layout
+ *   URL      a mirror of the releases (BASE/v{version}-riscv64-{build}/FILE),
+ *            or the URL of a tarball
+ *
+ * The binary must be listed in a SHA256SUMS file next to it; a missing file
+ * or entry is an error unless --skip-checksum is given. An identical binary
+ * already in place is left alone unless --force is given.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { MODULES } = require('../lib/native-modules');
+const { inspect, apply } = require('../lib/next-swc-patch');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+const SWC = MODULES.find(module => module.name === '@next/swc');
+const { repository, tag: TAG_FORMAT, binary: BINARY, checksums: CHECKSUMS } = SWC.release;
+const RELEASES_URL = `https://github.com/${repository}/releases/download`;
+
+const TARBALL = /\.(tar\.gz|tgz)$/;
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+function releaseTag(version, build) {
+  return TAG_FORMAT.replace('{version}', version).replace('{build}', build);
+}
+
+function sha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Version of `next` installed in the project
+ */
+function installedNextVersion(projectDir) {
+  if (!fs.existsSync(path.join(projectDir, 'package.json'))) {
+    throw new Error(`package.json not found in ${projectDir}`);
+  }
+
+  const manifest = path.join(projectDir, 'node_modules', 'next', 'package.json');
+  if (!fs.existsSync(manifest)) {
+    throw new Error(`Next.js not found in ${projectDir}/node_modules; run 'npm install' first`);
+  }
+  return JSON.parse(fs.readFileSync(manifest, 'utf8')).version;
+}
+
+async function download(url, file, timeout) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  fs.writeFileSync(file, Buffer.from(await response.arrayBuffer()));
+}
+
+function extractTarball(tarball, dir) {
+  const result = spawnSync('tar', ['-xzf', tarball, '-C', dir], { encoding: 'utf8' });
+  if (result.status !== 0) {
+    throw new Error(`Cannot extract ${tarball}: ${(result.stderr || result.error?.message || '').trim()}`);
+  }
+}
+
+/**
+ * Directory holding the binary in a local tree: the release directory, a
+ * build output directory, or a tarball's single top-level directory
+ */
+function findBinaryDir(root, tag, version) {
+  const candidates = [path.join(root, tag), path.join(root, `v${version}`), root];
+
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      const dir = path.join(root, entry.name);
+      candidates.push(path.join(dir, tag), path.join(dir, `v${version}`), dir);
+    }
+  }
+
+  const found = candidates.find(dir => fs.existsSync(path.join(dir, BINARY)));
+  if (!found) {
+    throw new Error(`${BINARY} not found in ${root} (looked for ${tag}/, v${version}/ and the top level)`);
+  }
+  return found;
+}
+
+/**
+ * Fetch the binary and its checksums into a working directory
+ *
+ * Returns the directory holding BINARY and, when available, CHECKSUMS and
+ * the build's package.json.
+ */
+async function fetchRelease(from, tag, version, workDir, timeout) {
+  if (/^https?:\/\//.test(from)) {
+    if (TARBALL.test(from)) {
+      const tarball = path.join(workDir, path.basename(new URL(from).pathname));
+      console.log(`  ⬇️  ${from}`);
+      await download(from, tarball, timeout);
+      extractTarball(tarball, workDir);
+      return findBinaryDir(workDir, tag, version);
+    }
+
+    const base = `${from.replace(/\/+$/, '')}/${tag}`;
+    console.log(`  ⬇️  ${base}/${BINARY}`);
+    try {
+      await download(`${base}/${BINARY}`, path.join(workDir, BINARY), timeout);
+    } catch (error) {
+      throw new Error(`${error.message}\n   No ${tag} binary there; build one with scripts/build-native-swc.sh v${version} and pass --from=./builds`);
+    }
+    try {
+      await download(`${base}/${CHECKSUMS}`, path.join(workDir, CHECKSUMS), timeout);
+    } catch (error) {
+      console.log(`  ⚠️  No ${CHECKSUMS}: ${error.message}`);
+    }
+    return workDir;
+  }
+
+  const source = path.resolve(from);
+  if (!fs.existsSync(source)) {
+    throw new Error(`--from ${from}: not found`);
+  }
+  if (fs.statSync(source).isDirectory()) {
+    return findBinaryDir(source, tag, version);
+  }
+  if (TARBALL.test(source)) {
+    extractTarball(source, workDir);
+    return findBinaryDir(workDir, tag, version);
+  }
+  throw new Error(`--from ${from}: expected a directory, a .tar.gz/.tgz tarball or an http(s) URL`);
+}
+
+/**
+ * Check the binary against SHA256SUMS; returns its hash
+ */
+function verifyChecksum(dir, skip) {
+  const hash = sha256(path.join(dir, BINARY));
+  const sumsFile = path.join(dir, CHECKSUMS);
+
+  const expected = fs.existsSync(sumsFile)
+    ? fs.readFileSync(sumsFile, 'utf8').split('\n')
+      .map(line => line.trim().match(/^([0-9a-f]{64})\s+\*?(.+)$/i))
+      .find(match => match && path.basename(match[2]) === BINARY)?.[1].toLowerCase()
+    : null;
+
+  if (!expected) {
+    const reason = fs.existsSync(sumsFile) ? `${BINARY} is not listed in ${CHECKSUMS}` : `no ${CHECKSUMS} next to ${BINARY}`;
+    if (!skip) {
+      throw new Error(`Cannot verify the binary: ${reason} (pass --skip-checksum to install it anyway)`);
+    }
+    console.log(`  ⚠️  Checksum NOT verified (${reason}, --skip-checksum)`);
+    return hash;
+  }
+
+  if (expected !== hash) {
+    throw new Error(`Checksum mismatch for ${BINARY}: expected ${expected}, got ${hash}`);
+  }
+  console.log(`  ✅ Checksum verified (sha256 ${hash.slice(0, 16)}…)`);
+  return hash;
+}
+
+/**
+ * Version a local build was made for, from its package.json (null if unknown)
+ */
+function builtVersion(dir) {
+  const manifest = path.join(dir, 'package.json');
+  if (!fs.existsSync(manifest)) return null;
+
+  const pkg = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+  return SWC.riscv64Packages.includes(pkg.name) ? pkg.version : null;
+}
+
+/**
+ * Install the release binary as the binding package the loader looks for
+ */
+function installPackage(projectDir, dir, version, { bindingPackage, binary }) {
+  const pkgDir = path.join(projectDir, 'node_modules', bindingPackage);
+  fs.mkdirSync(pkgDir, { recursive: true });
+  fs.copyFileSync(path.join(dir, BINARY), path.join(pkgDir, binary));
+  fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({
+    name: bindingPackage,
+    version,
+    main: binary,
+    os: ['linux'],
+    cpu: ['riscv64']
+  }, null, 2) + '\n');
+  return pkgDir;
+}
+
+function applyPatch(projectDir) {
+  const result = apply(projectDir);
+  console.log(result.changed ? `  ✅ Loader patch applied (linux.${result.key})` : `  ✅ Loader patch: ${result.message}`);
+}
+
+function testLoad(file) {
+  const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(file)})`], {
+    encoding: 'utf8'
+  });
+  if (result.status !== 0) {
+    throw new Error(`The binary does not load: ${result.stderr.trim().split('\n')[0]}`);
+  }
+  console.log('  ✅ Binary loads');
+}
+
+async function main() {
+  if (hasFlag('help') || hasFlag('h')) {
+    showUsage();
+    return;
+  }
+
+  const projectDir = path.resolve(args.find(arg => !arg.startsWith('--')) || '.');
+  const from = getArg('from', RELEASES_URL);
+  const build = getArg('build', '1');
+  const timeout = parseInt(getArg('timeout', '300000'), 10);
+
+  console.log('🚀 riscv64 Binaries Installer for Next.js\n');
+
+  if (process.arch !== 'riscv64' && !hasFlag('any-arch')) {
+    throw new Error(`This installs riscv64 binaries, but this machine is ${process.arch} (pass --any-arch to install anyway)`);
+  }
+
+  const nextVersion = installedNextVersion(projectDir);
+  const version = getArg('version', nextVersion).replace(/^v/, '');
+  const tag = releaseTag(version, build);
+
+  // 13.x loads @next/swc-linux-riscv64gc-gnu, 14.x and later @next/swc-linux-riscv64-gnu
+  const binding = inspect(projectDir);
+  if (!binding.bindingPackage) {
+    throw new Error(`Cannot tell which binding package Next.js ${nextVersion} loads: ${binding.message}`);
+  }
+
+  console.log(`  Project: ${projectDir}`);
+  console.log(`  Next.js: ${nextVersion}`);
+  console.log(`  Binary:  ${binding.bindingPackage} ${version} (${tag})`);
+  console.log(`  From:    ${from}\n`);
+
+  if (version !== nextVersion && !hasFlag('allow-version-mismatch')) {
+    throw new Error(`--version ${version} does not match the installed Next.js ${nextVersion} (pass --allow-version-mismatch to install it anyway)`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nextjs-riscv64-'));
+  try {
+    const dir = await fetchRelease(from, tag, version, workDir, timeout);
+
+    const built = builtVersion(dir);
+    if (built && built.replace(/^v/, '') !== version && !hasFlag('allow-version-mismatch')) {
+      throw new Error(`${dir} holds a binary built for ${built}, not ${version} (pass --allow-version-mismatch to install it anyway)`);
+    }
+
+    const hash = verifyChecksum(dir, hasFlag('skip-checksum'));
+
+    const target = path.join(projectDir, 'node_modules', binding.bindingPackage, binding.binary);
+    if (fs.existsSync(target) && sha256(target) === hash && !hasFlag('force')) {
+      console.log(`  ✅ ${binding.bindingPackage} already installed (identical binary)`);
+    } else {
+      const pkgDir = installPackage(projectDir, dir, version, binding);
+      console.log(`  📦 Installed to ${path.relative(projectDir, pkgDir)}`);
+    }
+
+    if (!hasFlag('no-patch')) {
+      applyPatch(projectDir);
+    }
+
+    if (process.arch === 'riscv64') {
+      testLoad(target);
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ Installation complete! Run \'npm run build\' to test.');
+  console.log('   Run this again after updating Next.js to install the matching binary.\n');
+}
+
+main().catch(error => {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exit(1);
+});
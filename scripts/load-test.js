@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * Load Test for the Next.js Test Apps
+ *
+ * Runs `next start` for each app and loads the static (/ssg), dynamic (/ssr)
+ * and API (/api/test) routes with a closed-loop load generator
+ * (lib/load-generator.js): requests per second, latency percentiles, error
+ * rate, and the server's RSS sampled over time. Results carry the machine,
+ * Node.js and Next.js versions so runs from different routers, Node.js
+ * versions and boards can be compared.
+ *
+ * Usage:
+ *   node scripts/load-test.js [--app=app-router|pages-router|both]
+ *                             [--routes=/ssg,/ssr,/api/test] [--concurrency=10[,50,...]]
+ *                             [--duration=30] [--warmup=5] [--timeout=MS]
+ *                             [--max-error-rate=0.01] [--build]
+ *                             [--output=BASE] [--report=FORMATS]
+ *   node scripts/load-test.js compare BASELINE.json OTHER.json
+ *
+ * --duration and --warmup are seconds per route and concurrency level. A
+ * list of concurrency levels runs each route once per level. Results go to
+ * BASE.json (default docs/testing/load-test-TIMESTAMP.json); --report adds
+ * Markdown, HTML, CSV or JUnit renderings next to it. A run whose error rate
+ * is above --max-error-rate fails (exit code 1).
+ *
+ * The load generator runs on the same machine as the server and takes CPU
+ * from it; for absolute numbers run it from another host against a running
+ * server, for comparisons keep the setup identical.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { startNextServer, ensureBuild } = require('../lib/next-server');
+const { runLoad } = require('../lib/load-generator');
+const { collectSystemInfo, createReport, addSuite, addCase, parseFormats, writeReport } = require('../lib/report');
+
+const [first, ...rest] = process.argv.slice(2);
+const command = first && !first.startsWith('--') ? first : 'run';
+const args = command === 'run' ? process.argv.slice(2) : rest;
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const getListArg = (name, fallback) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean) || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const TESTS_DIR = path.join(PROJECT_ROOT, 'tests');
+
+const CONFIG = {
+  apps: getArg('app', 'both') === 'both' ? ['app-router', 'pages-router'] : [getArg('app')],
+  routes: getListArg('routes', ['/ssg', '/ssr', '/api/test']),
+  concurrency: getListArg('concurrency', ['10']).map(Number),
+  durationMs: Number(getArg('duration', '30')) * 1000,
+  warmupMs: Number(getArg('warmup', '5')) * 1000,
+  timeoutMs: Number(getArg('timeout', '30000')),
+  maxErrorRate: Number(getArg('max-error-rate', '0.01')),
+  build: hasFlag('build')
+};
+
+const MB = 1024 * 1024;
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+/**
+ * Numeric options that are out of range or not numbers at all, as given
+ */
+function invalidOptions() {
+  const valid = {
+    concurrency: CONFIG.concurrency.every(value => Number.isInteger(value) && value >= 1),
+    duration: CONFIG.durationMs > 0,
+    warmup: CONFIG.warmupMs >= 0,
+    timeout: CONFIG.timeoutMs > 0,
+    'max-error-rate': CONFIG.maxErrorRate >= 0 && CONFIG.maxErrorRate <= 1
+  };
+  return Object.keys(valid).filter(name => !valid[name]).map(name => `--${name}=${getArg(name)}`);
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function installedVersion(appDir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(appDir, 'node_modules', name, 'package.json'), 'utf8')).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+const fmt = (value, unit = '') => (value === null || value === undefined ? '-' : `${value}${unit}`);
+
+/**
+ * RSS summary of a run's timeline
+ */
+function rssSummary(timeline) {
+  const samples = timeline.map(slot => slot.rssMB).filter(value => value !== null);
+  if (samples.length === 0) return null;
+  return { startMB: samples[0], peakMB: Math.max(...samples), endMB: samples[samples.length - 1] };
+}
+
+/**
+ * Load every route of one app at every concurrency level
+ */
+async function testApp(app) {
+  const appDir = path.join(TESTS_DIR, app);
+  if (!fs.existsSync(path.join(appDir, 'package.json'))) {
+    throw new Error(`Unknown app: ${app}`);
+  }
+
+  console.log(`\n📦 ${app}`);
+  ensureBuild(appDir, { force: CONFIG.build });
+
+  const server = await startNextServer(appDir, { timeoutMs: 300000 });
+  const idleRss = server.rss();
+  console.log(`  Server ready on ${server.url} in ${server.startupMs}ms${idleRss ? `, RSS ${(idleRss / MB).toFixed(0)}MB` : ''}\n`);
+
+  const result = {
+    next: installedVersion(appDir, 'next'),
+    startupMs: server.startupMs,
+    idleRssMB: idleRss ? Number((idleRss / MB).toFixed(1)) : null,
+    runs: []
+  };
+
+  try {
+    for (const route of CONFIG.routes) {
+      for (const concurrency of CONFIG.concurrency) {
+        process.stdout.write(`  ${route.padEnd(12)} c=${String(concurrency).padEnd(4)} `);
+        const run = await runLoad(server.url + route, {
+          concurrency,
+          durationMs: CONFIG.durationMs,
+          warmupMs: CONFIG.warmupMs,
+          timeoutMs: CONFIG.timeoutMs,
+          sample: server.rss
+        });
+        const timeline = run.timeline.map(({ sample, ...slot }) => ({ ...slot, rssMB: sample === null ? null : Number((sample / MB).toFixed(1)) }));
+        const entry = { route, concurrency, ...run, timeline, rss: rssSummary(timeline) };
+        result.runs.push(entry);
+
+        const errors = run.errors.count > 0 ? `, ${run.errors.count} errors (${(run.errors.rate * 100).toFixed(1)}%)` : '';
+        console.log(
+          `${run.errors.rate > CONFIG.maxErrorRate ? '❌' : '✓'} ${run.rps} req/s, ` +
+          `p50 ${fmt(run.latency?.p50, 'ms')}, p99 ${fmt(run.latency?.p99, 'ms')}` +
+          `${entry.rss ? `, peak RSS ${entry.rss.peakMB.toFixed(0)}MB` : ''}${errors}`
+        );
+      }
+    }
+  } finally {
+    await server.stop();
+  }
+
+  return result;
+}
+
+function printSummary(results) {
+  console.log('\n📈 Summary\n');
+  console.log('─'.repeat(96));
+  console.log(
+    'App'.padEnd(14) + 'Route'.padEnd(12) + 'Conc'.padEnd(6) + 'Req/s'.padEnd(10) + 'p50'.padEnd(10) +
+    'p90'.padEnd(10) + 'p99'.padEnd(10) + 'Errors'.padEnd(10) + 'RSS start/peak/end'
+  );
+  console.log('─'.repeat(96));
+
+  for (const [app, appResult] of Object.entries(results.apps)) {
+    if (appResult.error) {
+      console.log(`${app.padEnd(14)}❌ ${appResult.error}`);
+      continue;
+    }
+    for (const run of appResult.runs) {
+      console.log(
+        app.padEnd(14) + run.route.padEnd(12) + String(run.concurrency).padEnd(6) +
+        String(run.rps).padEnd(10) + fmt(run.latency?.p50, 'ms').padEnd(10) +
+        fmt(run.latency?.p90, 'ms').padEnd(10) + fmt(run.latency?.p99, 'ms').padEnd(10) +
+        `${(run.errors.rate * 100).toFixed(1)}%`.padEnd(10) +
+        (run.rss ? `${run.rss.startMB.toFixed(0)}/${run.rss.peakMB.toFixed(0)}/${run.rss.endMB.toFixed(0)}MB` : '-')
+      );
+    }
+  }
+  console.log('─'.repeat(96));
+}
+
+/**
+ * The results in the shared report schema: one suite per app, one case per run
+ */
+function toReport(results) {
+  const report = createReport({ tool: 'load-test', title: 'Next.js Load Test - riscv64', system: results.system });
+  report.metrics['Duration per run'] = `${CONFIG.durationMs / 1000}s (+${CONFIG.warmupMs / 1000}s warm-up)`;
+  report.metrics['Max error rate'] = `${CONFIG.maxErrorRate * 100}%`;
+
+  for (const [app, appResult] of Object.entries(results.apps)) {
+    if (appResult.next) report.packages[`Next.js (${app})`] = appResult.next;
+
+    const suite = addSuite(report, {
+      name: app,
+      command: 'next start',
+      status: appResult.error ? 'error' : null,
+      notes: appResult.error || `Started in ${appResult.startupMs}ms, idle RSS ${fmt(appResult.idleRssMB, 'MB')}`
+    });
+    for (const run of appResult.runs || []) {
+      addCase(suite, {
+        name: `${run.route} (c=${run.concurrency})`,
+        status: run.errors.rate > CONFIG.maxErrorRate ? 'failed' : 'passed',
+        durationMs: run.durationMs,
+        message: run.errors.count > 0 ? Object.entries(run.errors.byKind).map(([kind, count]) => `${kind} x${count}`).join(', ') : null,
+        metrics: {
+          'Req/s': run.rps,
+          'p50 ms': run.latency?.p50 ?? null,
+          'p90 ms': run.latency?.p90 ?? null,
+          'p99 ms': run.latency?.p99 ?? null,
+          'Error rate': `${(run.errors.rate * 100).toFixed(2)}%`,
+          'Peak RSS MB': run.rss?.peakMB ?? null
+        }
+      });
+    }
+  }
+  return report;
+}
+
+async function run() {
+  const invalid = invalidOptions();
+  if (CONFIG.routes.some(route => !route.startsWith('/'))) {
+    invalid.push(`--routes=${getArg('routes')} (routes start with /)`);
+  }
+  if (invalid.length > 0) {
+    console.error(`❌ Invalid option: ${invalid.join(', ')}\n`);
+    showUsage();
+    return 1;
+  }
+
+  const base = path.resolve(getArg('output', path.join(PROJECT_ROOT, 'docs', 'testing', `load-test-${timestamp()}`)));
+  const formats = getArg('report') ? parseFormats(getArg('report')).filter(format => format !== 'json') : [];
+
+  const results = {
+    date: new Date().toISOString(),
+    system: collectSystemInfo(),
+    config: CONFIG,
+    apps: {}
+  };
+
+  console.log('🏋️  Next.js Load Test\n');
+  console.log(`  Machine: ${results.system.hardware || results.system.arch}, ${results.system.cpus} CPUs, ${results.system.memory}`);
+  console.log(`  Node.js: ${process.version}`);
+  console.log(`  Routes:  ${CONFIG.routes.join(', ')} at concurrency ${CONFIG.concurrency.join(', ')}`);
+  console.log(`  Runs:    ${CONFIG.durationMs / 1000}s each after ${CONFIG.warmupMs / 1000}s warm-up`);
+
+  for (const app of CONFIG.apps) {
+    try {
+      results.apps[app] = await testApp(app);
+    } catch (error) {
+      console.error(`  ❌ ${error.message}`);
+      if (error.logs) console.error(error.logs.split('\n').slice(-20).join('\n'));
+      results.apps[app] = { error: error.message };
+    }
+  }
+
+  printSummary(results);
+
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(results, null, 2) + '\n');
+  console.log(`\n💾 Results saved to: ${base}.json`);
+  for (const file of writeReport(toReport(results), base, formats)) {
+    console.log(`📄 Report saved to: ${file}`);
+  }
+
+  const failed = Object.values(results.apps).some(appResult =>
+    appResult.error || appResult.runs.some(entry => entry.errors.rate > CONFIG.maxErrorRate)
+  );
+  console.log(failed ? '\n⚠️  Load test finished with errors\n' : '\n✅ Load test complete!\n');
+  return failed ? 1 : 0;
+}
+
+/**
+ * Side-by-side comparison of two result files
+ */
+function compare() {
+  const files = args.filter(arg => !arg.startsWith('--'));
+  if (files.length !== 2) {
+    throw new Error('Usage: compare BASELINE.json OTHER.json');
+  }
+
+  const [baseline, other] = files.map((file) => {
+    const results = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!results.apps || !results.system) {
+      throw new Error(`${file} is not a load-test result file`);
+    }
+    return results;
+  });
+  const label = results => `${results.system.hardware || results.system.arch}, Node.js ${results.system.node}`;
+  const change = (a, b) => (a && b ? `${b >= a ? '+' : ''}${((b - a) / a * 100).toFixed(0)}%` : '-');
+
+  console.log('⚖️  Load Test Comparison\n');
+  console.log(`  A: ${files[0]} (${label(baseline)})`);
+  console.log(`  B: ${files[1]} (${label(other)})\n`);
+  console.log('─'.repeat(100));
+  console.log(
+    'App / route'.padEnd(28) + 'Req/s A'.padEnd(10) + 'Req/s B'.padEnd(10) + 'Δ'.padEnd(8) +
+    'p99 A'.padEnd(11) + 'p99 B'.padEnd(11) + 'Δ'.padEnd(8) + 'Peak RSS A/B'
+  );
+  console.log('─'.repeat(100));
+
+  for (const [app, appResult] of Object.entries(baseline.apps)) {
+    for (const runA of appResult.runs || []) {
+      const runB = other.apps[app]?.runs?.find(entry => entry.route === runA.route && entry.concurrency === runA.concurrency);
+      console.log(
+        `${app} ${runA.route} c=${runA.concurrency}`.padEnd(28) +
+        String(runA.rps).padEnd(10) + fmt(runB?.rps).padEnd(10) + change(runA.rps, runB?.rps).padEnd(8) +
+        fmt(runA.latency?.p99, 'ms').padEnd(11) + fmt(runB?.latency?.p99, 'ms').padEnd(11) +
+        change(runA.latency?.p99, runB?.latency?.p99).padEnd(8) +
+        `${fmt(runA.rss?.peakMB.toFixed(0))}/${fmt(runB?.rss?.peakMB.toFixed(0))}MB`
+      );
+    }
+  }
+  console.log('─'.repeat(100));
+  return 0;
+}
+
+async function main() {
+  if (hasFlag('help') || command === 'help') {
+    showUsage();
+    return 0;
+  }
+
+  switch (command) {
+    case 'run':
+      return run();
+    case 'compare':
+      return compare();
+    default:
+      throw new Error(`Unknown command: ${command} (use compare, or options only to run)`);
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
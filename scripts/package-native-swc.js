@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * Native SWC Packager for riscv64
+ *
+ * Turns the output of scripts/build-native-swc.sh into a publishable npm
+ * package and a release directory that scripts/install-riscv64-binaries.js
+ * can install from (--from=OUT_DIR), then installs the packed tarball in a
+ * scratch project to check it.
+ *
+ * Usage:
+ *   node scripts/package-native-swc.js BUILD_DIR [--out=DIR] [--package=NAME]
+ *                                      [--version=X.Y.Z] [--build=N]
+ *                                      [--commit=SHA] [--skip-smoke-test]
+ *                                      [--any-arch]
+ *
+ * BUILD_DIR is a build-native-swc.sh output directory (e.g. builds/v13.5.6).
+ * --out defaults to ./dist; the result goes to OUT/v{version}-riscv64-{build}/:
+ *
+ *   next-swc.linux-riscv64gc-gnu.node       the binary, as the release asset
+ *   next-swc-linux-riscv64gc-gnu-X.Y.Z.tgz  the npm package (npm pack)
+ *   provenance.json                         how and from what it was built
+ *   SHA256SUMS                              checksums of the three files
+ *
+ * --package defaults to the name the loader of that Next.js version looks
+ * for: @next/swc-linux-riscv64gc-gnu up to 13.x, @next/swc-linux-riscv64-gnu
+ * from 14.x. The provenance comes from the PROVENANCE.json written by
+ * build-native-swc.sh; for older builds it is read from BUILD-INFO.md and the
+ * source commit must be given with --commit.
+ *
+ * The smoke test installs the tarball with npm and checks the installed
+ * binary; on riscv64 it also loads it and checks the API Next.js calls.
+ * The release directory only appears (replacing an earlier one) once the
+ * smoke test has passed.
+ * --any-arch packages (and smoke-installs) a binary for another architecture.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { MODULES } = require('../lib/native-modules');
+const { NATIVE_API, probe } = require('../lib/next-swc-select');
+const { requiredGlibc } = require('../lib/versions');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+const SWC = MODULES.find(module => module.name === '@next/swc');
+const { tag: TAG_FORMAT, binary: BINARY, checksums: CHECKSUMS, provenance: PROVENANCE } = SWC.release;
+
+// ELF e_machine values
+const MACHINES = { 243: 'riscv64', 62: 'x64', 183: 'arm64' };
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+function sha256(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function run(command, commandArgs, options) {
+  const result = spawnSync(command, commandArgs, { encoding: 'utf8', timeout: 600000, ...options });
+  if (result.status !== 0) {
+    const output = (result.stderr || result.stdout || result.error?.message || '').trim().split('\n');
+    throw new Error(`${command} ${commandArgs[0]} failed: ${output.find(line => /ERR|error/i.test(line)) || output[0]}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * Architecture of a 64-bit little-endian ELF shared object
+ */
+function elfArch(file) {
+  const header = Buffer.alloc(20);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (header.readUInt32BE(0) !== 0x7f454c46) {
+    throw new Error(`${file} is not an ELF binary`);
+  }
+  if (header[4] !== 2 || header[5] !== 1) {
+    throw new Error(`${file} is not a 64-bit little-endian ELF binary`);
+  }
+  const machine = header.readUInt16LE(18);
+  return MACHINES[machine] || `machine ${machine}`;
+}
+
+/**
+ * Check the build output against its own SHA256SUMS, if it has one
+ */
+function verifyBuild(buildDir) {
+  const sumsFile = path.join(buildDir, CHECKSUMS);
+  if (!fs.existsSync(sumsFile)) return;
+
+  const expected = fs.readFileSync(sumsFile, 'utf8').split('\n')
+    .map(line => line.trim().match(/^([0-9a-f]{64})\s+\*?(.+)$/i))
+    .find(match => match && path.basename(match[2]) === BINARY)?.[1].toLowerCase();
+  if (expected && expected !== sha256(path.join(buildDir, BINARY))) {
+    throw new Error(`${BINARY} in ${buildDir} does not match its ${CHECKSUMS} (modified since the build?)`);
+  }
+}
+
+/**
+ * Provenance recorded by build-native-swc.sh, or what BUILD-INFO.md says for
+ * builds made before it recorded any
+ */
+function readProvenance(buildDir, version) {
+  const manifest = path.join(buildDir, 'PROVENANCE.json');
+  if (fs.existsSync(manifest)) {
+    return JSON.parse(fs.readFileSync(manifest, 'utf8'));
+  }
+
+  const infoFile = path.join(buildDir, 'BUILD-INFO.md');
+  const info = fs.existsSync(infoFile) ? fs.readFileSync(infoFile, 'utf8') : '';
+  const field = name => info.match(new RegExp(`^- \\*\\*${name}\\*\\*: (.+)$`, 'm'))?.[1].trim() || null;
+  const flags = field('Build Flags')?.split(/\s+/) || [];
+
+  console.log(`  ⚠️  No PROVENANCE.json in ${buildDir}${info ? ', using BUILD-INFO.md' : ''}`);
+  return {
+    schemaVersion: 1,
+    version,
+    source: { repository: 'https://github.com/vercel/next.js', ref: `v${version}`, commit: null },
+    toolchain: { rustc: field('Rust Version') && `rustc ${field('Rust Version')}`, cargo: null, host: null },
+    cargo: {
+      manifest: 'crates/napi/Cargo.toml',
+      flags,
+      defaultFeatures: flags.length > 0 ? !flags.includes('--no-default-features') : null
+    },
+    system: { glibc: null, os: field('OS'), kernel: null, hardware: field('Hardware') },
+    builtAt: field('Build Date'),
+    durationSeconds: null
+  };
+}
+
+/**
+ * Problems that keep a provenance manifest from being published
+ */
+function provenanceProblems(provenance, version) {
+  const problems = [];
+  if (!/^[0-9a-f]{40}$/.test(provenance.source?.commit || '')) {
+    problems.push('source commit unknown or not a full git SHA (pass --commit=SHA)');
+  }
+  if (!provenance.toolchain?.rustc) {
+    problems.push('rustc version unknown');
+  }
+  if (!Array.isArray(provenance.cargo?.flags) || provenance.cargo.flags.length === 0) {
+    problems.push('cargo flags unknown');
+  }
+  if (provenance.version && provenance.version !== version) {
+    problems.push(`built for ${provenance.version}, packaging as ${version}`);
+  }
+  return problems;
+}
+
+/**
+ * The package the loader of a Next.js version looks for
+ */
+function defaultPackage(version) {
+  const [legacy, current] = SWC.riscv64Packages;
+  return parseInt(version, 10) <= 13 ? legacy : current;
+}
+
+function packageManifest(name, version, binary, provenance) {
+  return {
+    name,
+    version,
+    description: `Next.js SWC native binary for Linux riscv64 (unofficial build of ${provenance.source.ref})`,
+    main: binary,
+    files: [binary, PROVENANCE],
+    os: ['linux'],
+    cpu: ['riscv64'],
+    libc: ['glibc'],
+    engines: {
+      node: '>= 10'
+    },
+    repository: {
+      type: 'git',
+      url: `https://github.com/${SWC.release.repository}`
+    },
+    license: 'MIT'
+  };
+}
+
+/**
+ * npm pack a staged package into a directory; returns the tarball's name
+ */
+function pack(files, destination) {
+  const stageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nextjs-swc-pack-'));
+  try {
+    for (const [file, content] of Object.entries(files)) {
+      if (Buffer.isBuffer(content) || typeof content === 'string') {
+        fs.writeFileSync(path.join(stageDir, file), content);
+      } else {
+        fs.copyFileSync(content.from, path.join(stageDir, file));
+      }
+    }
+    const output = run('npm', ['pack', '--json', '--pack-destination', destination], { cwd: stageDir });
+    return JSON.parse(output)[0].filename;
+  } finally {
+    fs.rmSync(stageDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Install the tarball in a scratch project and check what lands there
+ */
+function smokeTest(tarball, name, binary, expectedHash, arch) {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nextjs-swc-smoke-'));
+  try {
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'smoke-test', version: '1.0.0', private: true }));
+
+    // The package's cpu field makes npm refuse it anywhere but riscv64
+    const force = process.arch !== 'riscv64' ? ['--force'] : [];
+    run('npm', ['install', tarball, '--offline', '--ignore-scripts', '--no-audit', '--no-fund', ...force], { cwd: projectDir });
+
+    const installed = path.join(projectDir, 'node_modules', name);
+    if (sha256(path.join(installed, binary)) !== expectedHash) {
+      throw new Error(`Smoke test: the installed ${binary} differs from the packaged one`);
+    }
+    if (!fs.existsSync(path.join(installed, PROVENANCE))) {
+      throw new Error(`Smoke test: ${PROVENANCE} is missing from the installed package`);
+    }
+    console.log(`  ✅ Tarball installs as ${name}`);
+
+    if (arch !== process.arch) {
+      console.log(`  ⏭️  Load test skipped (${arch} binary on ${process.arch})`);
+      return;
+    }
+    const result = probe(name, projectDir);
+    if (result.problem) {
+      throw new Error(`Smoke test: ${name} ${result.problem}`);
+    }
+    const missing = NATIVE_API.filter(fn => !result.functions.includes(fn));
+    if (missing.length > 0) {
+      throw new Error(`Smoke test: ${name} does not export ${missing.join(', ')}`);
+    }
+    console.log(`  ✅ require('${name}') loads and exports ${NATIVE_API.join(', ')}`);
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+function main() {
+  const buildArg = args.find(arg => !arg.startsWith('--'));
+  if (hasFlag('help') || hasFlag('h')) {
+    showUsage();
+    return 0;
+  }
+  if (!buildArg) {
+    showUsage();
+    return 1;
+  }
+
+  const buildDir = path.resolve(buildArg);
+  const binaryFile = path.join(buildDir, BINARY);
+  if (!fs.existsSync(binaryFile)) {
+    throw new Error(`${BINARY} not found in ${buildDir} (expected a scripts/build-native-swc.sh output directory)`);
+  }
+
+  const buildManifest = path.join(buildDir, 'package.json');
+  const builtVersion = fs.existsSync(buildManifest) ? JSON.parse(fs.readFileSync(buildManifest, 'utf8')).version : null;
+  const version = getArg('version', builtVersion || '').replace(/^v/, '');
+  if (!version) {
+    throw new Error(`No package.json in ${buildDir}; pass --version=X.Y.Z`);
+  }
+
+  const name = getArg('package', defaultPackage(version));
+  if (!SWC.riscv64Packages.includes(name)) {
+    throw new Error(`--package ${name}: expected one of ${SWC.riscv64Packages.join(', ')}`);
+  }
+  const binary = `next-swc.${name.replace('@next/swc-', '')}.node`;
+  const tag = TAG_FORMAT.replace('{version}', version).replace('{build}', getArg('build', '1'));
+  const releaseDir = path.resolve(getArg('out', 'dist'), tag);
+
+  console.log('📦 Native SWC Packager for riscv64\n');
+  console.log(`  Build:   ${buildDir}`);
+  console.log(`  Package: ${name}@${version}`);
+  console.log(`  Release: ${releaseDir}\n`);
+
+  const arch = elfArch(binaryFile);
+  if (arch !== 'riscv64' && !hasFlag('any-arch')) {
+    throw new Error(`${BINARY} is a ${arch} binary, not riscv64 (pass --any-arch to package it anyway)`);
+  }
+  verifyBuild(buildDir);
+
+  const provenance = readProvenance(buildDir, version);
+  if (getArg('commit')) provenance.source.commit = getArg('commit');
+  const problems = provenanceProblems(provenance, version);
+  if (problems.length > 0) {
+    throw new Error(`Incomplete provenance:\n${problems.map(problem => `   - ${problem}`).join('\n')}`);
+  }
+
+  const hash = sha256(binaryFile);
+  provenance.binary = {
+    file: binary,
+    sha256: hash,
+    size: fs.statSync(binaryFile).size,
+    arch,
+    requiresGlibc: requiredGlibc(binaryFile)
+  };
+  provenance.package = { name, version };
+  provenance.packagedAt = new Date().toISOString();
+  console.log(`  ✅ ${arch} binary, needs glibc ${provenance.binary.requiresGlibc || '(none)'}, built from ${provenance.source.commit.slice(0, 12)} with ${provenance.toolchain.rustc}`);
+
+  // Staged next to the release and moved into place once the smoke test
+  // passed, so a failed run never leaves a checksum-valid release behind
+  fs.mkdirSync(path.dirname(releaseDir), { recursive: true });
+  const stagingDir = fs.mkdtempSync(path.join(path.dirname(releaseDir), `.${tag}-`));
+  let tarball;
+  try {
+    const manifest = JSON.stringify(provenance, null, 2) + '\n';
+    tarball = pack({
+      'package.json': JSON.stringify(packageManifest(name, version, binary, provenance), null, 2) + '\n',
+      [binary]: { from: binaryFile },
+      [PROVENANCE]: manifest
+    }, stagingDir);
+    console.log(`  ✅ Packed ${tarball}`);
+
+    fs.copyFileSync(binaryFile, path.join(stagingDir, BINARY));
+    fs.writeFileSync(path.join(stagingDir, PROVENANCE), manifest);
+    const sums = [BINARY, tarball, PROVENANCE]
+      .map(file => `${sha256(path.join(stagingDir, file))}  ${file}`)
+      .join('\n') + '\n';
+    fs.writeFileSync(path.join(stagingDir, CHECKSUMS), sums);
+    console.log(`  ✅ Wrote ${CHECKSUMS} and ${PROVENANCE}`);
+
+    if (!hasFlag('skip-smoke-test')) {
+      smokeTest(path.join(stagingDir, tarball), name, binary, hash, arch);
+    }
+
+    fs.rmSync(releaseDir, { recursive: true, force: true });
+    fs.renameSync(stagingDir, releaseDir);
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+
+  console.log(`\n✅ Release ready in ${releaseDir}`);
+  console.log(`   Publish to a registry you control: npm publish ${path.join(releaseDir, tarball)} --registry=URL`);
+  console.log(`   Share it on the local network: node scripts/prebuild-registry.js publish ${releaseDir} --registry=URL`);
+  console.log(`   Install: node scripts/install-riscv64-binaries.js /path/to/project --from=${path.dirname(releaseDir)}\n`);
+  return 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (error) {
+  console.error(`\n❌ ${error.message}\n`);
+  process.exit(1);
+}
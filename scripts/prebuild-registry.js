@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Prebuild Registry
+ *
+ * Serves riscv64 prebuilds (.node binaries, npm tarballs, checksums) from a
+ * directory with the layout of GitHub release downloads, so boards on a
+ * network without internet access can share SWC and other native builds
+ * (see lib/prebuild-registry.js).
+ *
+ * Usage:
+ *   node scripts/prebuild-registry.js serve [--dir=DIR] [--port=8080] [--host=0.0.0.0]
+ *                                           [--token=TOKEN]
+ *   node scripts/prebuild-registry.js index [--dir=DIR] [--json]
+ *   node scripts/prebuild-registry.js publish RELEASE_DIR --registry=URL [--tag=TAG]
+ *                                             [--token=TOKEN] [--module=NAME]
+ *                                             [--version=X.Y.Z] [--force]
+ *
+ * DIR defaults to ./prebuilds, one subdirectory per release tag. The server
+ * is read-only unless it has a token (--token or PREBUILD_REGISTRY_TOKEN);
+ * `publish` sends the same token.
+ *
+ * `publish` uploads every file of RELEASE_DIR (e.g. the output of
+ * scripts/package-native-swc.js) as release TAG, which defaults to the
+ * directory name. Files are checked against the directory's SHA256SUMS
+ * first; without one, it is generated. --module and --version describe
+ * releases that are not @next/swc builds (e.g. --module=sharp
+ * --version=0.33.5).
+ *
+ * Install from a registry:
+ *   node scripts/install-riscv64-binaries.js /path/to/project --from=http://HOST:8080
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CHECKSUMS, RELEASE_INFO, NAME, parseChecksums, buildIndex, createRegistryServer, publish } = require('../lib/prebuild-registry');
+
+const [command, ...rest] = process.argv.slice(2);
+const getArg = (name, fallback) => rest.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const hasFlag = name => rest.includes(`--${name}`);
+
+const DEFAULT_DIR = 'prebuilds';
+const TOKEN = getArg('token', process.env.PREBUILD_REGISTRY_TOKEN || null);
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+function serve() {
+  const dir = path.resolve(getArg('dir', DEFAULT_DIR));
+  const host = getArg('host', '0.0.0.0');
+  const port = parseInt(getArg('port', '8080'), 10);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const server = createRegistryServer({
+    dir,
+    token: TOKEN,
+    log: line => console.log(`  ${new Date().toISOString()} ${line}`)
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host === '0.0.0.0' ? 'localhost' : host}:${server.address().port}`;
+      const { releases } = buildIndex(dir);
+
+      console.log('📦 Prebuild Registry\n');
+      console.log(`  Directory: ${dir} (${releases.length} release${releases.length === 1 ? '' : 's'})`);
+      console.log(`  Listening: ${url} (index: ${url}/index.json)`);
+      console.log(`  Publish:   ${TOKEN ? 'enabled (token required)' : 'disabled, read-only (start with --token to enable)'}`);
+      console.log(`  Install:   node scripts/install-riscv64-binaries.js /path/to/project --from=${url}\n`);
+    });
+
+    const stop = () => {
+      console.log('\n  Stopping registry');
+      server.close(() => resolve(0));
+      server.closeAllConnections();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+function printIndex() {
+  const dir = path.resolve(getArg('dir', DEFAULT_DIR));
+  const index = buildIndex(dir);
+
+  if (hasFlag('json')) {
+    console.log(JSON.stringify(index, null, 2));
+    return index.releases.every(release => release.verified) ? 0 : 1;
+  }
+
+  console.log(`📦 ${dir}: ${index.releases.length} release${index.releases.length === 1 ? '' : 's'}\n`);
+  for (const release of index.releases) {
+    const what = [release.module, release.version].filter(Boolean).join(' ') || 'unknown module';
+    console.log(`${release.verified ? '✅' : '❌'} ${release.tag} - ${what}${release.package ? ` (${release.package})` : ''}`);
+    for (const file of release.files) {
+      console.log(`     ${file.name.padEnd(44)} ${formatSize(file.size).padStart(10)}  ${file.sha256.slice(0, 16)}…`);
+    }
+    for (const problem of release.problems) {
+      console.log(`     ⚠️  ${problem}`);
+    }
+  }
+
+  const versions = Object.keys(index.next);
+  console.log(`\nNext.js versions with @next/swc: ${versions.length > 0 ? versions.join(', ') : 'none'}`);
+  return index.releases.every(release => release.verified) ? 0 : 1;
+}
+
+/**
+ * Files of a release directory, checked against (or completed with) SHA256SUMS
+ */
+function releaseFiles(releaseDir) {
+  const names = fs.readdirSync(releaseDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && NAME.test(entry.name))
+    .map(entry => entry.name);
+  const files = Object.fromEntries(names.map(name => [name, path.join(releaseDir, name)]));
+  const hash = file => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+  if (!files[CHECKSUMS]) {
+    const sums = names.map(name => `${hash(files[name])}  ${name}`).join('\n') + '\n';
+    console.log(`  ⚠️  No ${CHECKSUMS} in ${releaseDir}; generated one for ${names.length} file${names.length === 1 ? '' : 's'}`);
+    return { ...files, [CHECKSUMS]: Buffer.from(sums) };
+  }
+
+  const sums = parseChecksums(fs.readFileSync(files[CHECKSUMS], 'utf8'));
+  for (const name of names.filter(name => name !== CHECKSUMS && name !== RELEASE_INFO)) {
+    if (!sums[name]) {
+      throw new Error(`${name} is not listed in ${path.join(releaseDir, CHECKSUMS)}`);
+    }
+    if (sums[name] !== hash(files[name])) {
+      throw new Error(`${name} does not match ${path.join(releaseDir, CHECKSUMS)}`);
+    }
+  }
+  console.log(`  ✅ ${names.length - 1} files match ${CHECKSUMS}`);
+  return files;
+}
+
+async function publishRelease() {
+  const source = rest.find(arg => !arg.startsWith('--'));
+  const registry = getArg('registry');
+  if (!source || !registry) {
+    throw new Error('Usage: publish RELEASE_DIR --registry=URL [--tag=TAG] [--token=TOKEN]');
+  }
+  if (!TOKEN) {
+    throw new Error('No token: pass --token or set PREBUILD_REGISTRY_TOKEN');
+  }
+
+  const releaseDir = path.resolve(source);
+  if (!fs.existsSync(releaseDir) || !fs.statSync(releaseDir).isDirectory()) {
+    throw new Error(`${source}: not a directory`);
+  }
+  const tag = getArg('tag', path.basename(releaseDir));
+  if (!NAME.test(tag)) {
+    throw new Error(`Invalid release tag: ${tag}`);
+  }
+
+  console.log(`📤 Publishing ${releaseDir} to ${registry} as ${tag}\n`);
+  const files = releaseFiles(releaseDir);
+
+  if (getArg('module') || getArg('version')) {
+    files[RELEASE_INFO] = Buffer.from(JSON.stringify({
+      module: getArg('module', null),
+      version: getArg('version', null),
+      package: getArg('package', null)
+    }, null, 2) + '\n');
+  }
+
+  const results = await publish(registry, tag, files, { token: TOKEN, force: hasFlag('force') });
+  for (const result of results) {
+    console.log(`  ${result.status === 'stored' ? '⬆️ ' : '✅'} ${result.file} (${result.status}, ${formatSize(result.size)})`);
+  }
+
+  const response = await fetch(`${registry.replace(/\/+$/, '')}/${tag}/`, { signal: AbortSignal.timeout(60000) });
+  const release = await response.json();
+  if (!release.verified) {
+    throw new Error(`Published, but the registry does not verify ${tag}: ${release.problems.join('; ')}`);
+  }
+  console.log(`\n✅ ${tag} published and verified by the registry`);
+  return 0;
+}
+
+async function main() {
+  switch (command) {
+    case 'serve':
+      return serve();
+    case 'index':
+      return printIndex();
+    case 'publish':
+      return publishRelease();
+    case undefined:
+    case 'help':
+    case '--help':
+    case '-h':
+      showUsage();
+      return 0;
+    default:
+      throw new Error(`Unknown command: ${command} (use serve, index or publish)`);
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
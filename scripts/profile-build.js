@@ -0,0 +1,454 @@
+#!/usr/bin/env node
+
+/**
+ * Build Memory Profiler for Next.js on SBCs
+ *
+ * Runs `next build` for a test app under every combination of V8 heap limit
+ * (NODE_OPTIONS=--max-old-space-size) and compiler mode, sampling the peak
+ * RSS of the whole process tree (Next.js builds in worker processes) and
+ * timing each build phase. Reports, per mode, the smallest heap limit that
+ * still builds - the budget to plan a 4-8 GB board around before the kernel
+ * OOM killer plans it for you.
+ *
+ * Modes (forced through lib/next-swc-select.js, which the test apps use):
+ *   native          SWC transforms and minification
+ *   wasm            SWC through WASM, Terser minification (skipped where
+ *                   Next.js would not load WASM: 14.x, or 13.x with a native
+ *                   binding that loads, where forcing it only turns off
+ *                   swcMinify)
+ *   babel-swcminify Babel transforms (the app's .babelrc, or a temporary one),
+ *                   swcMinify on
+ *   babel-terser    Babel transforms, swcMinify off (Terser)
+ *
+ * The Babel modes are skipped where Babel cannot compile the app: next/font
+ * outside a module with a Babel stand-in (see lib/next-swc-select.js), or
+ * 14.x and later without @babel/runtime 7 in the app.
+ *
+ * Usage:
+ *   node scripts/profile-build.js [APP_DIR] [--heap=768,1024,1536,2048,3072,default]
+ *                                 [--modes=native,wasm,babel-swcminify,babel-terser]
+ *                                 [--interval=250] [--timeout=MIN] [--keep-cache]
+ *                                 [--output=BASE] [--report=FORMATS]
+ *
+ * APP_DIR defaults to tests/pages-router (relative to the repository).
+ * --heap values are MB; "default" runs without a limit. Every build starts
+ * from an empty .next unless --keep-cache is given. Results go to BASE.json
+ * (default docs/testing/build-profile-TIMESTAMP.json); --report adds
+ * Markdown, HTML, CSV or JUnit renderings. Any other mode Next.js cannot
+ * use on this machine shows up as failed builds.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { resolveNextBin, processGroupRss } = require('../lib/next-server');
+const { LOADER } = require('../lib/next-swc-patch');
+const { babelProblem } = require('../lib/next-swc-select');
+const { collectSystemInfo, createReport, addSuite, addCase, parseFormats, writeReport } = require('../lib/report');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const getListArg = (name, fallback) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean) || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const MB = 1024 * 1024;
+
+const MODES = {
+  native: { swc: 'native', minify: null, babel: false },
+  wasm: { swc: 'wasm', minify: null, babel: false },
+  'babel-swcminify': { swc: 'babel', minify: 'on', babel: true },
+  'babel-terser': { swc: 'babel', minify: 'off', babel: true }
+};
+
+// Lines of `next build` output that start a phase (first occurrence)
+const PHASES = [
+  { name: 'types', marker: /Linting and checking validity of types|Skipping (linting|validation of types)/ },
+  { name: 'compile', marker: /Creating an optimized production build/ },
+  { name: 'page data', marker: /Collecting page data/ },
+  { name: 'static pages', marker: /Generating static pages/ },
+  { name: 'finalize', marker: /Finalizing page optimization/ },
+  { name: 'traces', marker: /Collecting build traces/ },
+  { name: 'summary', marker: /^Route \((app|pages)\)/ }
+];
+
+const BABELRC = '.babelrc';
+const BABEL_CONFIG = JSON.stringify({ presets: ['next/babel'] }, null, 2) + '\n';
+
+// Build running right now, cleaned up if we are interrupted
+let current = null;
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function memInfo() {
+  try {
+    const content = fs.readFileSync('/proc/meminfo', 'utf8');
+    const value = key => Number(content.match(new RegExp(`^${key}:\\s+(\\d+) kB`, 'm'))?.[1] || 0) * 1024;
+    return { total: value('MemTotal'), available: value('MemAvailable'), swap: value('SwapTotal') };
+  } catch (error) {
+    return { total: os.totalmem(), available: os.freemem(), swap: null };
+  }
+}
+
+/**
+ * Why a build failed, from its exit and output
+ */
+function classifyFailure(code, signal, output, timedOut) {
+  if (timedOut) return 'timeout';
+  if (/JavaScript heap out of memory|Reached heap limit|Allocation failed/.test(output)) return 'heap limit';
+  if (signal === 'SIGKILL' || code === 137) return 'killed (SIGKILL, likely the kernel OOM killer)';
+  if (/Failed to load SWC binary|not a supported platform|Failed to load next-swc/i.test(output)) return 'SWC not loadable';
+  if (signal) return `signal ${signal}`;
+
+  const error = output.split('\n').map(line => line.trim()).find(line => /^(Error|Type error|Module not found|Failed to compile)\b/.test(line));
+  return `exit code ${code}${error ? `: ${error.slice(0, 160)}` : ''}`;
+}
+
+/**
+ * Run one `next build` and sample its process tree
+ */
+function profileBuild(appDir, { heap, mode, intervalMs, timeoutMs }) {
+  const nodeOptions = [process.env.NODE_OPTIONS, heap === 'default' ? null : `--max-old-space-size=${heap}`].filter(Boolean).join(' ');
+  const env = {
+    ...process.env,
+    NODE_OPTIONS: nodeOptions,
+    NEXT_TELEMETRY_DISABLED: '1',
+    NEXT_RISCV64_SWC: MODES[mode].swc
+  };
+  // A selection cached by a parent process would override the forced mode
+  delete env.NEXT_RISCV64_SWC_SELECTED;
+  if (MODES[mode].minify) env.NEXT_RISCV64_SWC_MINIFY = MODES[mode].minify;
+  else delete env.NEXT_RISCV64_SWC_MINIFY;
+
+  return new Promise((resolve) => {
+    const start = Date.now();
+    const output = [];
+    const marks = [];
+    const timeline = [];
+    let peak = 0;
+    let minAvailable = Infinity;
+    let timedOut = false;
+
+    // Own process group, so the sample covers every worker and a kill reaches them
+    const child = spawn(process.execPath, [resolveNextBin(appDir), 'build'], {
+      cwd: appDir,
+      env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
+    });
+    current = child;
+
+    const sample = () => {
+      const rss = processGroupRss(child.pid) || 0;
+      peak = Math.max(peak, rss);
+      minAvailable = Math.min(minAvailable, memInfo().available);
+      timeline.push({ ms: Date.now() - start, rssMB: Number((rss / MB).toFixed(1)) });
+    };
+    const sampler = setInterval(sample, intervalMs);
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try { process.kill(-child.pid, 'SIGKILL'); } catch (error) { /* already gone */ }
+    }, timeoutMs);
+
+    const collect = (chunk) => {
+      const text = chunk.toString();
+      output.push(text);
+      for (const line of text.split(/[\r\n]+/)) {
+        const phase = PHASES.find(entry => entry.marker.test(line.trim()));
+        if (phase && !marks.some(mark => mark.name === phase.name)) {
+          marks.push({ name: phase.name, ms: Date.now() - start });
+        }
+      }
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    child.on('close', (code, signal) => {
+      clearInterval(sampler);
+      clearTimeout(timer);
+      // Workers left behind by a failed build
+      try { process.kill(-child.pid, 'SIGKILL'); } catch (error) { /* none */ }
+      current = null;
+
+      const durationMs = Date.now() - start;
+      const log = output.join('');
+      const phases = {};
+      marks.forEach((mark, index) => {
+        if (mark.name === 'summary') return;
+        phases[mark.name] = (marks[index + 1]?.ms ?? durationMs) - mark.ms;
+      });
+
+      const passed = code === 0 && !timedOut;
+      resolve({
+        heap,
+        mode,
+        passed,
+        failure: passed ? null : classifyFailure(code, signal, log, timedOut),
+        durationMs,
+        peakRssMB: Number((peak / MB).toFixed(1)),
+        minAvailableMB: Number.isFinite(minAvailable) ? Number((minAvailable / MB).toFixed(0)) : null,
+        phases,
+        timeline,
+        log: passed ? null : log.split('\n').slice(-40).join('\n')
+      });
+    });
+  });
+}
+
+/**
+ * Put a temporary .babelrc in place for the Babel modes; returns a cleanup
+ */
+function useBabel(appDir, enabled) {
+  const file = path.join(appDir, BABELRC);
+  if (!enabled || fs.existsSync(file)) {
+    return () => {};
+  }
+  fs.writeFileSync(file, BABEL_CONFIG);
+  return () => fs.rmSync(file, { force: true });
+}
+
+/**
+ * Why the wasm mode would not build through WASM here, or null
+ *
+ * NEXT_RISCV64_SWC=wasm only turns swcMinify off; the binding is Next.js'
+ * choice. 15.x loads WASM with experimental.useWasmBinary (set by the mode),
+ * 14.x never does and 13.x only if the native binding fails to load, so its
+ * own loader is asked.
+ */
+function wasmProblem(appDir, nextVersion) {
+  const major = parseInt(nextVersion, 10);
+  if (major >= 15) return null;
+  if (major === 14) return `Next.js ${nextVersion} never loads WASM`;
+
+  const script = `require(${JSON.stringify(path.join(appDir, LOADER))}).isWasm()
+    .then(wasm => console.log(wasm), error => { console.error(error.message); process.exit(1); })`;
+  const result = spawnSync(process.execPath, ['-e', script], { cwd: appDir, encoding: 'utf8', timeout: 120000 });
+  if (result.status !== 0) {
+    return `Next.js ${nextVersion} loads no SWC binding: ${(result.stderr || result.error?.message || '').trim().split('\n')[0]}`;
+  }
+  return result.stdout.trim() === 'true' ? null : `Next.js ${nextVersion} loads the native binding here, not WASM`;
+}
+
+/**
+ * Why Babel could not compile the app, or null
+ *
+ * From 14.x the next/babel preset imports @babel/runtime/regenerator
+ * relative to the app, and only version 7 exports it.
+ */
+function babelModeProblem(appDir, nextVersion) {
+  const problem = babelProblem(appDir);
+  if (problem || parseInt(nextVersion, 10) < 14) return problem;
+
+  try {
+    require.resolve('@babel/runtime/regenerator', { paths: [appDir] });
+    return null;
+  } catch (error) {
+    return `Next.js ${nextVersion} needs @babel/runtime 7 in the app (npm install --save-dev @babel/runtime@7)`;
+  }
+}
+
+/**
+ * Smallest heap limit each mode built with
+ */
+function smallestBudgets(runs) {
+  const budgets = {};
+  for (const mode of [...new Set(runs.map(run => run.mode))]) {
+    const passing = runs.filter(run => run.mode === mode && run.passed);
+    const limited = passing.filter(run => run.heap !== 'default').sort((a, b) => a.heap - b.heap);
+    const best = limited[0] || passing[0] || null;
+    budgets[mode] = best && { heap: best.heap, peakRssMB: best.peakRssMB, durationMs: best.durationMs };
+  }
+  return budgets;
+}
+
+function formatPhases(phases) {
+  return Object.entries(phases).map(([name, ms]) => `${name} ${(ms / 1000).toFixed(1)}s`).join(', ');
+}
+
+function toReport(results) {
+  const report = createReport({
+    tool: 'profile-build',
+    title: 'Next.js Build Memory Profile - riscv64',
+    application: results.application,
+    system: results.system
+  });
+  report.packages['Next.js'] = results.nextVersion;
+  report.metrics['Heap limits (MB)'] = results.config.heap.join(', ');
+  if (results.swapMB !== null) report.metrics['Swap'] = `${results.swapMB} MB`;
+
+  for (const [mode, reason] of Object.entries(results.config.skipped)) {
+    addSuite(report, { name: `next build (${mode})`, status: 'skipped', notes: reason });
+  }
+  for (const mode of results.config.modes) {
+    const budget = results.budgets[mode];
+    const suite = addSuite(report, {
+      name: `next build (${mode})`,
+      command: `NEXT_RISCV64_SWC=${MODES[mode].swc}${MODES[mode].minify ? ` NEXT_RISCV64_SWC_MINIFY=${MODES[mode].minify}` : ''} next build`,
+      notes: budget
+        ? `Smallest heap limit that builds: ${budget.heap === 'default' ? 'none (only without a limit)' : `${budget.heap} MB`}, peak RSS ${budget.peakRssMB} MB`
+        : 'No heap limit built successfully'
+    });
+    for (const run of results.runs.filter(entry => entry.mode === mode)) {
+      addCase(suite, {
+        name: run.heap === 'default' ? 'no heap limit' : `--max-old-space-size=${run.heap}`,
+        status: run.passed ? 'passed' : 'failed',
+        durationMs: run.durationMs,
+        message: run.failure || formatPhases(run.phases),
+        metrics: { 'Peak RSS MB': run.peakRssMB, 'Min available MB': run.minAvailableMB },
+        log: run.log
+      });
+    }
+  }
+  return report;
+}
+
+async function main() {
+  if (hasFlag('help') || hasFlag('h') || args[0] === 'help') {
+    showUsage();
+    return 0;
+  }
+
+  const appDir = path.resolve(PROJECT_ROOT, args.find(arg => !arg.startsWith('--')) || 'tests/pages-router');
+  const nextBin = resolveNextBin(appDir);
+  const nextVersion = JSON.parse(fs.readFileSync(path.join(path.dirname(nextBin), '..', '..', 'package.json'), 'utf8')).version;
+
+  const heap = getListArg('heap', ['768', '1024', '1536', '2048', '3072', 'default'])
+    .map(value => (value === 'default' ? value : parseInt(value, 10)))
+    .sort((a, b) => (a === 'default') - (b === 'default') || a - b);
+  if (heap.some(value => value !== 'default' && !(value > 0))) {
+    throw new Error('--heap takes sizes in MB or "default"');
+  }
+  let modes = getListArg('modes', Object.keys(MODES));
+  const unknown = modes.filter(mode => !MODES[mode]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mode: ${unknown.join(', ')} (use ${Object.keys(MODES).join(', ')})`);
+  }
+  // A wasm row measured with the native binding would be mislabeled, and a
+  // Babel compile error would read as a memory limit
+  const skipped = {};
+  const wasm = modes.includes('wasm') && wasmProblem(appDir, nextVersion);
+  if (wasm) skipped.wasm = wasm;
+  const babel = modes.some(mode => MODES[mode].babel) && babelModeProblem(appDir, nextVersion);
+  for (const mode of babel ? modes.filter(name => MODES[name].babel) : []) {
+    skipped[mode] = babel;
+  }
+  modes = modes.filter(mode => !skipped[mode]);
+  if (modes.length === 0) {
+    throw new Error(Object.entries(skipped).map(([mode, reason]) => `${mode} mode: ${reason}`).join('; '));
+  }
+  if (parseInt(nextVersion, 10) >= 15 && modes.includes('babel-terser')) {
+    throw new Error(`Next.js ${nextVersion} has no swcMinify option; drop babel-terser from --modes`);
+  }
+
+  const config = {
+    heap,
+    modes,
+    skipped,
+    intervalMs: parseInt(getArg('interval', '250'), 10),
+    timeoutMs: parseFloat(getArg('timeout', '60')) * 60000,
+    keepCache: hasFlag('keep-cache')
+  };
+  const base = path.resolve(getArg('output', path.join(PROJECT_ROOT, 'docs', 'testing', `build-profile-${timestamp()}`)));
+  const formats = getArg('report') ? parseFormats(getArg('report')).filter(format => format !== 'json') : [];
+  const memory = memInfo();
+
+  console.log('🧮 Next.js Build Memory Profiler\n');
+  console.log(`  App:     ${path.relative(PROJECT_ROOT, appDir) || appDir} (Next.js ${nextVersion})`);
+  console.log(`  Memory:  ${(memory.total / MB).toFixed(0)} MB RAM, ${memory.swap === null ? 'swap unknown' : `${(memory.swap / MB).toFixed(0)} MB swap`}`);
+  console.log(`  Heap:    ${heap.join(', ')} (MB)`);
+  console.log(`  Modes:   ${modes.join(', ')}`);
+  for (const [mode, reason] of Object.entries(skipped)) {
+    console.log(`  Skipped: ${mode} - ${reason}`);
+  }
+  console.log(`  Builds:  ${heap.length * modes.length}${config.keepCache ? ' (keeping .next/cache)' : ', each from an empty .next'}\n`);
+
+  const results = {
+    date: new Date().toISOString(),
+    system: collectSystemInfo(),
+    application: path.relative(PROJECT_ROOT, appDir) || appDir,
+    nextVersion,
+    swapMB: memory.swap === null ? null : Number((memory.swap / MB).toFixed(0)),
+    config,
+    runs: [],
+    budgets: {}
+  };
+
+  let cleanup = () => {};
+  const interrupt = (signal) => {
+    if (current) {
+      try { process.kill(-current.pid, 'SIGKILL'); } catch (error) { /* already gone */ }
+    }
+    cleanup();
+    process.exit(128 + os.constants.signals[signal]);
+  };
+  process.once('SIGINT', interrupt);
+  process.once('SIGTERM', interrupt);
+
+  for (const mode of modes) {
+    console.log(`🔧 ${mode}`);
+    cleanup = useBabel(appDir, MODES[mode].babel);
+    try {
+      for (const limit of heap) {
+        if (config.keepCache) {
+          fs.rmSync(path.join(appDir, '.next', 'BUILD_ID'), { force: true });
+        } else {
+          fs.rmSync(path.join(appDir, '.next'), { recursive: true, force: true });
+        }
+
+        process.stdout.write(`  ${(limit === 'default' ? 'no limit' : `${limit} MB`).padEnd(10)} `);
+        const run = await profileBuild(appDir, { heap: limit, mode, intervalMs: config.intervalMs, timeoutMs: config.timeoutMs });
+        results.runs.push(run);
+        console.log(
+          `${run.passed ? '✅' : '❌'} ${(run.durationMs / 1000).toFixed(1)}s, peak RSS ${run.peakRssMB.toFixed(0)} MB` +
+          (run.passed ? ` (${formatPhases(run.phases)})` : ` - ${run.failure}`)
+        );
+      }
+    } finally {
+      cleanup();
+      cleanup = () => {};
+    }
+    console.log('');
+  }
+
+  results.budgets = smallestBudgets(results.runs);
+
+  console.log('📉 Smallest heap limit that builds\n');
+  for (const mode of modes) {
+    const budget = results.budgets[mode];
+    console.log(`  ${mode.padEnd(16)} ${budget
+      ? `${budget.heap === 'default' ? 'none (only without a limit)' : `${budget.heap} MB`}, peak RSS ${budget.peakRssMB.toFixed(0)} MB, ${(budget.durationMs / 1000).toFixed(0)}s`
+      : '❌ did not build at any limit'}`);
+  }
+
+  const best = Object.entries(results.budgets)
+    .filter(([, budget]) => budget)
+    .sort(([, a], [, b]) => a.peakRssMB - b.peakRssMB)[0];
+  if (best) {
+    console.log(`\n  Lowest peak RSS: ${best[0]} (${best[1].peakRssMB.toFixed(0)} MB)`);
+  }
+
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(results, null, 2) + '\n');
+  console.log(`\n💾 Results saved to: ${base}.json`);
+  for (const file of writeReport(toReport(results), base, formats)) {
+    console.log(`📄 Report saved to: ${file}`);
+  }
+  console.log('');
+
+  return Object.values(results.budgets).some(Boolean) ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
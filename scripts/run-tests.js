@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Next.js Test Runner for riscv64
+ *
+ * Installs, builds and serves a test app, and checks every route it has in
+ * development and production mode: status, content type and the route's own
+ * assertions (lib/app-routes.js) - /api/test must report the expected
+ * architecture, /ssr must render fresh timestamps, /ssg must keep its build
+ * timestamp, and middleware, ISR, streaming, Edge routes, next/font and
+ * server actions must behave. Servers get a free port and are polled until
+ * they answer, so a slow board is given time instead of failing a fixed sleep.
+ *
+ * Usage:
+ *   node scripts/run-tests.js [APP_DIR] [--steps=install,dev,build,start]
+ *                             [--timeout=MS] [--expect-arch=riscv64]
+ *                             [--report=FORMATS] [--output=BASE] [--json]
+ *
+ * APP_DIR defaults to tests/pages-router (relative to the repository).
+ * --timeout bounds server startup and each request (default 300000: a first
+ * `next dev` compile takes minutes on a Banana Pi F3). Results go to
+ * docs/testing/test-report-TIMESTAMP.json plus --report formats (markdown,
+ * html, csv, junit; default $REPORT_FORMATS or markdown). --json prints the
+ * report on stdout. Exits with 1 if any check failed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startNextServer, hasBuild } = require('../lib/next-server');
+const { discoverRoutes, selectedCompiler, checkRoute } = require('../lib/app-routes');
+const { createReport, addSuite, addCase, countCases, overallStatus, parseFormats, writeReport } = require('../lib/report');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const STEPS = ['install', 'dev', 'build', 'start'];
+
+// Keep stdout clean for --json
+const log = hasFlag('json') ? console.error : console.log;
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+function timestamp() {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+/**
+ * Installed version of a package, else the range in package.json
+ */
+function packageVersion(appDir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(appDir, 'node_modules', name, 'package.json'), 'utf8')).version;
+  } catch (error) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(appDir, 'package.json'), 'utf8'));
+    return manifest.dependencies?.[name] || 'unknown';
+  }
+}
+
+function directorySize(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return total + directorySize(full);
+    return total + (entry.isFile() ? fs.statSync(full).size : 0);
+  }, 0);
+}
+
+/**
+ * Run a command, echoing its output and keeping it in a log file
+ */
+function runLogged(command, commandArgs, { cwd, logFile }) {
+  return new Promise((resolve) => {
+    const start = Date.now();
+    const logStream = fs.createWriteStream(logFile);
+    const child = spawn(command, commandArgs, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+
+    const echo = (chunk) => {
+      process.stderr.write(chunk);
+      logStream.write(chunk);
+    };
+    child.stdout.on('data', echo);
+    child.stderr.on('data', echo);
+
+    const finish = (code, error = null) => logStream.end(() => resolve({
+      code,
+      error,
+      durationMs: Date.now() - start,
+      log: fs.readFileSync(logFile, 'utf8')
+    }));
+    child.on('error', error => finish(null, error));
+    child.on('close', code => finish(code));
+  });
+}
+
+function logCase(testCase) {
+  const icons = { passed: '✅', failed: '❌', error: '❌', warning: '⚠️ ', skipped: '⏭️ ' };
+  const time = testCase.durationMs !== null ? ` (${testCase.durationMs}ms)` : '';
+  log(`  ${icons[testCase.status]} ${testCase.name}${time}${testCase.message ? ` - ${testCase.message}` : ''}`);
+}
+
+async function installDependencies(report, appDir) {
+  log('📦 Installing dependencies...');
+  const result = await runLogged('npm', ['install'], { cwd: appDir, logFile: path.join(os.tmpdir(), 'nextjs-install-test.log') });
+
+  if (result.code !== 0) {
+    addSuite(report, { name: 'Dependency Installation', command: 'npm install', status: 'failed', durationMs: result.durationMs, log: result.log });
+    log(`  ❌ npm install failed${result.error ? `: ${result.error.message}` : ` with code ${result.code}`}\n`);
+    return false;
+  }
+
+  addSuite(report, {
+    name: 'Dependency Installation',
+    command: 'npm install',
+    status: 'passed',
+    durationMs: result.durationMs,
+    metrics: { 'node_modules size': `${(directorySize(path.join(appDir, 'node_modules')) / 1024 / 1024).toFixed(0)} MB` }
+  });
+  log(`  ✅ Dependencies installed in ${(result.durationMs / 1000).toFixed(0)}s\n`);
+  return true;
+}
+
+async function buildApp(report, appDir) {
+  log('🔨 Building...');
+  const result = await runLogged('npm', ['run', 'build'], { cwd: appDir, logFile: path.join(os.tmpdir(), 'nextjs-build-test.log') });
+
+  if (result.code !== 0) {
+    addSuite(report, { name: 'Production Build', command: 'npm run build', status: 'failed', durationMs: result.durationMs, log: result.log });
+    log(`  ❌ Build failed${result.error ? `: ${result.error.message}` : ` with code ${result.code}`}\n`);
+    return false;
+  }
+
+  const size = directorySize(path.join(appDir, '.next'));
+  addSuite(report, {
+    name: 'Production Build',
+    command: 'npm run build',
+    status: 'passed',
+    durationMs: result.durationMs,
+    metrics: { 'Build size': `${(size / 1024 / 1024).toFixed(1)} MB` }
+  });
+  log(`  ✅ Build completed in ${(result.durationMs / 1000).toFixed(0)}s (.next: ${(size / 1024 / 1024).toFixed(1)} MB)\n`);
+  return true;
+}
+
+/**
+ * Start a server, check every route, stop it
+ */
+async function testServer(report, appDir, routes, { mode, name, timeoutMs, expectArch }) {
+  log(`🚀 ${name}: next ${mode}`);
+  const suite = addSuite(report, { name, command: `next ${mode}` });
+  const logFile = path.join(os.tmpdir(), `nextjs-${mode}-test.log`);
+
+  let server;
+  try {
+    server = await startNextServer(appDir, { command: mode, timeoutMs, logFile });
+  } catch (error) {
+    suite.log = error.logs || null;
+    logCase(addCase(suite, { name: 'Server started', status: 'failed', message: error.message }));
+    log('');
+    return;
+  }
+
+  try {
+    logCase(addCase(suite, {
+      name: 'Server started',
+      status: 'passed',
+      durationMs: server.startupMs,
+      message: `ready on port ${server.port}`
+    }));
+
+    const compiler = await selectedCompiler(server.url, { timeoutMs });
+    for (const route of routes) {
+      logCase(addCase(suite, await checkRoute(server.url, route, { mode, expectArch, timeoutMs, compiler })));
+    }
+  } finally {
+    await server.stop();
+  }
+
+  if (suite.cases.some(testCase => testCase.status === 'failed' || testCase.status === 'error')) {
+    suite.log = server.logs();
+  }
+  log('');
+}
+
+async function main() {
+  if (hasFlag('help') || hasFlag('h') || args[0] === 'help') {
+    showUsage();
+    return 0;
+  }
+
+  const appArg = args.find(arg => !arg.startsWith('--')) || 'tests/pages-router';
+  const appDir = path.resolve(PROJECT_ROOT, appArg);
+  if (!fs.existsSync(path.join(appDir, 'package.json'))) {
+    throw new Error(`No package.json in ${appDir}`);
+  }
+
+  const steps = getArg('steps', STEPS.join(',')).split(',').map(step => step.trim());
+  const unknown = steps.filter(step => !STEPS.includes(step));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown step: ${unknown.join(', ')} (use ${STEPS.join(', ')})`);
+  }
+  const timeoutMs = parseInt(getArg('timeout', '300000'), 10);
+  const expectArch = getArg('expect-arch', 'riscv64');
+  const formats = parseFormats(getArg('report', process.env.REPORT_FORMATS || 'markdown'));
+  const base = path.resolve(getArg('output', path.join(PROJECT_ROOT, 'docs', 'testing', `test-report-${timestamp()}`)));
+
+  const { router, routes } = discoverRoutes(appDir);
+  log('🧪 Next.js Test Runner for riscv64\n');
+  log(`  App:     ${path.relative(PROJECT_ROOT, appDir) || appDir} (${router} router)`);
+  log(`  Routes:  ${routes.map(route => route.path).join(', ')}`);
+  log(`  Steps:   ${steps.join(', ')}`);
+  log(`  Node.js: ${process.version} on ${process.arch}\n`);
+
+  const report = createReport({
+    tool: 'run-tests',
+    title: 'Next.js Test Report - riscv64',
+    application: path.relative(PROJECT_ROOT, appDir) || appDir
+  });
+
+  let ready = true;
+  if (steps.includes('install')) {
+    ready = await installDependencies(report, appDir);
+  }
+  report.packages = { 'Next.js': packageVersion(appDir, 'next'), React: packageVersion(appDir, 'react') };
+
+  if (ready && steps.includes('dev')) {
+    await testServer(report, appDir, routes, { mode: 'dev', name: 'Development Mode', timeoutMs, expectArch });
+  }
+
+  let built = ready;
+  if (ready && steps.includes('build')) {
+    built = await buildApp(report, appDir);
+  }
+
+  if (steps.includes('start')) {
+    if (built && hasBuild(appDir)) {
+      await testServer(report, appDir, routes, { mode: 'start', name: 'Production Server', timeoutMs, expectArch });
+    } else {
+      addSuite(report, {
+        name: 'Production Server',
+        command: 'next start',
+        status: 'skipped',
+        notes: built ? 'No production build (run the build step)' : 'The previous step failed'
+      });
+      log(`⏭️  Production Server skipped: ${built ? 'no production build (run the build step)' : 'the previous step failed'}\n`);
+    }
+  }
+
+  for (const file of writeReport(report, base, ['json', ...formats.filter(format => format !== 'json')])) {
+    log(`📄 Report saved to: ${file}`);
+  }
+  if (hasFlag('json')) {
+    console.log(JSON.stringify(report, null, 2));
+  }
+
+  const counts = countCases(report);
+  const failed = counts.failed + counts.error;
+  const status = overallStatus(report);
+  log(`\n${failed === 0 ? '✅' : '❌'} ${counts.passed}/${counts.total} checks passed${failed > 0 ? `, ${failed} failed` : ''}${counts.skipped > 0 ? `, ${counts.skipped} skipped` : ''} (${status})`);
+  return failed === 0 ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Native Dependency Scanner
+ *
+ * Finds every native dependency of a project (from package-lock.json and
+ * node_modules) and reports its riscv64 status in the categories of
+ * docs/NATIVE-DEPS-AUDIT.md, with a suggested remediation.
+ *
+ * Usage:
+ *   node scripts/scan-native-deps.js [PROJECT_DIR] [--lockfile=FILE] [--json]
+ *                                    [--fail-on=broken,no-support,source,wasm]
+ *                                    [--report=markdown,html,csv,junit] [--output=BASE]
+ *
+ * PROJECT_DIR defaults to the current directory. Exits 1 when a module with a
+ * --fail-on status is present (default: broken). --json prints the scan
+ * result instead of the table. --report writes the scan in the shared report
+ * schema (lib/report.js) to BASE.json plus the given formats (BASE defaults to
+ * ./native-deps-scan).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATUSES } = require('../lib/native-modules');
+const { scanProject } = require('../lib/native-scan');
+const { createReport, addSuite, addCase, addIssue, parseFormats, writeReport } = require('../lib/report');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+// Report case status per riscv64 status
+const CASE_STATUSES = {
+  prebuilt: 'passed',
+  wasm: 'passed',
+  source: 'warning',
+  'no-support': 'warning',
+  broken: 'failed'
+};
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+/**
+ * Versions of a module's own packages (platform packages when it has no other)
+ */
+function moduleVersions(module) {
+  const own = module.packages.filter(pkg => !pkg.platform);
+  const packages = own.length > 0 ? own : module.packages;
+  return [...new Set(packages.map(pkg => pkg.version).filter(Boolean))].join(', ') || '-';
+}
+
+function printScan(scan) {
+  const column = (value, width) => String(value).padEnd(width);
+
+  console.log(`🔍 Native dependencies in ${scan.project}\n`);
+  console.log(`  Lockfile: ${scan.lockfile ? `${path.basename(scan.lockfile.file)} (v${scan.lockfile.version})` : 'none'}`);
+  console.log(`  node_modules: ${scan.nodeModules ? 'scanned' : 'not installed'}`);
+  console.log(`  Packages: ${scan.packagesScanned}\n`);
+
+  if (scan.modules.length === 0) {
+    console.log('✅ No native dependencies found\n');
+    return;
+  }
+
+  console.log(column('Status', 22) + column('Module', 28) + column('Version', 12) + 'Why');
+  console.log('─'.repeat(100));
+
+  for (const module of scan.modules) {
+    const { icon, label } = STATUSES[module.status];
+    console.log(column(`${icon} ${label}`, 22) + column(module.name, 28) + column(moduleVersions(module), 12) + module.reason);
+  }
+
+  const summary = Object.entries(STATUSES)
+    .sort(([, a], [, b]) => b.rank - a.rank)
+    .map(([status, { label }]) => `${scan.counts[status]} ${label}`);
+  console.log(`\n📊 ${scan.modules.length} native modules: ${summary.join(', ')}\n`);
+
+  const actionable = scan.modules.filter(module => module.status !== 'prebuilt');
+  if (actionable.length > 0) {
+    console.log('🔧 Remediation:\n');
+    for (const module of actionable) {
+      const requiredBy = module.requiredBy.length > 0 ? ` (via ${module.requiredBy.join(', ')})` : '';
+      console.log(`  ${STATUSES[module.status].icon} ${module.name}${requiredBy}`);
+      console.log(`     ${module.remediation}`);
+    }
+    console.log('');
+  }
+}
+
+/**
+ * Save the scan in the shared report schema
+ */
+function saveReport(scan, base, formats) {
+  const report = createReport({
+    tool: 'scan-native-deps',
+    title: 'Native Dependency Scan - riscv64',
+    application: scan.project
+  });
+  report.metrics['Packages scanned'] = scan.packagesScanned;
+  report.metrics['Native modules'] = scan.modules.length;
+
+  const suite = addSuite(report, {
+    name: 'Native dependencies',
+    command: `scan-native-deps ${scan.project}`,
+    notes: scan.lockfile ? `Lockfile ${scan.lockfile.file}` : 'No lockfile; node_modules only'
+  });
+
+  for (const module of scan.modules) {
+    addCase(suite, {
+      name: module.name,
+      status: CASE_STATUSES[module.status],
+      message: module.reason,
+      metrics: {
+        riscv64: STATUSES[module.status].label,
+        version: moduleVersions(module),
+        remediation: module.remediation
+      }
+    });
+    report.nativeDependencies[module.name] = `${STATUSES[module.status].label} - ${module.remediation}`;
+
+    if (module.status === 'broken') {
+      addIssue(report, {
+        severity: 'critical',
+        description: `${module.name} is broken on riscv64 (${module.reason})`,
+        impact: 'The application cannot run on riscv64 with this dependency',
+        workaround: module.remediation
+      });
+    }
+  }
+
+  // Keep stdout clean for --json
+  const log = hasFlag('json') ? console.error : console.log;
+  for (const file of writeReport(report, base, ['json', ...formats.filter(format => format !== 'json')])) {
+    log(`📄 Report saved to: ${file}`);
+  }
+  log('');
+}
+
+function main() {
+  if (hasFlag('help') || hasFlag('h') || args[0] === 'help') {
+    showUsage();
+    return;
+  }
+
+  const projectDir = args.find(arg => !arg.startsWith('--')) || '.';
+  const failOn = getArg('fail-on', 'broken').split(',').map(status => status.trim());
+  const unknown = failOn.filter(status => !STATUSES[status]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown --fail-on status: ${unknown.join(', ')} (use ${Object.keys(STATUSES).join(', ')})`);
+  }
+  const reportArg = getArg('report');
+  const formats = reportArg ? parseFormats(reportArg) : [];
+
+  const scan = scanProject(projectDir, { lockfile: getArg('lockfile', null) });
+
+  if (hasFlag('json')) {
+    console.log(JSON.stringify(scan, null, 2));
+  } else {
+    printScan(scan);
+  }
+
+  if (reportArg) {
+    saveReport(scan, getArg('output', 'native-deps-scan'), formats);
+  }
+
+  const failing = scan.modules.filter(module => failOn.includes(module.status));
+  if (failing.length > 0) {
+    if (!hasFlag('json')) {
+      console.error(`❌ ${failing.map(module => module.name).join(', ')}: ${failOn.map(status => STATUSES[status].label).join('/')} on riscv64\n`);
+    }
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+
+/**
+ * Next.js Version Matrix for riscv64
+ *
+ * Runs the test apps against every configured Next.js version under every
+ * configured Node.js. Each cell gets an isolated copy of the app with that
+ * Next.js (and the React it needs) installed, the loader patch applied and
+ * verified and, on riscv64, the matching SWC binary installed; then it is
+ * built and every route is checked under `next start` (scripts/run-tests.js).
+ * Ends with a compatibility grid: one row per app and Next.js version, one
+ * column per Node.js major.
+ *
+ * Usage:
+ *   node scripts/version-matrix.js [--config=FILE] [--apps=LIST] [--next=LIST]
+ *                                  [--node=PATHS] [--cache=DIR] [--tarballs=DIR]
+ *                                  [--offline] [--binaries=DIR|TARBALL|URL]
+ *                                  [--work=DIR] [--keep] [--timeout=MIN]
+ *                                  [--output=BASE]
+ *
+ * The config (default tests/version-matrix.json) lists `apps`, `next`
+ * versions with the dependencies each needs on top of the app's
+ * package.json, and `node` executables ("node" is the one running the
+ * matrix), one per major. --apps, --next and --node replace those lists; a
+ * Next.js version missing from the config keeps the app's own React.
+ *
+ * npm installs with --prefer-offline, so a warm cache (--cache, default
+ * npm's own) is shared by all cells; --offline never goes to the network.
+ * --tarballs is a directory of `npm pack` tarballs (next-14.2.35.tgz,
+ * types-react-18.3.1.tgz, ...) installed instead of the registry for the
+ * exact versions they hold. --binaries is passed to
+ * scripts/install-riscv64-binaries.js as --from.
+ *
+ * Copies go to --work (default $TMPDIR/nextjs-riscv64-matrix) and are
+ * removed after each cell unless --keep is given. --timeout bounds each step
+ * (default 60). Results go to BASE.json and BASE.md (default
+ * $TMPDIR/version-matrix-TIMESTAMP; pass --output=docs/testing/... to keep
+ * them with the docs), each cell's logs and test report to BASE/. Exits with
+ * 1 if any cell did not pass.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { collectSystemInfo, countCases, loadReport } = require('../lib/report');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const getListArg = (name, fallback) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean) || fallback;
+const hasFlag = name => args.includes(`--${name}`);
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG = path.join(PROJECT_ROOT, 'tests', 'version-matrix.json');
+const PATCHER = path.join(PROJECT_ROOT, 'patches', 'patch-next-swc-loader.js');
+const INSTALLER = path.join(PROJECT_ROOT, 'scripts', 'install-riscv64-binaries.js');
+const RUN_TESTS = path.join(PROJECT_ROOT, 'scripts', 'run-tests.js');
+
+// Installed or generated in the source app, never copied
+const SKIP = new Set(['node_modules', '.next', 'package-lock.json', 'next-env.d.ts', 'tsconfig.tsbuildinfo']);
+
+const MARKS = { passed: '✅', partial: '⚠️', failed: '❌' };
+
+// Step running right now, stopped if we are interrupted
+let current = null;
+
+function showUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  console.log(source.slice(source.indexOf(' * Usage:'), source.indexOf(' */')).replace(/^ \* ?/gm, ''));
+}
+
+function timestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+const expandHome = file => file.replace(/^~(?=$|\/)/, os.homedir());
+
+/**
+ * Version and architecture of a Node.js executable
+ */
+function probeNode(executable) {
+  const file = executable === 'node' ? process.execPath : path.resolve(expandHome(executable));
+  const result = spawnSync(file, ['-p', 'JSON.stringify({ version: process.version, arch: process.arch })'], {
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  if (result.status !== 0) {
+    throw new Error(`Cannot run ${executable}: ${(result.error?.message || result.stderr || '').trim()}`);
+  }
+
+  const { version, arch } = JSON.parse(result.stdout);
+  return { executable: file, version, major: parseInt(version.slice(1), 10), arch };
+}
+
+/**
+ * Apps, Next.js versions and Node.js executables to run, from the config and flags
+ */
+function loadMatrix() {
+  const configFile = path.resolve(getArg('config', DEFAULT_CONFIG));
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+
+  const apps = getListArg('apps', config.apps || []).map((app) => {
+    // Bare names (pages-router) are apps under tests/
+    const dir = path.resolve(PROJECT_ROOT, app.includes('/') ? app : path.join('tests', app));
+    if (!fs.existsSync(path.join(dir, 'package.json'))) {
+      throw new Error(`No package.json in ${dir}`);
+    }
+    return dir;
+  });
+
+  const configured = config.next || [];
+  const next = getListArg('next', configured.map(entry => entry.version))
+    .map(version => configured.find(entry => entry.version === version) || { version });
+
+  const nodes = getListArg('node', config.node || ['node']).map(probeNode);
+  const majors = nodes.map(node => node.major);
+  const duplicate = majors.find((major, index) => majors.indexOf(major) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`Node.js ${duplicate} is listed twice (one executable per major)`);
+  }
+
+  if (apps.length === 0 || next.length === 0 || nodes.length === 0) {
+    throw new Error('Nothing to run: the matrix needs at least one app, Next.js version and Node.js');
+  }
+  return { configFile, apps, next, nodes };
+}
+
+/**
+ * Isolated copy of an app for one cell
+ *
+ * The apps require ../../lib (next.config.js, the diagnostics routes) and
+ * their postinstall runs ../../patches/postinstall.js, so the copy keeps the
+ * repository layout: CELL/tests/APP next to CELL/lib and CELL/patches.
+ */
+function prepareCopy(appDir, cellDir) {
+  fs.rmSync(cellDir, { recursive: true, force: true });
+
+  const copy = path.join(cellDir, 'tests', path.basename(appDir));
+  fs.cpSync(appDir, copy, { recursive: true, filter: source => !SKIP.has(path.basename(source)) });
+  fs.cpSync(path.join(PROJECT_ROOT, 'lib'), path.join(cellDir, 'lib'), { recursive: true });
+  fs.mkdirSync(path.join(cellDir, 'patches'));
+  fs.copyFileSync(path.join(PROJECT_ROOT, 'patches', 'postinstall.js'), path.join(cellDir, 'patches', 'postinstall.js'));
+  return copy;
+}
+
+/**
+ * Pin the cell's Next.js and the dependencies it needs in the copy's package.json
+ *
+ * eslint-config-next follows Next.js. Exact versions with a tarball in
+ * `tarballs` are installed from it.
+ */
+function pinVersions(copy, next, tarballs) {
+  const file = path.join(copy, 'package.json');
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const pins = {
+    dependencies: { next: next.version, ...next.dependencies },
+    devDependencies: { ...next.devDependencies }
+  };
+  if (manifest.devDependencies?.['eslint-config-next']) {
+    pins.devDependencies['eslint-config-next'] = next.version;
+  }
+
+  for (const [section, versions] of Object.entries(pins)) {
+    for (const [name, version] of Object.entries(versions)) {
+      // npm pack names @scope/name tarballs scope-name-VERSION.tgz
+      const tarball = tarballs && path.join(tarballs, `${name.replace(/^@/, '').replace('/', '-')}-${version}.tgz`);
+      manifest[section] = { ...manifest[section], [name]: tarball && fs.existsSync(tarball) ? `file:${tarball}` : version };
+    }
+  }
+
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * SIGTERM a process group, SIGKILL it if still there 5s later
+ */
+function stopGroup(pid) {
+  try {
+    process.kill(-pid, 'SIGTERM');
+  } catch (error) {
+    return;
+  }
+  setTimeout(() => {
+    try { process.kill(-pid, 'SIGKILL'); } catch (error) { /* already gone */ }
+  }, 5000).unref();
+}
+
+/**
+ * Run a step of a cell with its Node.js first on PATH, output to a log file
+ *
+ * The step runs in its own process group, so a timeout reaches npm, the
+ * build workers and run-tests.js (which stops its servers on SIGTERM).
+ */
+function runStep(command, commandArgs, { cwd, node, logFile, timeoutMs }) {
+  const env = {
+    ...process.env,
+    PATH: `${path.dirname(node.executable)}${path.delimiter}${process.env.PATH}`,
+    NEXT_TELEMETRY_DISABLED: '1'
+  };
+  // A selection cached by a parent process belongs to another Next.js
+  delete env.NEXT_RISCV64_SWC_SELECTED;
+
+  return new Promise((resolve) => {
+    const start = Date.now();
+    const logStream = fs.createWriteStream(logFile);
+    const child = spawn(command, commandArgs, { cwd, env, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    current = child;
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stopGroup(child.pid);
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => logStream.write(chunk));
+    child.stderr.on('data', chunk => logStream.write(chunk));
+
+    let finished = false;
+    const finish = (code, error = null) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      current = null;
+      logStream.end(() => resolve({
+        code,
+        error,
+        timedOut,
+        durationMs: Date.now() - start,
+        log: fs.readFileSync(logFile, 'utf8')
+      }));
+    };
+    child.on('error', error => finish(null, error));
+    child.on('close', (code) => {
+      // Workers left behind by a failed step
+      try { process.kill(-child.pid, 'SIGKILL'); } catch (error) { /* none */ }
+      finish(code);
+    });
+  });
+}
+
+// Most specific first: SWC diagnostics, errors with their message, npm's reason
+const FAILURE_LINES = [
+  /^x\s+(\S.*)$/,
+  /^((Type error|Error): \S.*)$/,
+  /^npm (?:error|ERR!) (?!code |errno |A complete log)(\S.*)$/,
+  /^(.*(error|ERR!|failed).*)$/i
+];
+
+/**
+ * The line of a log that best explains a failure
+ */
+function failureLine(log) {
+  const lines = (log || '').replace(/\x1b\[[0-9;]*m/g, '').split('\n').map(line => line.trim()).filter(Boolean);
+  const line = FAILURE_LINES.reduce((found, pattern) =>
+    found || lines.map(entry => entry.match(pattern)?.[1]).find(Boolean), null) || lines[lines.length - 1] || 'no output';
+  return line.length > 200 ? `${line.slice(0, 197)}...` : line;
+}
+
+/**
+ * Install, patch, build and check one app x Next.js x Node.js cell
+ *
+ * Returns { app, next, node, nodeMajor, arch, status: passed|partial|failed,
+ * stage, checks: { passed, total }, durationMs, message, logs }; `stage` is
+ * the step a failed cell stopped at.
+ */
+async function runCell({ appDir, next, node }, settings) {
+  const name = `${path.basename(appDir)}-next${next.version}-node${node.major}`;
+  const cellDir = path.join(settings.workDir, name);
+  const logDir = path.join(settings.base, name);
+  fs.mkdirSync(logDir, { recursive: true });
+
+  const start = Date.now();
+  const result = {
+    app: path.basename(appDir),
+    next: next.version,
+    node: node.version,
+    nodeMajor: node.major,
+    arch: node.arch,
+    status: 'failed',
+    stage: null,
+    checks: null,
+    durationMs: null,
+    message: null,
+    logs: logDir.startsWith(PROJECT_ROOT + path.sep) ? path.relative(PROJECT_ROOT, logDir) : logDir
+  };
+
+  const copy = prepareCopy(appDir, cellDir);
+  pinVersions(copy, next, settings.tarballs);
+
+  const steps = [
+    ['install', 'npm', [
+      'install', '--no-audit', '--no-fund',
+      settings.offline ? '--offline' : '--prefer-offline',
+      ...(settings.cache ? [`--cache=${settings.cache}`] : [])
+    ]],
+    ['patch', node.executable, [PATCHER, 'apply', copy]],
+    ['verify', node.executable, [PATCHER, 'verify', copy]],
+    // Elsewhere Next.js installs its own @next/swc package
+    ...(node.arch === 'riscv64'
+      ? [['binaries', node.executable, [INSTALLER, copy, ...(settings.binaries ? [`--from=${settings.binaries}`] : [])]]]
+      : []),
+    ['tests', node.executable, [
+      RUN_TESTS, copy, '--steps=build,start', `--expect-arch=${node.arch}`,
+      '--report=json', `--output=${path.join(logDir, 'report')}`
+    ]]
+  ];
+
+  try {
+    for (const [stage, command, commandArgs] of steps) {
+      process.stdout.write(`    ${stage.padEnd(9)}`);
+      const run = await runStep(command, commandArgs, {
+        cwd: copy,
+        node,
+        logFile: path.join(logDir, `${stage}.log`),
+        timeoutMs: settings.timeoutMs
+      });
+      console.log(` ${(run.durationMs / 1000).toFixed(0)}s`);
+
+      if (stage === 'tests' && !run.timedOut && fs.existsSync(path.join(logDir, 'report.json'))) {
+        Object.assign(result, testResult(loadReport(path.join(logDir, 'report.json'))));
+        break;
+      }
+      if (run.code !== 0 || run.timedOut || stage === 'tests') {
+        result.stage = stage;
+        result.message = run.timedOut
+          ? `timed out after ${settings.timeoutMs / 60000} min`
+          : run.error ? run.error.message : failureLine(run.log);
+        break;
+      }
+    }
+  } finally {
+    if (!settings.keep) {
+      fs.rmSync(cellDir, { recursive: true, force: true });
+    }
+  }
+
+  result.durationMs = Date.now() - start;
+  return result;
+}
+
+/**
+ * Cell result from a run-tests.js report
+ */
+function testResult(report) {
+  const build = report.suites.find(suite => suite.name === 'Production Build');
+  if (build?.status === 'failed') {
+    return { status: 'failed', stage: 'build', message: failureLine(build.log) };
+  }
+
+  const server = report.suites.find(suite => suite.name === 'Production Server');
+  const started = server?.cases.find(testCase => testCase.name === 'Server started');
+  if (!started || started.status !== 'passed') {
+    return { status: 'failed', stage: 'start', message: started?.message || server?.notes || 'the server did not start' };
+  }
+
+  const counts = countCases(report);
+  const failed = server.cases.filter(testCase => testCase.status === 'failed' || testCase.status === 'error');
+  return {
+    status: failed.length === 0 ? 'passed' : 'partial',
+    stage: null,
+    checks: { passed: counts.passed, total: counts.total },
+    message: failed.length === 0 ? null : failed.map(testCase => `${testCase.name}: ${testCase.message}`).join('; ')
+  };
+}
+
+function cellLabel(result) {
+  if (!result) return '-';
+  if (result.status === 'failed') return `${MARKS.failed} ${result.stage}`;
+  return `${MARKS[result.status]} ${result.checks.passed}/${result.checks.total}`;
+}
+
+/**
+ * Grid rows: a header, then one row per app and Next.js version
+ */
+function gridRows(results, { apps, next, nodes }) {
+  const rows = [['App', 'Next.js', ...nodes.map(node => `Node ${node.major}`)]];
+  for (const appDir of apps) {
+    for (const { version } of next) {
+      rows.push([
+        path.basename(appDir),
+        version,
+        ...nodes.map(node => cellLabel(results.find(result =>
+          result.app === path.basename(appDir) && result.next === version && result.nodeMajor === node.major)))
+      ]);
+    }
+  }
+  return rows;
+}
+
+function printGrid(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  rows.forEach((row, index) => {
+    console.log(`  ${row.map((value, column) => value.padEnd(widths[column])).join('  ').trimEnd()}`);
+    if (index === 0) console.log(`  ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+  });
+}
+
+function renderMarkdown(matrix, rows) {
+  const line = row => `| ${row.join(' | ')} |`;
+  const problems = matrix.results.filter(result => result.status !== 'passed');
+
+  return [
+    '# Next.js Version Matrix - riscv64',
+    '',
+    `**Date:** ${matrix.date}  `,
+    `**Host:** ${matrix.system.hardware} (${matrix.system.arch}), ${matrix.system.os}  `,
+    `**Node.js:** ${matrix.nodes.map(node => `${node.version} (${node.arch})`).join(', ')}  `,
+    `**npm cache:** ${matrix.config.cache || 'default'}${matrix.config.offline ? ' (offline)' : ''}`,
+    '',
+    line(rows[0]),
+    line(rows[0].map(() => '---')),
+    ...rows.slice(1).map(line),
+    '',
+    '✅ every check passed (passed/total), ⚠️ some route checks failed, ❌ stopped at that step',
+    '(install, patch, verify, binaries, build, start).',
+    '',
+    ...(problems.length === 0 ? [] : [
+      '## Problems',
+      '',
+      ...problems.map(result =>
+        `- **${result.app}, Next.js ${result.next}, Node.js ${result.nodeMajor}** (${result.stage || 'routes'}): ${result.message} - logs in \`${result.logs}\``),
+      ''
+    ])
+  ].join('\n');
+}
+
+async function main() {
+  if (hasFlag('help') || hasFlag('h') || args[0] === 'help') {
+    showUsage();
+    return 0;
+  }
+
+  const timeout = Number(getArg('timeout', '60'));
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    console.error(`❌ Invalid option: --timeout=${getArg('timeout')} (minutes, above 0)\n`);
+    showUsage();
+    return 1;
+  }
+
+  const { configFile, apps, next, nodes } = loadMatrix();
+  const tarballs = getArg('tarballs') && path.resolve(expandHome(getArg('tarballs')));
+  if (tarballs && !fs.existsSync(tarballs)) {
+    throw new Error(`No tarball directory ${tarballs}`);
+  }
+
+  const base = path.resolve(getArg('output', path.join(os.tmpdir(), `version-matrix-${timestamp()}`)));
+  const settings = {
+    base,
+    workDir: path.resolve(expandHome(getArg('work', path.join(os.tmpdir(), 'nextjs-riscv64-matrix')))),
+    cache: getArg('cache') && path.resolve(expandHome(getArg('cache'))),
+    tarballs,
+    offline: hasFlag('offline'),
+    binaries: getArg('binaries'),
+    keep: hasFlag('keep'),
+    timeoutMs: timeout * 60000
+  };
+
+  const cells = apps.flatMap(appDir => next.flatMap(entry => nodes.map(node => ({ appDir, next: entry, node }))));
+  console.log('🧮 Next.js Version Matrix for riscv64\n');
+  console.log(`  Apps:     ${apps.map(appDir => path.relative(PROJECT_ROOT, appDir) || appDir).join(', ')}`);
+  console.log(`  Next.js:  ${next.map(entry => entry.version).join(', ')}`);
+  console.log(`  Node.js:  ${nodes.map(node => `${node.version} (${node.arch})`).join(', ')}`);
+  console.log(`  npm:      ${settings.offline ? 'offline' : 'prefer offline'}, cache ${settings.cache || 'default'}${tarballs ? `, tarballs from ${tarballs}` : ''}`);
+  console.log(`  Cells:    ${cells.length}, in ${settings.workDir}\n`);
+
+  const interrupt = (signal) => {
+    const code = 128 + os.constants.signals[signal];
+    if (!current) process.exit(code);
+    current.once('close', () => process.exit(code));
+    stopGroup(current.pid);
+  };
+  process.once('SIGINT', interrupt);
+  process.once('SIGTERM', interrupt);
+
+  const results = [];
+  for (const cell of cells) {
+    console.log(`🔧 ${path.basename(cell.appDir)}, Next.js ${cell.next.version}, Node.js ${cell.node.version}`);
+    const result = await runCell(cell, settings);
+    results.push(result);
+    console.log(`  ${cellLabel(result)}${result.message ? ` - ${result.message}` : ''}\n`);
+  }
+
+  const matrix = {
+    date: new Date().toISOString(),
+    system: collectSystemInfo(),
+    config: {
+      file: path.relative(PROJECT_ROOT, configFile) || configFile,
+      cache: settings.cache,
+      tarballs,
+      offline: settings.offline,
+      binaries: settings.binaries || null,
+      timeoutMinutes: settings.timeoutMs / 60000
+    },
+    apps: apps.map(appDir => path.basename(appDir)),
+    next,
+    nodes,
+    results
+  };
+  const rows = gridRows(results, { apps, next, nodes });
+
+  console.log('📊 Compatibility\n');
+  printGrid(rows);
+  fs.mkdirSync(path.dirname(base), { recursive: true });
+  fs.writeFileSync(`${base}.json`, JSON.stringify(matrix, null, 2) + '\n');
+  fs.writeFileSync(`${base}.md`, renderMarkdown(matrix, rows));
+  console.log(`\n📄 Results saved to: ${base}.json, ${base}.md`);
+
+  return results.every(result => result.status === 'passed') ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+import Link from 'next/link'
+import { redirect } from 'next/navigation'
+
+// Runs on the server; the form also works without JavaScript
+async function shout(formData: FormData) {
+  'use server'
+  const message = String(formData.get('message') || '')
+  redirect(`/actions?echo=${encodeURIComponent(message.toUpperCase())}&arch=${process.arch}`)
+}
+
+// A Promise from Next.js 15, a plain object before: awaiting works for both
+export default async function ServerActionsTest(props: {
+  searchParams: Promise<{ echo?: string; arch?: string }>
+}) {
+  const searchParams = await props.searchParams
+
+  return (
+    <div className="container">
+      <main className="main">
+        <h1 className="title">Server Actions Test</h1>
+
+        <div className="description">
+          <p>
+            Submitting the form calls a server action, which upper-cases the message and
+            redirects back here with the result.
+          </p>
+
+          <form action={shout}>
+            <input type="text" name="message" defaultValue="hello riscv64" />
+            <button type="submit">Send</button>
+          </form>
+
+          {searchParams.echo && (
+            <p className="note">
+              ✅ The server action answered <strong>{searchParams.echo}</strong> from{' '}
+              <strong>{searchParams.arch}</strong>
+            </p>
+          )}
+        </div>
+
+        <Link href="/" className="backLink">
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,12 @@
+import { NextResponse } from 'next/server'
+import { collectDiagnostics } from '../../../../../lib/runtime-diagnostics'
+
+// SWC binding, sharp backend, glibc, RISC-V ISA and cgroup limits (lib/runtime-diagnostics.js),
+// collected on every request
+export const dynamic = 'force-dynamic'
+
+export async function GET() {
+  return NextResponse.json(collectDiagnostics({ projectDir: process.cwd() }), {
+    headers: { 'Cache-Control': 'no-store' },
+  })
+}
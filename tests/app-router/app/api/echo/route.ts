@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server'
+
+// POST only: other methods get 405 from Next.js
+export async function POST(request: Request) {
+  let received: unknown
+  try {
+    received = await request.json()
+  } catch {
+    return NextResponse.json({ error: 'Body must be JSON' }, { status: 400 })
+  }
+
+  return NextResponse.json({
+    method: request.method,
+    received,
+    arch: process.arch,
+  })
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server'
+
+export const runtime = 'edge'
+
+declare const EdgeRuntime: string | undefined
+
+export async function GET() {
+  // Web Crypto of the Edge sandbox, checked against Node's by the test runner
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('riscv64'))
+  const sha256 = Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+
+  return NextResponse.json({
+    message: 'Edge route working on riscv64!',
+    timestamp: new Date().toISOString(),
+    runtime: typeof EdgeRuntime === 'string' ? EdgeRuntime : 'nodejs',
+    sha256,
+  })
+}
@@ -0,0 +1,24 @@
+export const dynamic = 'force-dynamic'
+
+const CHUNKS = 5
+const INTERVAL_MS = 200
+
+// Sends one line every INTERVAL_MS instead of a buffered body
+export async function GET() {
+  const encoder = new TextEncoder()
+  const stream = new ReadableStream({
+    async start(controller) {
+      for (let i = 1; i <= CHUNKS; i++) {
+        controller.enqueue(encoder.encode(`chunk ${i}/${CHUNKS} ${new Date().toISOString()}\n`))
+        if (i < CHUNKS) {
+          await new Promise((resolve) => setTimeout(resolve, INTERVAL_MS))
+        }
+      }
+      controller.close()
+    },
+  })
+
+  return new Response(stream, {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  })
+}
@@ -0,0 +1,45 @@
+import Link from 'next/link'
+
+// Rendered at build time, regenerated in the background at most every 5 seconds
+export const revalidate = 5
+
+export default async function ISRTest() {
+  const timestamp = new Date().toISOString()
+
+  return (
+    <div className="container">
+      <main className="main">
+        <h1 className="title">Incremental Static Regeneration Test</h1>
+
+        <div className="description">
+          <p>
+            This page is static, but <code>revalidate = 5</code> makes the server regenerate
+            it in the background once it is older than 5 seconds.
+          </p>
+
+          <h2>Generation Information</h2>
+          <table>
+            <tbody>
+              <tr>
+                <td><strong>Generated At:</strong></td>
+                <td>{timestamp}</td>
+              </tr>
+              <tr>
+                <td><strong>Architecture:</strong></td>
+                <td>{process.arch}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p className="note">
+            ✅ Reload after 5 seconds: a newer timestamp means ISR is working on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className="backLink">
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
@@ -32,6 +32,31 @@ export default function Home() {
             <h2>API Test &rarr;</h2>
             <p>Test API routes functionality</p>
           </Link>
+
+          <Link href="/images" className="card">
+            <h2>Images Test &rarr;</h2>
+            <p>next/image optimization with sharp</p>
+          </Link>
+
+          <Link href="/isr" className="card">
+            <h2>ISR Test &rarr;</h2>
+            <p>Background regeneration with revalidate</p>
+          </Link>
+
+          <Link href="/posts/hello-riscv64" className="card">
+            <h2>Dynamic Routes &rarr;</h2>
+            <p>[slug] pages from generateStaticParams</p>
+          </Link>
+
+          <Link href="/actions" className="card">
+            <h2>Server Actions &rarr;</h2>
+            <p>Form submitted to a server action</p>
+          </Link>
+
+          <Link href="/font" className="card">
+            <h2>Font Test &rarr;</h2>
+            <p>Self-hosted font with next/font/local</p>
+          </Link>
         </div>
 
         <div className="info">
@@ -0,0 +1,50 @@
+import Link from 'next/link'
+import { notFound } from 'next/navigation'
+import { getPost, posts } from '../../../lib/posts'
+
+// Only the slugs from generateStaticParams exist, anything else is a 404
+export const dynamicParams = false
+
+export function generateStaticParams() {
+  return posts.map((post) => ({ slug: post.slug }))
+}
+
+// A Promise from Next.js 15, a plain object before: awaiting works for both
+export default async function PostPage(props: { params: Promise<{ slug: string }> }) {
+  const { slug } = await props.params
+  const post = getPost(slug)
+  if (!post) {
+    notFound()
+  }
+
+  return (
+    <div className="container">
+      <main className="main">
+        <h1 className="title">{post.title}</h1>
+
+        <div className="description">
+          <p>{post.body}</p>
+
+          <p>
+            Other posts:{' '}
+            {posts
+              .filter((other) => other.slug !== post.slug)
+              .map((other) => (
+                <Link key={other.slug} href={`/posts/${other.slug}`}>
+                  {other.title}
+                </Link>
+              ))}
+          </p>
+
+          <p className="note">
+            ✅ If you see this post, dynamic routes with generateStaticParams are working on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className="backLink">
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+import Link from 'next/link'
+
+// What /font renders in a Babel build: next/font only compiles with SWC
+export default function FontTest() {
+  return (
+    <div className="container">
+      <main className="main">
+        <h1 className="title">Local Font Test</h1>
+
+        <div className="description">
+          <p>
+            This build uses Babel, which cannot compile <code>next/font</code>: the font test
+            needs native SWC or WASM.
+          </p>
+        </div>
+
+        <Link href="/" className="backLink">
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import Link from 'next/link'
+import localFont from 'next/font/local'
+
+// Noto Sans (SIL Open Font License), self-hosted by next/font
+const notoSans = localFont({
+  src: '../app/fonts/NotoSans-Regular.ttf',
+  display: 'swap',
+})
+
+export default function FontTest() {
+  return (
+    <div className="container">
+      <main className="main">
+        <h1 className="title">Local Font Test</h1>
+
+        <div className={`description ${notoSans.className}`}>
+          <p>
+            This text is set in Noto Sans, loaded with <code>next/font/local</code>: the font
+            file is hashed, served from <code>/_next/static/media</code> and preloaded.
+          </p>
+
+          <p>The quick brown fox jumps over the lazy dog. 0123456789</p>
+
+          <p className="note">
+            ✅ If this text uses Noto Sans, next/font is working correctly on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className="backLink">
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+// Posts for the dynamic /posts/[slug] route, all rendered at build time
+export interface Post {
+  slug: string
+  title: string
+  body: string
+}
+
+export const posts: Post[] = [
+  {
+    slug: 'hello-riscv64',
+    title: 'Hello from riscv64',
+    body: 'This post was generated from generateStaticParams.',
+  },
+  {
+    slug: 'native-swc',
+    title: 'Native SWC on riscv64',
+    body: 'A second statically generated post.',
+  },
+]
+
+export function getPost(slug: string): Post | undefined {
+  return posts.find((post) => post.slug === slug)
+}
@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+
+// Runs on the Edge runtime in front of every page and API route but /actions
+export function middleware(request: NextRequest) {
+  if (request.nextUrl.pathname === '/middleware-redirect') {
+    return NextResponse.redirect(new URL('/about', request.url))
+  }
+
+  const response = NextResponse.next()
+  response.headers.set('x-riscv64-middleware', 'edge')
+  return response
+}
+
+export const config = {
+  // Next.js 13.x never answers a form post to a server action behind middleware
+  matcher: ['/((?!_next/static|_next/image|favicon.ico|actions).*)'],
+}
@@ -1,7 +1,16 @@
+const { withRiscv64Swc } = require('../../lib/next-swc-select')
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  swcMinify: false, // Disable SWC minifier, use Babel fallback
-  // Server Actions not stable in Next.js 13.5.6
+  images: {
+    formats: ['image/avif', 'image/webp'], // Exercise AVIF encoding as well
+  },
+}
+
+// Server Actions are stable from 14.x, which warns about the flag; 13.x needs it
+if (parseInt(require('next/package.json').version, 10) < 14) {
+  nextConfig.experimental = { serverActions: true }
 }
 
-module.exports = nextConfig
+// Native SWC if the riscv64 binding works, else WASM or .babelrc (swcMinify is set to match)
+module.exports = withRiscv64Swc(nextConfig, { projectDir: __dirname })
@@ -0,0 +1,691 @@
+#!/usr/bin/env node
+
+/**
+ * Database Driver Matrix for riscv64
+ *
+ * Runs one shared CRUD, transaction and bulk-insert workload against several
+ * local SQLite stacks and reports whether each works on riscv64 and how fast
+ * it is:
+ *   - better-sqlite3 (native addon, usually built from source on riscv64)
+ *   - node:sqlite (built into Node.js 22.5+; checked against the Node.js
+ *     running `test`, whichever one ran `setup`)
+ *   - sqlite3 (native addon)
+ *   - sql.js (pure JavaScript fallback, asm.js build)
+ *
+ * Each driver runs in its own child process, so a crashing native addon
+ * cannot take down the run.
+ *
+ * Usage:
+ *   1. Set up drivers: node db-driver-matrix.js setup [--drivers=better-sqlite3,sqlite3]
+ *   2. Run workload:   node db-driver-matrix.js test [--drivers=...] [--rows=10000]
+ *                      [--report=markdown,html,csv,junit]
+ *   3. Cleanup:        node db-driver-matrix.js cleanup
+ *
+ * The report is always saved as db-matrix-project/test-report.json in the
+ * shared report schema (lib/report.js); --report adds rendered formats.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fork, spawnSync } = require('child_process');
+const { performance } = require('perf_hooks');
+const { createReport, addSuite, addCase, addIssue, parseFormats, writeReport } = require('../../lib/report');
+const { DRIVERS, driverExecArgv, openDatabase } = require('./lib/db-drivers');
+
+const TEST_DIR = path.join(__dirname, 'db-matrix-project');
+const SETUP_FILE = path.join(TEST_DIR, 'setup.json');
+const command = process.argv[2] || 'test';
+
+const getArg = (name, fallback) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1] || fallback;
+const reportArg = getArg('report');
+
+// Workload sizes
+const BULK_ROWS = parseInt(getArg('rows', '10000'), 10);
+const AUTOCOMMIT_ROWS = parseInt(getArg('autocommit-rows', '200'), 10);
+const LOOKUPS = parseInt(getArg('lookups', '1000'), 10);
+
+// A driver that hangs (e.g. a miscompiled addon spinning) is killed after this
+const WORKER_TIMEOUT_MS = parseInt(getArg('timeout', '600000'), 10);
+
+/**
+ * Drivers selected with --drivers (default: all)
+ */
+function selectedDrivers() {
+  const names = getArg('drivers', Object.keys(DRIVERS).join(',')).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = names.filter(name => !DRIVERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown driver(s): ${unknown.join(', ')} (available: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return names;
+}
+
+/**
+ * Availability of a driver built into Node.js, for the Node.js running now
+ */
+function builtinInstall(name) {
+  return driverExecArgv(name) !== null
+    ? { installed: true, durationMs: 0, build: 'none needed' }
+    : { installed: false, durationMs: 0, reason: `Requires Node.js ${DRIVERS[name].minNode}+ (found ${process.version})` };
+}
+
+/**
+ * Install one driver package, recording whether it had to be built from source
+ */
+function installDriver(name) {
+  const driver = DRIVERS[name];
+  const spec = `${driver.package}@${driver.version}`;
+
+  console.log(`\n  Installing ${spec}...`);
+
+  const startTime = performance.now();
+  const result = spawnSync('npm', ['install', spec, '--foreground-scripts', '--no-audit', '--no-fund'], {
+    cwd: TEST_DIR,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+  const durationMs = performance.now() - startTime;
+  const output = [result.stdout, result.stderr, result.error?.message].filter(Boolean).join('\n');
+
+  if (result.status !== 0) {
+    const reason = output.split('\n').find(line => /ERR!|error/i.test(line)) || `npm exited with code ${result.status}`;
+    console.log(`  ❌ Failed (${(durationMs / 1000).toFixed(1)}s): ${reason.trim()}`);
+    return { installed: false, durationMs, reason: reason.trim(), log: output };
+  }
+
+  // node-gyp output means no prebuilt binary matched this platform
+  const build = driver.kind !== 'native addon'
+    ? 'none needed'
+    : /gyp info (spawn|ok)|node-gyp rebuild|\bCXX\(target\)/.test(output) ? 'built from source' : 'prebuilt binary';
+
+  console.log(`  ✅ Installed in ${(durationMs / 1000).toFixed(1)}s (${build})`);
+  return { installed: true, durationMs, build, log: output };
+}
+
+/**
+ * Setup test project
+ */
+function setup() {
+  const drivers = selectedDrivers();
+
+  console.log('🔧 Setting up database driver matrix...\n');
+
+  if (fs.existsSync(TEST_DIR)) {
+    console.log('  Removing existing test directory...');
+    fs.rmSync(TEST_DIR, { recursive: true });
+  }
+
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+
+  console.log('  Initializing package.json...');
+  fs.writeFileSync(path.join(TEST_DIR, 'package.json'), JSON.stringify({
+    name: 'db-driver-matrix-riscv64',
+    version: '1.0.0',
+    private: true
+  }, null, 2));
+
+  // One install per driver, so a failed native build does not block the others
+  console.log('  This may take a while for native addons built from source...');
+  const installs = {};
+  for (const name of drivers) {
+    if (!DRIVERS[name].package) {
+      installs[name] = builtinInstall(name);
+      console.log(`\n  ${DRIVERS[name].label}: ${installs[name].installed ? 'built in' : installs[name].reason}`);
+      continue;
+    }
+    installs[name] = installDriver(name);
+  }
+
+  fs.writeFileSync(SETUP_FILE, JSON.stringify({ node: process.version, arch: process.arch, installs }, null, 2));
+
+  const installed = Object.values(installs).filter(install => install.installed).length;
+  console.log(`\n✅ Setup complete: ${installed} of ${drivers.length} drivers available\n`);
+  console.log(`  Test directory: ${TEST_DIR}`);
+  console.log('\n  Next step: node db-driver-matrix.js test\n');
+}
+
+const SCHEMA = `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE,
+    name TEXT
+  );
+  CREATE TABLE posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    content TEXT,
+    published INTEGER NOT NULL DEFAULT 0,
+    author_id INTEGER NOT NULL REFERENCES users(id)
+  );
+  CREATE INDEX posts_author ON posts(author_id);
+`;
+
+const expect = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const perSecond = (count, ms) => Math.round(count / (ms / 1000));
+
+/**
+ * Workload cases, run in order against one connection per driver
+ *
+ * Same structure as prisma-jsonly-test.js: `requires` lists cases whose
+ * results a case builds on, and a case may return metrics for the report.
+ */
+const WORKLOAD = [
+  {
+    name: 'Open database',
+    async run(ctx) {
+      ctx.db = await openDatabase(ctx.driver, TEST_DIR, ctx.file);
+      await ctx.db.exec(SCHEMA);
+    }
+  },
+  {
+    name: 'Create',
+    requires: ['Open database'],
+    async run({ db }) {
+      for (const [email, name] of [['alice@example.com', 'Alice'], ['bob@example.com', 'Bob']]) {
+        await db.run('INSERT INTO users (email, name) VALUES (?, ?)', [email, name]);
+      }
+      const [alice] = await db.all('SELECT id FROM users WHERE email = ?', ['alice@example.com']);
+      const [bob] = await db.all('SELECT id FROM users WHERE email = ?', ['bob@example.com']);
+
+      await db.run('INSERT INTO posts (title, content, published, author_id) VALUES (?, ?, ?, ?)',
+        ['Hello riscv64!', 'Testing SQLite on riscv64', 1, alice.id]);
+      await db.run('INSERT INTO posts (title, content, published, author_id) VALUES (?, ?, ?, ?)',
+        ['Draft', 'Not published yet', 0, bob.id]);
+    }
+  },
+  {
+    name: 'Read with join',
+    requires: ['Create'],
+    async run({ db }) {
+      const rows = await db.all(`
+        SELECT users.name AS name, COUNT(posts.id) AS posts
+        FROM users LEFT JOIN posts ON posts.author_id = users.id
+        GROUP BY users.id ORDER BY users.name
+      `);
+      expect(rows.length === 2 && rows.every(row => Number(row.posts) === 1),
+        `Expected 2 users with 1 post each, got ${JSON.stringify(rows)}`);
+    }
+  },
+  {
+    name: 'Update',
+    requires: ['Create'],
+    async run({ db }) {
+      const changes = await db.run('UPDATE posts SET published = 1 WHERE published = 0');
+      expect(changes === 1, `Expected 1 updated row, got ${changes}`);
+
+      const [{ unpublished }] = await db.all('SELECT COUNT(*) AS unpublished FROM posts WHERE published = 0');
+      expect(Number(unpublished) === 0, `Expected no unpublished posts, found ${unpublished}`);
+    }
+  },
+  {
+    name: 'Delete',
+    requires: ['Create'],
+    async run({ db }) {
+      const posts = await db.run('DELETE FROM posts');
+      const users = await db.run('DELETE FROM users');
+      expect(posts === 2 && users === 2, `Expected to delete 2 posts and 2 users, deleted ${posts} and ${users}`);
+    }
+  },
+  {
+    name: 'Transaction commit',
+    requires: ['Open database'],
+    async run({ db }) {
+      await db.exec('BEGIN');
+      await db.run('INSERT INTO users (email, name) VALUES (?, ?)', ['commit1@example.com', 'Commit 1']);
+      await db.run('INSERT INTO users (email, name) VALUES (?, ?)', ['commit2@example.com', 'Commit 2']);
+      await db.exec('COMMIT');
+
+      const [{ count }] = await db.all("SELECT COUNT(*) AS count FROM users WHERE email LIKE 'commit%'");
+      expect(Number(count) === 2, `Expected 2 committed rows, found ${count}`);
+      await db.run("DELETE FROM users WHERE email LIKE 'commit%'");
+    }
+  },
+  {
+    name: 'Transaction rollback',
+    requires: ['Open database'],
+    async run({ db }) {
+      await db.exec('BEGIN');
+      await db.run('INSERT INTO users (email, name) VALUES (?, ?)', ['rollback@example.com', 'Rollback']);
+      await db.exec('ROLLBACK');
+
+      const [{ count }] = await db.all("SELECT COUNT(*) AS count FROM users WHERE email = 'rollback@example.com'");
+      expect(Number(count) === 0, `Expected the insert to be rolled back, found ${count} rows`);
+    }
+  },
+  {
+    name: `Bulk insert (${BULK_ROWS} rows, one transaction)`,
+    requires: ['Open database'],
+    async run({ db }) {
+      const startTime = performance.now();
+      await db.exec('BEGIN');
+      for (let i = 0; i < BULK_ROWS; i++) {
+        await db.run('INSERT INTO users (email, name) VALUES (?, ?)', [`bulk${i}@example.com`, `User ${i}`]);
+      }
+      await db.exec('COMMIT');
+      const ms = performance.now() - startTime;
+
+      const [{ count }] = await db.all("SELECT COUNT(*) AS count FROM users WHERE email LIKE 'bulk%'");
+      expect(Number(count) === BULK_ROWS, `Expected ${BULK_ROWS} rows, found ${count}`);
+      return { 'rows/s': perSecond(BULK_ROWS, ms) };
+    }
+  },
+  {
+    name: `Indexed lookups (${LOOKUPS} queries)`,
+    requires: [`Bulk insert (${BULK_ROWS} rows, one transaction)`],
+    async run({ db }) {
+      const startTime = performance.now();
+      for (let i = 0; i < LOOKUPS; i++) {
+        const rows = await db.all('SELECT id, name FROM users WHERE email = ?', [`bulk${(i * 7919) % BULK_ROWS}@example.com`]);
+        expect(rows.length === 1, `Lookup ${i} returned ${rows.length} rows`);
+      }
+      return { 'queries/s': perSecond(LOOKUPS, performance.now() - startTime) };
+    }
+  },
+  {
+    name: `Autocommit inserts (${AUTOCOMMIT_ROWS} rows)`,
+    requires: ['Open database'],
+    async run({ db }) {
+      // One transaction (and journal sync) per row: closest to naive app code
+      const startTime = performance.now();
+      for (let i = 0; i < AUTOCOMMIT_ROWS; i++) {
+        await db.run('INSERT INTO users (email, name) VALUES (?, ?)', [`auto${i}@example.com`, `Auto ${i}`]);
+      }
+      return { 'rows/s': perSecond(AUTOCOMMIT_ROWS, performance.now() - startTime) };
+    }
+  },
+  {
+    name: 'Close',
+    requires: ['Open database'],
+    async run({ db }) {
+      await db.close();
+    }
+  }
+];
+
+/**
+ * Worker entry point: run the workload against one driver
+ */
+async function runWorker() {
+  const driver = process.argv[3];
+  const dataDir = path.join(TEST_DIR, 'data');
+  const file = path.join(dataDir, `${driver}.db`);
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  for (const suffix of ['', '-wal', '-shm', '-journal']) {
+    fs.rmSync(file + suffix, { force: true });
+  }
+
+  const ctx = { driver, file };
+  const cases = [];
+
+  for (const workloadCase of WORKLOAD) {
+    const failedRequirement = (workloadCase.requires || []).find(name =>
+      cases.find(result => result.name === name)?.status !== 'passed'
+    );
+
+    if (failedRequirement) {
+      cases.push({ name: workloadCase.name, status: 'skipped', durationMs: null, message: `Requires "${failedRequirement}"` });
+      continue;
+    }
+
+    const startTime = performance.now();
+    try {
+      const metrics = await workloadCase.run(ctx);
+      cases.push({ name: workloadCase.name, status: 'passed', durationMs: performance.now() - startTime, metrics: metrics || {} });
+    } catch (error) {
+      cases.push({
+        name: workloadCase.name,
+        status: 'failed',
+        durationMs: performance.now() - startTime,
+        message: error.message.split('\n')[0],
+        log: error.stack || String(error)
+      });
+    }
+  }
+
+  process.send({
+    type: 'result',
+    driver,
+    version: ctx.db?.version || null,
+    sqliteVersion: ctx.db?.sqliteVersion || null,
+    cases
+  });
+}
+
+/**
+ * Run the workload for one driver in an isolated child process
+ */
+function runIsolated(driver, execArgv) {
+  return new Promise((resolve) => {
+    let message = null;
+    let stderr = '';
+
+    const child = fork(__filename, [
+      'worker',
+      driver,
+      `--rows=${BULK_ROWS}`,
+      `--lookups=${LOOKUPS}`,
+      `--autocommit-rows=${AUTOCOMMIT_ROWS}`
+    ], {
+      execArgv: [...process.execArgv, ...execArgv],
+      stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+    });
+
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+
+    const timer = setTimeout(() => {
+      stderr += `\nKilled after ${WORKER_TIMEOUT_MS}ms`;
+      child.kill('SIGKILL');
+    }, WORKER_TIMEOUT_MS);
+
+    child.on('message', (msg) => {
+      message = msg;
+    });
+
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (message?.type === 'result') {
+        resolve(message);
+        return;
+      }
+      resolve({
+        type: 'crash',
+        driver,
+        reason: signal ? `Worker killed by ${signal}` : `Worker exited with code ${code}`,
+        log: stderr.trim()
+      });
+    });
+  });
+}
+
+const metricOf = (result, prefix, metric) =>
+  result.cases?.find(testCase => testCase.name.startsWith(prefix) && testCase.status === 'passed')?.metrics[metric] ?? null;
+
+/**
+ * Print the comparison table
+ */
+function printSummary(results) {
+  const column = (value, width) => String(value ?? '-').padEnd(width);
+
+  console.log('\n📊 Summary:\n');
+  console.log(
+    column('Driver', 24) + column('Status', 14) + column('Version', 10) + column('SQLite', 9) +
+    column('Bulk rows/s', 13) + column('Lookups/s', 11) + 'Autocommit rows/s'
+  );
+  console.log('─'.repeat(100));
+
+  for (const result of results) {
+    console.log(
+      column(DRIVERS[result.driver].label, 24) +
+      column(result.status, 14) +
+      column(result.version, 10) +
+      column(result.sqliteVersion, 9) +
+      column(metricOf(result, 'Bulk insert', 'rows/s'), 13) +
+      column(metricOf(result, 'Indexed lookups', 'queries/s'), 11) +
+      column(metricOf(result, 'Autocommit', 'rows/s'), 0)
+    );
+  }
+}
+
+/**
+ * Run the workload against every installed driver
+ */
+async function test() {
+  const drivers = selectedDrivers();
+
+  console.log('🧪 Running database driver matrix on riscv64...\n');
+
+  if (!fs.existsSync(SETUP_FILE)) {
+    console.error('❌ Test project not found. Run setup first:');
+    console.error('   node db-driver-matrix.js setup\n');
+    process.exit(1);
+  }
+
+  const { installs } = JSON.parse(fs.readFileSync(SETUP_FILE, 'utf8'));
+
+  console.log(`  Workload: ${BULK_ROWS} bulk rows, ${LOOKUPS} lookups, ${AUTOCOMMIT_ROWS} autocommit rows\n`);
+  console.log('─'.repeat(80));
+
+  const results = [];
+
+  for (const driver of drivers) {
+    const { label } = DRIVERS[driver];
+    // Built-in drivers depend on the Node.js running the test, not the one that ran setup
+    const install = DRIVERS[driver].package ? installs[driver] : builtinInstall(driver);
+    const execArgv = driverExecArgv(driver);
+
+    console.log(`\n${label}:`);
+
+    if (!install) {
+      console.log('  ⏭️  Skipped: not set up (run setup with this driver)');
+      results.push({ driver, status: 'not set up', install: null });
+      continue;
+    }
+
+    if (!install.installed || execArgv === null) {
+      console.log(`  ⏭️  Skipped: ${install.reason || 'not available'}`);
+      results.push({ driver, status: 'unavailable', install });
+      continue;
+    }
+
+    const result = await runIsolated(driver, execArgv);
+
+    if (result.type === 'crash') {
+      console.log(`  💥 ${result.reason}`);
+      if (result.log) console.log(result.log.split('\n').map(line => `     ${line}`).join('\n'));
+      results.push({ ...result, status: 'crashed', install });
+      continue;
+    }
+
+    for (const testCase of result.cases) {
+      const icon = { passed: '✅', failed: '❌', skipped: '⏭️ ' }[testCase.status];
+      const detail = testCase.status === 'passed'
+        ? `${testCase.durationMs.toFixed(0)}ms${Object.entries(testCase.metrics).map(([name, value]) => `, ${value} ${name}`).join('')}`
+        : testCase.message;
+      console.log(`  ${icon} ${testCase.name}: ${detail}`);
+    }
+
+    const failed = result.cases.filter(testCase => testCase.status !== 'passed').length;
+    results.push({ ...result, status: failed === 0 ? 'works' : `${failed} failing`, install });
+  }
+
+  console.log('');
+  console.log('─'.repeat(80));
+
+  printSummary(results);
+  saveReport(results);
+
+  const broken = results.filter(result => result.status === 'crashed' || /failing/.test(result.status));
+  if (broken.length > 0) {
+    console.error(`❌ ${broken.length} driver(s) did not pass the workload\n`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Save the test report (JSON plus any --report formats)
+ */
+function saveReport(results) {
+  const report = createReport({ tool: 'db-driver-matrix', title: 'Database Driver Matrix - riscv64' });
+  report.metrics.Workload = `${BULK_ROWS} bulk rows, ${LOOKUPS} lookups, ${AUTOCOMMIT_ROWS} autocommit rows`;
+
+  for (const result of results) {
+    const { label, kind } = DRIVERS[result.driver];
+    const install = result.install;
+
+    if (result.version) {
+      report.packages[label] = result.sqliteVersion ? `${result.version} (SQLite ${result.sqliteVersion})` : result.version;
+    }
+
+    if (install?.installed) {
+      report.nativeDependencies[label] = `${result.status === 'works' ? 'Works' : 'Broken'} (${kind}, ${install.build})`;
+    } else {
+      report.nativeDependencies[label] = install ? `Not available: ${install.reason}` : 'Not set up';
+    }
+
+    const suite = addSuite(report, {
+      name: label,
+      notes: install?.installed && install.durationMs > 0 ? `Installed in ${(install.durationMs / 1000).toFixed(1)}s (${install.build})` : null
+    });
+
+    if (!install?.installed || result.status === 'unavailable') {
+      suite.status = 'skipped';
+      suite.notes = install?.reason || 'Not set up';
+      if (install?.log) suite.log = install.log;
+      continue;
+    }
+
+    if (result.status === 'crashed') {
+      suite.status = 'error';
+      suite.notes = result.reason;
+      suite.log = result.log || null;
+      addIssue(report, {
+        severity: 'critical',
+        description: `${label} crashed on riscv64: ${result.reason}`,
+        impact: 'The driver cannot be used',
+        workaround: 'Use another driver from this matrix'
+      });
+      continue;
+    }
+
+    for (const testCase of result.cases) {
+      addCase(suite, testCase);
+    }
+
+    if (result.status !== 'works') {
+      addIssue(report, {
+        severity: 'critical',
+        description: `${label} failed part of the workload (${result.status})`,
+        impact: 'Results may be incorrect with this driver'
+      });
+    }
+  }
+
+  // Recommend the fastest driver that passed everything
+  const working = results.filter(result => result.status === 'works');
+  const fastest = working.sort((a, b) => (metricOf(b, 'Bulk insert', 'rows/s') || 0) - (metricOf(a, 'Bulk insert', 'rows/s') || 0))[0];
+  if (fastest) {
+    report.metrics['Fastest working driver'] = `${DRIVERS[fastest.driver].label} (${metricOf(fastest, 'Bulk insert', 'rows/s')} bulk rows/s)`;
+    report.conclusion.recommendations.push(`Use ${DRIVERS[fastest.driver].label} as the storage layer`);
+  } else {
+    report.conclusion.recommendations.push('No driver passed the workload; investigate the failures above');
+  }
+
+  const formats = ['json', ...parseFormats(reportArg).filter(format => format !== 'json')];
+  console.log('');
+  for (const file of writeReport(report, path.join(TEST_DIR, 'test-report'), formats)) {
+    console.log(`📄 Report saved to: ${file}`);
+  }
+  console.log('');
+}
+
+/**
+ * Cleanup test project
+ */
+function cleanup() {
+  console.log('🧹 Cleaning up test project...\n');
+
+  if (fs.existsSync(TEST_DIR)) {
+    fs.rmSync(TEST_DIR, { recursive: true });
+    console.log(`  ✓ Removed ${TEST_DIR}\n`);
+  } else {
+    console.log('  No test directory found.\n');
+  }
+
+  console.log('✅ Cleanup complete!\n');
+}
+
+/**
+ * Show usage
+ */
+function showUsage() {
+  console.log(`
+Database Driver Matrix for riscv64
+
+Usage:
+  node db-driver-matrix.js <command> [options]
+
+Commands:
+  setup    - Create test project and install the driver packages
+  test     - Run the shared workload against every available driver
+  cleanup  - Remove test project
+
+Options:
+  --drivers=LIST          Drivers to set up/test (default: ${Object.keys(DRIVERS).join(',')})
+  --rows=N                Rows for the bulk insert (default: 10000)
+  --lookups=N             Indexed point queries (default: 1000)
+  --autocommit-rows=N     Rows inserted one transaction each (default: 200)
+  --timeout=MS            Kill a driver's worker after MS (default: 600000)
+  --report=FORMATS        Also render markdown, html, csv and/or junit
+
+Example workflow:
+  1. node db-driver-matrix.js setup
+  2. node db-driver-matrix.js test
+  3. node db-driver-matrix.js cleanup
+
+Notes:
+  - Each driver runs in its own process; a crash is reported, not fatal
+  - node:sqlite needs Node.js ${DRIVERS['node-sqlite'].minNode}+ and is skipped otherwise
+  - sql.js keeps the database in memory and writes it to disk on close
+  - Test directory: ${TEST_DIR}
+  - Report: ${path.join(TEST_DIR, 'test-report.json')} (--report adds .md, .html, .csv, .junit.xml)
+`);
+}
+
+/**
+ * Main execution
+ */
+function main() {
+  try {
+    parseFormats(reportArg);
+    selectedDrivers();
+    for (const [name, value] of [['rows', BULK_ROWS], ['lookups', LOOKUPS], ['autocommit-rows', AUTOCOMMIT_ROWS], ['timeout', WORKER_TIMEOUT_MS]]) {
+      if (!(value > 0)) throw new Error(`--${name} must be a positive number`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    process.exit(1);
+  }
+
+  switch (command) {
+    case 'setup':
+      setup();
+      break;
+
+    case 'test':
+      test().catch(error => {
+        console.error('\n❌ Test run failed:', error);
+        process.exit(1);
+      });
+      break;
+
+    case 'worker':
+      runWorker().catch(error => {
+        console.error(error.stack || error);
+        process.exit(1);
+      });
+      break;
+
+    case 'cleanup':
+      cleanup();
+      break;
+
+    case 'help':
+    case '--help':
+    case '-h':
+      showUsage();
+      break;
+
+    default:
+      console.error(`❌ Unknown command: ${command}\n`);
+      showUsage();
+      process.exit(1);
+  }
+}
+
+// Run
+main();
@@ -0,0 +1,142 @@
+/**
+ * Baseline comparison for sharp benchmark results
+ *
+ * Lines up two sharp-benchmark-results-*.json files cell by cell
+ * (implementation × size × operation) and flags slowdowns past a threshold.
+ */
+
+const fs = require('fs');
+
+const METRICS = ['avg', 'median', 'min'];
+
+/**
+ * Load a saved results file
+ */
+function loadResults(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Results file not found: ${filepath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Compare a new run against a baseline
+ *
+ * A cell regresses when the current timing is more than `threshold` percent
+ * slower than the baseline, or when the operation has no result in the
+ * current run at all (it errored or was dropped).
+ */
+function compareRuns(baseline, current, { sizes, operations, implementations, threshold = 10, metric = 'avg' }) {
+  if (!METRICS.includes(metric)) {
+    throw new Error(`Unknown metric: ${metric} (expected one of ${METRICS.join(', ')})`);
+  }
+
+  const cells = [];
+
+  for (const impl of implementations) {
+    // An implementation that did not run at all (e.g. native sharp failed to
+    // load) leaves every baseline cell of it missing
+    if (!baseline[impl] && !current[impl]) {
+      continue;
+    }
+
+    for (const size of sizes) {
+      for (const op of operations) {
+        const before = baseline[impl]?.[size.name]?.[op.name]?.[metric];
+        const after = current[impl]?.[size.name]?.[op.name]?.[metric];
+
+        const cell = {
+          implementation: impl,
+          size: size.name,
+          operation: op.name,
+          desc: op.desc,
+          baseline: before ?? null,
+          current: after ?? null,
+          deltaMs: null,
+          deltaPct: null,
+          status: 'ok'
+        };
+
+        if (before === undefined && after === undefined) {
+          continue;
+        } else if (before === undefined) {
+          cell.status = 'new';
+        } else if (after === undefined) {
+          cell.status = 'missing';
+        } else {
+          cell.deltaMs = after - before;
+          cell.deltaPct = before > 0 ? (cell.deltaMs / before) * 100 : 0;
+
+          if (cell.deltaPct > threshold) {
+            cell.status = 'regression';
+          } else if (cell.deltaPct < -threshold) {
+            cell.status = 'improvement';
+          }
+        }
+
+        cells.push(cell);
+      }
+    }
+  }
+
+  const regressions = cells.filter(cell => cell.status === 'regression' || cell.status === 'missing');
+
+  return {
+    metric,
+    threshold,
+    cells,
+    regressions,
+    passed: regressions.length === 0
+  };
+}
+
+/**
+ * Print per-cell deltas grouped by implementation and size
+ */
+function printComparison(report) {
+  const icons = {
+    ok: '',
+    new: '🆕',
+    missing: '❌',
+    regression: '🔺',
+    improvement: '🔻'
+  };
+
+  let lastGroup = null;
+
+  for (const cell of report.cells) {
+    const group = `${cell.implementation.toUpperCase()} / ${cell.size}`;
+    if (group !== lastGroup) {
+      console.log(`\n${group}:`);
+      console.log('─'.repeat(80));
+      console.log('Operation'.padEnd(30) + 'Baseline'.padEnd(14) + 'Current'.padEnd(14) + 'Delta');
+      console.log('─'.repeat(80));
+      lastGroup = group;
+    }
+
+    const before = cell.baseline === null ? '-' : `${cell.baseline.toFixed(1)}ms`;
+    const after = cell.current === null ? '-' : `${cell.current.toFixed(1)}ms`;
+    const delta = cell.deltaPct === null
+      ? cell.status
+      : `${cell.deltaPct >= 0 ? '+' : ''}${cell.deltaPct.toFixed(1)}%`;
+
+    console.log(
+      cell.desc.padEnd(30) +
+      before.padEnd(14) +
+      after.padEnd(14) +
+      `${delta.padEnd(10)}${icons[cell.status]}`.trimEnd()
+    );
+  }
+}
+
+module.exports = {
+  METRICS,
+  loadResults,
+  compareRuns,
+  printComparison
+};
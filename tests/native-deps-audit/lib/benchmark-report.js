@@ -0,0 +1,228 @@
+/**
+ * Shared-schema reports for sharp-benchmark.js
+ *
+ * Converts the results of each mode (run, compare, profile, verify) into the
+ * report schema of lib/report.js so they can be rendered as Markdown, HTML,
+ * CSV or JUnit alongside the raw JSON results.
+ */
+
+const { createReport, addSuite, addCase, addIssue } = require('../../../lib/report');
+const { appliesTo } = require('./operations');
+
+const round = (value, digits = 2) => (typeof value === 'number' ? Number(value.toFixed(digits)) : value);
+
+/**
+ * Report skeleton with the sharp backends that were loaded
+ */
+function baseReport(title, backends = {}, requested = Object.keys(backends)) {
+  const report = createReport({ tool: 'sharp-benchmark', title });
+
+  for (const [kind, backend] of Object.entries(backends)) {
+    if (backend) {
+      report.packages[`sharp (${kind})`] = `${backend.sharpVersion}, libvips ${backend.vipsVersion}`;
+    }
+  }
+
+  if (requested.includes('native')) {
+    report.nativeDependencies.sharp = backends.native
+      ? `Installed (${backends.native.platformPackage || 'global libvips'})`
+      : 'Failed';
+  } else if (backends.wasm) {
+    report.nativeDependencies.sharp = 'Fallback used (WASM)';
+  }
+
+  return report;
+}
+
+/**
+ * Benchmark run: one suite per backend, plus the native/WASM comparison
+ */
+function runReport(results, { sizes, operations, labels, implementations }) {
+  const report = baseReport('Sharp Performance Benchmark - riscv64', results.backends, implementations);
+  report.metrics['Image set'] = results.imageSet;
+
+  for (const kind of implementations) {
+    const suite = addSuite(report, { name: `${labels[kind]} benchmark` });
+
+    if (!results[kind]) {
+      suite.status = 'error';
+      suite.notes = 'Backend could not be loaded';
+      addIssue(report, { severity: 'critical', description: `${labels[kind]} sharp could not be benchmarked` });
+      continue;
+    }
+
+    for (const size of sizes) {
+      for (const op of operations.filter(op => appliesTo(op, size))) {
+        const result = results[kind][size.name]?.[op.name];
+        const name = `${size.name} / ${op.desc}`;
+
+        if (!result) {
+          addCase(suite, { name, status: 'error', message: 'Operation failed' });
+          continue;
+        }
+
+        addCase(suite, {
+          name,
+          status: 'passed',
+          durationMs: result.avg,
+          metrics: {
+            'median ms': round(result.median),
+            'p95 ms': round(result.p95),
+            '±95% CI ms': round(result.ci95.halfWidth),
+            n: result.samples
+          }
+        });
+      }
+    }
+  }
+
+  if (results.comparison) {
+    const suite = addSuite(report, { name: 'Native vs WASM' });
+
+    for (const [size, cells] of Object.entries(results.comparison)) {
+      for (const [operation, cell] of Object.entries(cells)) {
+        addCase(suite, {
+          name: `${size} / ${operations.find(op => op.name === operation)?.desc || operation}`,
+          status: 'passed',
+          message: cell.significant ? null : 'not significant',
+          metrics: {
+            'native ms': round(cell.native),
+            'wasm ms': round(cell.wasm),
+            ratio: cell.ratio
+          }
+        });
+      }
+    }
+  }
+
+  const summary = results.summary;
+  if (summary) {
+    report.metrics['Significant differences'] = `${summary.significant} of ${summary.cells}`;
+    if (summary.avgRatio !== null) {
+      report.metrics['Average speedup (native vs WASM)'] = `${summary.avgRatio.toFixed(2)}x`;
+      report.metrics['Best case'] = `${summary.maxRatio.toFixed(2)}x`;
+      report.metrics['Worst case'] = `${summary.minRatio.toFixed(2)}x`;
+    }
+    report.conclusion.recommendations.push(
+      summary.recommendation === 'native' ? 'Use native sharp for production' : 'WASM sharp is acceptable'
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Baseline comparison: one case per implementation, size and operation
+ */
+function compareReport(comparison, { baselineFile, currentFile }) {
+  const report = baseReport('Sharp Benchmark Baseline Comparison - riscv64');
+  const suite = addSuite(report, {
+    name: `Baseline comparison (${comparison.metric}, threshold ${comparison.threshold}%)`,
+    notes: `Baseline ${baselineFile}, current ${currentFile || 'this run'}`
+  });
+
+  const messages = {
+    regression: 'slower than threshold',
+    missing: 'no result in current run',
+    new: 'no baseline',
+    improvement: 'faster than threshold'
+  };
+
+  for (const cell of comparison.cells) {
+    addCase(suite, {
+      name: `${cell.implementation} / ${cell.size} / ${cell.desc}`,
+      status: cell.status === 'regression' || cell.status === 'missing' ? 'failed' : 'passed',
+      message: messages[cell.status] || null,
+      metrics: {
+        'baseline ms': round(cell.baseline),
+        'current ms': round(cell.current),
+        'delta %': round(cell.deltaPct, 1)
+      }
+    });
+  }
+
+  report.metrics.Regressions = comparison.regressions.length;
+  return report;
+}
+
+/**
+ * Resource profile: one case per backend and operation with the sizing hint
+ */
+function profileReport(profileResults, { operations, labels }) {
+  const report = baseReport('Sharp Resource & Concurrency Profile - riscv64', profileResults.backends);
+  const describe = cell => `threads ${cell.threadpool}, concurrency ${cell.concurrency}, ${cell.parallel} parallel`;
+
+  for (const [kind, summary] of Object.entries(profileResults.summary)) {
+    const suite = addSuite(report, { name: `${labels[kind]} resource profile (${profileResults.profile.size})` });
+
+    for (const [operation, { best, sizing }] of Object.entries(summary)) {
+      const desc = operations.find(op => op.name === operation)?.desc || operation;
+
+      addCase(suite, {
+        name: desc,
+        status: 'passed',
+        metrics: {
+          'best ops/s': round(best.throughput, 1),
+          'best config': describe(best),
+          'sizing ops/s': round(sizing.throughput, 1),
+          'sizing config': describe(sizing),
+          'sizing peak RSS MB': round(sizing.peakRssMB, 0)
+        }
+      });
+      report.conclusion.recommendations.push(`${labels[kind]} ${desc}: ${describe(sizing)}`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Pixel verification: one case per size and operation
+ */
+function verifyReport(verifyResults, { operations }) {
+  const report = baseReport('Sharp Output Verification (Native vs WASM) - riscv64', verifyResults.backends);
+  const { tolerance } = verifyResults;
+  const suite = addSuite(report, {
+    name: 'Pixel verification',
+    notes: `max delta ${tolerance.maxDelta}, PSNR ≥ ${tolerance.minPsnr}dB, SSIM ≥ ${tolerance.minSsim}`
+  });
+
+  const statuses = { pass: 'passed', fail: 'failed', error: 'error' };
+
+  for (const cell of verifyResults.cells) {
+    const metrics = cell.outputs.map(output => output.metrics).filter(Boolean);
+    const worst = metrics.length > 0
+      ? metrics.reduce((a, b) => ((b.maxDelta ?? -1) > (a.maxDelta ?? -1) ? b : a))
+      : null;
+
+    addCase(suite, {
+      name: `${cell.size} / ${operations.find(op => op.name === cell.operation)?.desc || cell.operation}`,
+      status: statuses[cell.status],
+      message: cell.reason || null,
+      metrics: {
+        'max delta': worst?.maxDelta ?? null,
+        'PSNR dB': worst?.psnr === undefined ? null : round(worst.psnr, 1),
+        SSIM: worst?.ssim === undefined ? null : round(worst.ssim, 4)
+      }
+    });
+  }
+
+  const failures = verifyResults.cells.filter(cell => cell.status !== 'pass');
+  if (failures.length > 0) {
+    addIssue(report, {
+      severity: 'critical',
+      description: `${failures.length} operation(s) differ between native and WASM sharp`,
+      impact: 'High - points at a miscompiled or SIMD-broken native libvips',
+      workaround: 'Use the WASM build until the native build is fixed'
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  runReport,
+  compareReport,
+  profileReport,
+  verifyReport
+};
@@ -0,0 +1,209 @@
+/**
+ * Local database drivers for the driver matrix (db-driver-matrix.js)
+ *
+ * Every driver is wrapped in the same small async interface so one workload
+ * can run against all of them:
+ *
+ *   exec(sql)          run one or more statements without results
+ *   run(sql, params)   run one statement, resolves with the number of changes
+ *   all(sql, params)   run one statement, resolves with the result rows
+ *   close()            flush and close the database
+ *
+ * Statements are prepared once and cached per connection, as an application
+ * would do for hot queries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('../../../lib/versions');
+
+const DRIVERS = {
+  'better-sqlite3': {
+    label: 'better-sqlite3',
+    package: 'better-sqlite3',
+    version: '^12.4.1',
+    kind: 'native addon'
+  },
+  'node-sqlite': {
+    label: 'node:sqlite (built-in)',
+    package: null,
+    kind: 'built into Node.js',
+    // Unflagged in 22.13.0 and 23.4.0, behind --experimental-sqlite since 22.5.0
+    minNode: '22.5.0'
+  },
+  sqlite3: {
+    label: 'sqlite3',
+    package: 'sqlite3',
+    version: '^5.1.7',
+    kind: 'native addon'
+  },
+  'sql.js': {
+    label: 'sql.js (pure JS)',
+    package: 'sql.js',
+    version: '^1.13.0',
+    // The asm.js build: no native code and no WebAssembly
+    kind: 'pure JavaScript'
+  }
+};
+
+/**
+ * Node.js flags a driver needs in its worker, or null if this Node.js cannot run it
+ */
+function driverExecArgv(name, nodeVersion = process.version) {
+  if (name !== 'node-sqlite') return [];
+
+  if (compareVersions(nodeVersion, DRIVERS[name].minNode) < 0) return null;
+
+  const flagged = compareVersions(nodeVersion, '22.13.0') < 0 ||
+    (compareVersions(nodeVersion, '23.0.0') >= 0 && compareVersions(nodeVersion, '23.4.0') < 0);
+  return flagged ? ['--experimental-sqlite'] : [];
+}
+
+function packageVersion(projectDir, pkg) {
+  return JSON.parse(fs.readFileSync(path.join(projectDir, 'node_modules', pkg, 'package.json'), 'utf8')).version;
+}
+
+/**
+ * Cache of prepared statements keyed by SQL text
+ */
+function statementCache(prepare) {
+  const statements = new Map();
+  const get = sql => {
+    if (!statements.has(sql)) statements.set(sql, prepare(sql));
+    return statements.get(sql);
+  };
+  get.values = () => statements.values();
+  return get;
+}
+
+/**
+ * better-sqlite3: synchronous native addon
+ */
+function openBetterSqlite3(projectDir, file) {
+  const Database = require(path.join(projectDir, 'node_modules', 'better-sqlite3'));
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  const statement = statementCache(sql => db.prepare(sql));
+
+  return {
+    version: packageVersion(projectDir, 'better-sqlite3'),
+    async exec(sql) { db.exec(sql); },
+    async run(sql, params = []) { return statement(sql).run(...params).changes; },
+    async all(sql, params = []) { return statement(sql).all(...params); },
+    async close() { db.close(); }
+  };
+}
+
+/**
+ * node:sqlite: synchronous, built into Node.js
+ */
+function openNodeSqlite(projectDir, file) {
+  const { DatabaseSync } = require('node:sqlite');
+  const db = new DatabaseSync(file);
+  db.exec('PRAGMA journal_mode = WAL');
+  const statement = statementCache(sql => db.prepare(sql));
+
+  return {
+    version: process.version,
+    async exec(sql) { db.exec(sql); },
+    async run(sql, params = []) { return Number(statement(sql).run(...params).changes); },
+    async all(sql, params = []) { return statement(sql).all(...params); },
+    async close() { db.close(); }
+  };
+}
+
+/**
+ * sqlite3: asynchronous native addon with callbacks
+ */
+async function openSqlite3(projectDir, file) {
+  const sqlite3 = require(path.join(projectDir, 'node_modules', 'sqlite3'));
+
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(file, error => (error ? reject(error) : resolve(database)));
+  });
+  const statement = statementCache(sql => db.prepare(sql));
+  const call = (target, method, ...args) => new Promise((resolve, reject) => {
+    target[method](...args, function callback(error, result) {
+      if (error) reject(error);
+      // `this` is the statement, which carries the change count for run()
+      else resolve(method === 'run' ? this.changes : result);
+    });
+  });
+
+  await call(db, 'exec', 'PRAGMA journal_mode = WAL');
+
+  return {
+    version: packageVersion(projectDir, 'sqlite3'),
+    exec: sql => call(db, 'exec', sql),
+    run: (sql, params = []) => call(statement(sql), 'run', params),
+    all: (sql, params = []) => call(statement(sql), 'all', params),
+    async close() {
+      for (const prepared of statement.values()) {
+        await call(prepared, 'finalize');
+      }
+      await call(db, 'close');
+    }
+  };
+}
+
+/**
+ * sql.js (asm.js build): in-memory SQLite compiled to plain JavaScript
+ *
+ * The database lives in memory and is written to the file on close, which
+ * is counted in the close timing.
+ */
+async function openSqlJs(projectDir, file) {
+  const initSqlJs = require(path.join(projectDir, 'node_modules', 'sql.js', 'dist', 'sql-asm.js'));
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(fs.existsSync(file) ? fs.readFileSync(file) : undefined);
+  const statement = statementCache(sql => db.prepare(sql));
+
+  return {
+    version: packageVersion(projectDir, 'sql.js'),
+    async exec(sql) { db.exec(sql); },
+    async run(sql, params = []) {
+      statement(sql).run(params);
+      return db.getRowsModified();
+    },
+    async all(sql, params = []) {
+      const prepared = statement(sql);
+      const rows = [];
+      prepared.bind(params);
+      while (prepared.step()) rows.push(prepared.getAsObject());
+      prepared.reset();
+      return rows;
+    },
+    async close() {
+      for (const prepared of statement.values()) prepared.free();
+      fs.writeFileSync(file, Buffer.from(db.export()));
+      db.close();
+    }
+  };
+}
+
+const OPENERS = {
+  'better-sqlite3': openBetterSqlite3,
+  'node-sqlite': openNodeSqlite,
+  sqlite3: openSqlite3,
+  'sql.js': openSqlJs
+};
+
+/**
+ * Open a database file with the named driver
+ */
+async function openDatabase(name, projectDir, file) {
+  if (!OPENERS[name]) {
+    throw new Error(`Unknown driver: ${name} (available: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  const db = await OPENERS[name](projectDir, file);
+  const [{ version }] = await db.all('SELECT sqlite_version() AS version');
+  db.sqliteVersion = version;
+  return db;
+}
+
+module.exports = {
+  DRIVERS,
+  driverExecArgv,
+  openDatabase
+};
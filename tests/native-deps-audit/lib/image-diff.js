@@ -0,0 +1,200 @@
+/**
+ * Pixel comparison for decoded images
+ *
+ * Works on raw RGBA pixels ({ width, height, channels, data }) so it does not
+ * need a sharp backend of its own: the two backends being compared do the
+ * decoding, and diff images are written with a minimal PNG encoder on zlib.
+ */
+
+const zlib = require('zlib');
+
+// SSIM constants for 8-bit data (Wang et al. 2004)
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const SSIM_BLOCK = 8;
+
+/**
+ * Luma plane (BT.601) from interleaved pixels
+ */
+function luma({ width, height, channels, data }) {
+  const plane = new Float32Array(width * height);
+
+  for (let i = 0; i < plane.length; i++) {
+    const p = i * channels;
+    plane[i] = channels >= 3
+      ? 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2]
+      : data[p];
+  }
+
+  return plane;
+}
+
+/**
+ * Mean SSIM over non-overlapping 8x8 luma blocks
+ */
+function ssim(a, b) {
+  const la = luma(a);
+  const lb = luma(b);
+  const { width, height } = a;
+
+  let total = 0;
+  let blocks = 0;
+
+  for (let by = 0; by + SSIM_BLOCK <= height; by += SSIM_BLOCK) {
+    for (let bx = 0; bx + SSIM_BLOCK <= width; bx += SSIM_BLOCK) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+
+      for (let y = by; y < by + SSIM_BLOCK; y++) {
+        for (let x = bx; x < bx + SSIM_BLOCK; x++) {
+          const va = la[y * width + x];
+          const vb = lb[y * width + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const n = SSIM_BLOCK * SSIM_BLOCK;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const cov = sumAB / n - meanA * meanB;
+
+      total += ((2 * meanA * meanB + SSIM_C1) * (2 * cov + SSIM_C2)) /
+        ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+      blocks++;
+    }
+  }
+
+  // Images smaller than one block: fall back to exact equality
+  return blocks > 0 ? total / blocks : (Buffer.compare(Buffer.from(a.data), Buffer.from(b.data)) === 0 ? 1 : 0);
+}
+
+/**
+ * Compare two decoded images
+ *
+ * Returns null metrics and a reason when the shapes differ.
+ */
+function compareImages(a, b) {
+  if (a.width !== b.width || a.height !== b.height || a.channels !== b.channels) {
+    return {
+      comparable: false,
+      reason: `shape differs: ${a.width}x${a.height}x${a.channels} vs ${b.width}x${b.height}x${b.channels}`
+    };
+  }
+
+  let maxDelta = 0;
+  let sumDelta = 0;
+  let sumSquared = 0;
+  let differingPixels = 0;
+
+  for (let p = 0; p < a.data.length; p += a.channels) {
+    let pixelDiffers = false;
+    for (let c = 0; c < a.channels; c++) {
+      const delta = Math.abs(a.data[p + c] - b.data[p + c]);
+      if (delta > 0) pixelDiffers = true;
+      if (delta > maxDelta) maxDelta = delta;
+      sumDelta += delta;
+      sumSquared += delta * delta;
+    }
+    if (pixelDiffers) differingPixels++;
+  }
+
+  const mse = sumSquared / a.data.length;
+
+  return {
+    comparable: true,
+    maxDelta,
+    meanDelta: sumDelta / a.data.length,
+    psnr: mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse),
+    ssim: ssim(a, b),
+    differingPixels,
+    differingRatio: differingPixels / (a.width * a.height)
+  };
+}
+
+/**
+ * RGB image of the absolute per-channel difference, stretched so the largest
+ * difference is fully bright
+ */
+function diffImage(a, b) {
+  const pixels = a.width * a.height;
+  const out = Buffer.alloc(pixels * 3);
+
+  let max = 1;
+  for (let i = 0; i < a.data.length; i++) {
+    max = Math.max(max, Math.abs(a.data[i] - b.data[i]));
+  }
+
+  const scale = 255 / max;
+  for (let i = 0; i < pixels; i++) {
+    for (let c = 0; c < 3; c++) {
+      const channel = Math.min(c, a.channels - 1);
+      out[i * 3 + c] = Math.abs(a.data[i * a.channels + channel] - b.data[i * b.channels + channel]) * scale;
+    }
+  }
+
+  return { width: a.width, height: a.height, channels: 3, data: out };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode 8-bit grey, grey+alpha, RGB or RGBA pixels as PNG
+ */
+function encodePng({ width, height, channels, data }) {
+  const colourTypes = { 1: 0, 2: 4, 3: 2, 4: 6 };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;                       // bit depth
+  header[9] = colourTypes[channels];   // colour type
+  // compression, filter and interlace methods stay 0
+
+  // Every scanline starts with filter type 0 (none)
+  const stride = width * channels;
+  const scanlines = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(scanlines, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(scanlines)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  compareImages,
+  diffImage,
+  encodePng
+};
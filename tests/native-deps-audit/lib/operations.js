@@ -0,0 +1,170 @@
+/**
+ * Declarative sharp operations
+ *
+ * Operations are loaded from a JSON config (see sharp-benchmark.config.json)
+ * instead of being hard-coded. Each operation is one of:
+ *
+ *   steps:  [{ "resize": [800, 600, { "kernel": "lanczos3" }] }, { "webp": { "quality": 85 } }]
+ *           Chained sharp method calls, followed by toBuffer(). An array value
+ *           is spread as arguments, anything else is passed as one argument.
+ *           A final { "metadata": [] } or { "stats": [] } is awaited instead
+ *           of toBuffer().
+ *   stages: [[...steps], [...steps]]
+ *           Several pipelines; each stage decodes the previous stage's output.
+ *   module: "./operations/my-op.js"
+ *           A module exporting `async (sharp, input, options) => {}`, resolved
+ *           relative to the config file.
+ *
+ * Optional fields: `input` (format of the source image, default "jpeg"),
+ * `sizes` (only run for these image sizes) and `options` (passed to modules).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TERMINAL_METHODS = ['metadata', 'stats'];
+// Steps must stay side-effect free and leave output handling to the runner
+const FORBIDDEN_METHODS = ['toFile', 'toBuffer', 'pipe', 'clone'];
+
+/**
+ * Validate a single step and return [method, args]
+ */
+function parseStep(step, opName) {
+  const keys = step && typeof step === 'object' && !Array.isArray(step) ? Object.keys(step) : [];
+  if (keys.length !== 1) {
+    throw new Error(`Operation "${opName}": each step needs exactly one method, got ${JSON.stringify(step)}`);
+  }
+
+  const method = keys[0];
+  if (FORBIDDEN_METHODS.includes(method)) {
+    throw new Error(`Operation "${opName}": "${method}" is not allowed in a step`);
+  }
+
+  const value = step[method];
+  return [method, Array.isArray(value) ? value : [value]];
+}
+
+/**
+ * Normalize and validate one operation definition
+ */
+function normalizeOperation(op, baseDir) {
+  if (!op.name) {
+    throw new Error(`Operation without a name: ${JSON.stringify(op)}`);
+  }
+
+  const kinds = ['steps', 'stages', 'module'].filter(key => op[key] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`Operation "${op.name}" needs exactly one of steps, stages or module`);
+  }
+
+  const normalized = {
+    name: op.name,
+    desc: op.desc || op.name,
+    input: op.input || 'jpeg',
+    sizes: op.sizes || null,
+    options: op.options || {}
+  };
+
+  if (op.module) {
+    const modulePath = path.resolve(baseDir, op.module);
+    const run = require(modulePath);
+    if (typeof run !== 'function') {
+      throw new Error(`Operation "${op.name}": ${op.module} must export a function`);
+    }
+    return { ...normalized, module: modulePath, run };
+  }
+
+  const stages = (op.stages || [op.steps]).map(stage => stage.map(step => parseStep(step, op.name)));
+
+  stages.forEach((stage, index) => {
+    stage.forEach(([method], position) => {
+      const isLast = index === stages.length - 1 && position === stage.length - 1;
+      if (TERMINAL_METHODS.includes(method) && !isLast) {
+        throw new Error(`Operation "${op.name}": ${method} must be the last step`);
+      }
+    });
+  });
+
+  return { ...normalized, stages };
+}
+
+/**
+ * Load the benchmark config: image sizes, image set and operations
+ */
+function loadConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configPath}: ${error.message}`);
+  }
+
+  const baseDir = path.dirname(configPath);
+  const operations = (config.operations || []).map(op => normalizeOperation(op, baseDir));
+
+  const names = new Set();
+  for (const op of operations) {
+    if (names.has(op.name)) {
+      throw new Error(`Duplicate operation name: ${op.name}`);
+    }
+    names.add(op.name);
+  }
+
+  return {
+    imageSet: config.imageSet || 'photo',
+    sizes: config.sizes || [],
+    operations
+  };
+}
+
+/**
+ * Run one operation once against an input buffer
+ *
+ * Returns the final output (a Buffer, or the metadata/stats object).
+ */
+async function runOperation(sharp, op, input) {
+  if (op.run) {
+    return op.run(sharp, input, op.options);
+  }
+
+  let output = input;
+
+  for (const stage of op.stages) {
+    let pipeline = sharp(output);
+    let terminal = null;
+
+    for (const [method, args] of stage) {
+      if (typeof pipeline[method] !== 'function') {
+        throw new Error(`Operation "${op.name}": sharp has no method "${method}"`);
+      }
+
+      if (TERMINAL_METHODS.includes(method)) {
+        terminal = method;
+        break;
+      }
+
+      pipeline = pipeline[method](...args);
+    }
+
+    output = terminal ? await pipeline[terminal]() : await pipeline.toBuffer();
+  }
+
+  return output;
+}
+
+/**
+ * Whether an operation applies to an image size
+ */
+function appliesTo(op, size) {
+  return !op.sizes || op.sizes.includes(size.name);
+}
+
+module.exports = {
+  loadConfig,
+  runOperation,
+  appliesTo
+};
@@ -0,0 +1,215 @@
+/**
+ * Known Prisma failure signatures on riscv64
+ *
+ * Output captured from `npm install`, `prisma generate`, `prisma migrate dev`
+ * and client runtime errors is matched against this catalogue, so a run reports which
+ * known issue it hit (and with which versions) instead of a bare "failed".
+ * Re-running against new Prisma releases shows exactly when one is fixed.
+ *
+ * Signatures are checked in order; more specific ones come first. Fallback
+ * signatures only count when nothing more specific matched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SIGNATURES = [
+  {
+    id: 'wasm-pest-parser-panic',
+    title: 'WASM schema parser panic (pest index out of bounds)',
+    severity: 'critical',
+    patterns: [
+      /panicked at [^\n]*pest-[\d.]+\/src\/iterators\/pairs\.rs/,
+      /index out of bounds: the len is \d+ but the index is \d+/
+    ],
+    details: 'The WASM-compiled pest parser in prisma-schema-wasm crashes on riscv64 for any schema',
+    reference: 'docs/NATIVE-DEPS-AUDIT.md (Prisma), docs/testing/native-deps-test-results-2025-11-20.md'
+  },
+  {
+    id: 'prisma7-datasource-config',
+    title: 'Prisma 7 datasource configuration change',
+    severity: 'warning',
+    patterns: [
+      /datasource property `?url`? is no longer supported/i,
+      /Move connection URLs[^\n]*prisma\.config/i
+    ],
+    details: 'Prisma 7 moved connection URLs from schema.prisma to prisma.config.ts; the test schema targets 6.x'
+  },
+  {
+    id: 'unsupported-platform',
+    title: 'Unsupported platform or architecture',
+    severity: 'critical',
+    patterns: [
+      /Unknown binaryTarget[^\n]*/i,
+      /unsupported (architecture|platform)[^\n]*riscv64/i,
+      /riscv64[^\n]*(is )?not (yet )?supported/i,
+      /Prisma (detected|could not detect)[^\n]*(architecture|platform)/i
+    ],
+    details: 'Prisma publishes no engines for linux-riscv64'
+  },
+  {
+    id: 'engine-download-failed',
+    title: 'Engine binary download failed',
+    severity: 'critical',
+    patterns: [
+      /binaries\.prisma\.sh[^\n]*(failed|ENOTFOUND|ECONNREFUSED|ETIMEDOUT|404)/i,
+      /Failed to fetch[^\n]*engine/i,
+      /Error: request to https:\/\/binaries\.prisma\.sh/
+    ],
+    details: 'The CLI tried to download a native engine (none exist for riscv64, or the host is offline)'
+  },
+  {
+    id: 'missing-engine-binary',
+    title: 'Missing query/schema engine binary',
+    severity: 'critical',
+    patterns: [
+      /Query [Ee]ngine[^\n]*(could not be found|not found)/,
+      /could not locate the Query Engine/i,
+      /Schema [Ee]ngine[^\n]*(could not be found|not found|binary)/,
+      /ENOENT[^\n]*(libquery_engine|query-engine|schema-engine)/
+    ],
+    details: 'A native Rust engine was required but is not installed for this platform'
+  },
+  {
+    id: 'openssl-detection',
+    title: 'OpenSSL/libssl not detected',
+    severity: 'warning',
+    patterns: [
+      /Prisma failed to detect the libssl\/openssl version/i,
+      /libssl\.so[^\n]*cannot open shared object file/
+    ],
+    details: 'Engine selection depends on the libssl version; install openssl or set binaryTargets'
+  },
+  {
+    id: 'driver-adapter-required',
+    title: 'engineType "client" needs a driver adapter',
+    severity: 'warning',
+    patterns: [
+      /engine type "client" requires[^\n]*adapter/i,
+      /requires either "adapter" or "accelerateUrl"/i
+    ],
+    details: 'The JS-only query compiler runs queries through a driver adapter such as @prisma/adapter-better-sqlite3'
+  },
+  {
+    id: 'client-not-generated',
+    title: 'Prisma Client not generated',
+    severity: 'warning',
+    patterns: [/@prisma\/client did not initialize yet/],
+    details: 'Usually a consequence of a failed `prisma generate`'
+  },
+  {
+    id: 'wasm-runtime-trap',
+    title: 'Other WASM runtime trap',
+    severity: 'critical',
+    patterns: [/RuntimeError: (unreachable|memory access out of bounds|panicked at)[^\n]*/],
+    fallback: true,
+    details: 'A Prisma WASM module trapped; not one of the known signatures above'
+  }
+];
+
+/**
+ * Match captured output against the catalogue
+ *
+ * Returns one entry per matching signature with the first matching line as
+ * evidence.
+ */
+function classifyOutput(output, stage) {
+  const matches = [];
+
+  for (const signature of SIGNATURES) {
+    if (signature.fallback && matches.length > 0) continue;
+
+    for (const pattern of signature.patterns) {
+      const match = output.match(pattern);
+      if (match) {
+        const lineStart = output.lastIndexOf('\n', match.index) + 1;
+        const lineEnd = output.indexOf('\n', match.index);
+        matches.push({
+          id: signature.id,
+          title: signature.title,
+          severity: signature.severity,
+          details: signature.details,
+          reference: signature.reference || null,
+          stage,
+          evidence: output.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim()
+        });
+        break;
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * First line that looks like an error, for failures no signature matches
+ */
+function firstErrorLine(output) {
+  return output.split('\n').map(line => line.trim()).find(line => /error|panicked|failed/i.test(line)) ||
+    output.trim().split('\n')[0] || '(no output)';
+}
+
+/**
+ * Classify a failed step: known signatures, or an unclassified failure
+ */
+function classifyFailure(output, stage) {
+  const matches = classifyOutput(output, stage);
+
+  return {
+    stage,
+    known: matches.length > 0,
+    // The most specific match decides the reported issue
+    primary: matches[0] || null,
+    matches,
+    summary: matches.length > 0 ? matches[0].title : `Unclassified failure: ${firstErrorLine(output)}`
+  };
+}
+
+function readVersion(projectDir, pkg) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectDir, 'node_modules', pkg, 'package.json'), 'utf8')).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The version tuple a failure is tracked against
+ */
+function versionTuple(projectDir, engineType = 'client') {
+  const header = process.report?.getReport?.().header || {};
+
+  return {
+    prisma: readVersion(projectDir, 'prisma'),
+    prismaClient: readVersion(projectDir, '@prisma/client'),
+    engineType,
+    node: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    glibc: header.glibcVersionRuntime || null,
+    kernel: os.release()
+  };
+}
+
+/**
+ * One-line rendering of a version tuple
+ */
+function describeVersions(versions) {
+  return [
+    `prisma ${versions.prisma || '?'}`,
+    `@prisma/client ${versions.prismaClient || '?'}`,
+    `engineType ${versions.engineType}`,
+    `node ${versions.node}`,
+    `${versions.platform}-${versions.arch}`,
+    versions.glibc ? `glibc ${versions.glibc}` : null
+  ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  SIGNATURES,
+  classifyOutput,
+  classifyFailure,
+  versionTuple,
+  describeVersions
+};
@@ -0,0 +1,113 @@
+/**
+ * Resource profiling helpers
+ *
+ * Measures wall-clock time, CPU time and peak memory (RSS, external) while a
+ * number of async pipelines run in parallel.
+ */
+
+const { performance } = require('perf_hooks');
+
+const MB = 1024 * 1024;
+
+/**
+ * Sample memory usage on an interval and keep the peaks
+ */
+function startMemorySampler(intervalMs = 20) {
+  const peaks = { rss: 0, external: 0, arrayBuffers: 0, heapUsed: 0 };
+  let samples = 0;
+
+  const sample = () => {
+    const usage = process.memoryUsage();
+    for (const key of Object.keys(peaks)) {
+      peaks[key] = Math.max(peaks[key], usage[key]);
+    }
+    samples++;
+  };
+
+  sample();
+  const timer = setInterval(sample, intervalMs);
+
+  return {
+    stop() {
+      clearInterval(timer);
+      sample();
+      return { ...peaks, samples };
+    }
+  };
+}
+
+/**
+ * Run `parallel` lanes that each execute `task` `rounds` times back to back
+ *
+ * Returns throughput, CPU time and memory peaks for the whole cell. Memory
+ * is reported both as an absolute peak and relative to the baseline taken
+ * just before the cell started (after a GC when --expose-gc is set).
+ */
+async function profileParallel(task, { parallel, rounds, sampleIntervalMs = 20 }) {
+  if (global.gc) {
+    global.gc();
+  }
+
+  const baseline = process.memoryUsage();
+  const sampler = startMemorySampler(sampleIntervalMs);
+  const cpuStart = process.cpuUsage();
+  const start = performance.now();
+
+  const lanes = [];
+  for (let lane = 0; lane < parallel; lane++) {
+    lanes.push((async () => {
+      for (let i = 0; i < rounds; i++) {
+        await task();
+      }
+    })());
+  }
+  await Promise.all(lanes);
+
+  const wallMs = performance.now() - start;
+  const cpu = process.cpuUsage(cpuStart);
+  const peaks = sampler.stop();
+
+  const ops = parallel * rounds;
+  const cpuMs = (cpu.user + cpu.system) / 1000;
+
+  return {
+    ops,
+    wallMs,
+    throughput: ops / (wallMs / 1000),
+    latencyMs: wallMs / rounds,
+    cpu: {
+      userMs: cpu.user / 1000,
+      systemMs: cpu.system / 1000,
+      perOpMs: cpuMs / ops,
+      // Average number of busy cores during the cell
+      utilisation: cpuMs / wallMs
+    },
+    memory: {
+      baselineRssMB: baseline.rss / MB,
+      peakRssMB: peaks.rss / MB,
+      deltaRssMB: (peaks.rss - baseline.rss) / MB,
+      peakExternalMB: peaks.external / MB,
+      deltaExternalMB: (peaks.external - baseline.external) / MB,
+      peakHeapUsedMB: peaks.heapUsed / MB,
+      samples: peaks.samples
+    }
+  };
+}
+
+/**
+ * Powers of two up to (and including) a limit
+ */
+function powersOfTwo(limit) {
+  const levels = [];
+  for (let n = 1; n < limit; n *= 2) {
+    levels.push(n);
+  }
+  levels.push(limit);
+  return levels;
+}
+
+module.exports = {
+  startMemorySampler,
+  profileParallel,
+  powersOfTwo
+};
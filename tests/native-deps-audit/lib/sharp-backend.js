@@ -0,0 +1,125 @@
+/**
+ * Sharp backend loading and verification
+ *
+ * Loads sharp from an explicit install prefix (never from the script's own
+ * node_modules or a global install) and works out which backend really
+ * loaded: a native libvips binding or the WASM build.
+ *
+ * Install a backend into its own prefix with, for example:
+ *   npm install --prefix ./sharp-native sharp
+ *   npm install --prefix ./sharp-wasm --cpu=wasm32 sharp
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKEND_KINDS = ['native', 'wasm'];
+
+// Matches @img/sharp-wasm32, @img/sharp-webcontainers-wasm32, ... and the
+// from-source build output sharp-wasm32-<version>.node
+const WASM_PATTERN = /(@img[\\/]sharp-(?:[a-z]+-)?wasm32|sharp-wasm32-[^\\/]*\.node)/;
+const PLATFORM_PACKAGE_PATTERN = /^(.*[\\/]node_modules[\\/]@img[\\/]sharp-[^\\/]+)[\\/]/;
+
+/**
+ * Check that a file lives inside a directory
+ */
+function isInside(file, dir) {
+  const relative = path.relative(dir, file);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve sharp inside a prefix, refusing anything resolved from elsewhere
+ */
+function resolveSharp(prefix) {
+  const nodeModules = path.join(path.resolve(prefix), 'node_modules');
+
+  if (!fs.existsSync(path.join(nodeModules, 'sharp', 'package.json'))) {
+    throw new Error(`sharp is not installed in ${prefix}`);
+  }
+
+  // require.resolve walks up parent node_modules directories, so make sure
+  // the result did not leak out of the prefix
+  const resolved = require.resolve('sharp', { paths: [path.resolve(prefix)] });
+  if (!isInside(resolved, nodeModules)) {
+    throw new Error(`sharp resolved outside ${prefix}: ${resolved}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Work out which backend a loaded sharp module is running on
+ *
+ * Uses the modules sharp pulled into the require cache (platform package or
+ * .node binding) cross-checked against sharp.versions.
+ */
+function detectBackend(sharp, prefix) {
+  const nodeModules = path.join(path.resolve(prefix), 'node_modules');
+  const loaded = Object.keys(require.cache);
+  const versions = sharp.versions || {};
+
+  const wasmFiles = loaded.filter(file => WASM_PATTERN.test(file));
+  const nativeFiles = loaded.filter(file => file.endsWith('.node') && !WASM_PATTERN.test(file));
+  const bindingFiles = wasmFiles.length > 0 ? wasmFiles : nativeFiles;
+
+  if (bindingFiles.length === 0) {
+    throw new Error('Could not find the sharp binding in the require cache');
+  }
+
+  const escaped = bindingFiles.filter(file => !isInside(file, nodeModules));
+  if (escaped.length > 0) {
+    throw new Error(`sharp binding loaded from outside ${prefix}: ${escaped[0]}`);
+  }
+
+  if (wasmFiles.length > 0 && nativeFiles.length > 0) {
+    throw new Error('Both native and WASM sharp bindings were loaded');
+  }
+
+  const kind = wasmFiles.length > 0 ? 'wasm' : 'native';
+
+  // The WASM build reports its emscripten version, a native build never does
+  if ((kind === 'wasm') !== Boolean(versions.emscripten)) {
+    throw new Error(`sharp.versions does not match the ${kind} binding that was loaded`);
+  }
+
+  const binding = bindingFiles.find(file => /\.node(\.js)?$/.test(file)) || bindingFiles[0];
+  const platformPackage = binding.match(PLATFORM_PACKAGE_PATTERN)?.[1] || null;
+
+  return {
+    kind,
+    sharpVersion: versions.sharp,
+    vipsVersion: versions.vips,
+    binding,
+    platformPackage,
+    // No platform package means sharp was compiled against a global libvips
+    globalLibvips: kind === 'native' && !platformPackage
+  };
+}
+
+/**
+ * Load sharp from a prefix and verify it is running the expected backend
+ */
+function loadSharp(prefix, expectedKind) {
+  if (!BACKEND_KINDS.includes(expectedKind)) {
+    throw new Error(`Unknown sharp backend: ${expectedKind}`);
+  }
+
+  const sharp = require(resolveSharp(prefix));
+  const backend = detectBackend(sharp, prefix);
+
+  if (backend.kind !== expectedKind) {
+    throw new Error(
+      `Expected ${expectedKind} sharp in ${prefix} but ${backend.kind} loaded (${backend.binding})`
+    );
+  }
+
+  return { sharp, backend };
+}
+
+module.exports = {
+  BACKEND_KINDS,
+  resolveSharp,
+  detectBackend,
+  loadSharp
+};
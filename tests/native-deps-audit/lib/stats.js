@@ -0,0 +1,168 @@
+/**
+ * Timing statistics for benchmarks
+ *
+ * Small, dependency-free helpers: dispersion, percentiles, MAD-based outlier
+ * rejection, 95% confidence intervals and Welch's t-test.
+ */
+
+// Two-sided 95% critical values of Student's t distribution, indexed by
+// degrees of freedom (1-30). Larger samples use the normal approximation.
+const T_CRITICAL_95 = [
+  null, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+// Modified z-score above which a sample counts as an outlier (Iglewicz & Hoaglin)
+const OUTLIER_Z = 3.5;
+
+/**
+ * Critical t value for a 95% two-sided interval
+ */
+function tCritical(df) {
+  if (!(df >= 1)) return Infinity;
+  return T_CRITICAL_95[Math.floor(df)] || 1.96;
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Percentile with linear interpolation between closest ranks
+ */
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (sorted.length === 1) return sorted[0];
+
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Median (averages the two middle values for even sample counts)
+ */
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * Sample standard deviation
+ */
+function stddev(values) {
+  if (values.length < 2) return 0;
+
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Median absolute deviation
+ */
+function mad(values) {
+  const med = median(values);
+  return median(values.map(v => Math.abs(v - med)));
+}
+
+/**
+ * Split samples into kept values and outliers using the modified z-score
+ */
+function rejectOutliers(values) {
+  const med = median(values);
+  const deviation = mad(values);
+
+  // All (or most) samples identical: nothing can be called an outlier
+  if (deviation === 0) {
+    return { kept: [...values], outliers: [] };
+  }
+
+  const kept = [];
+  const outliers = [];
+
+  for (const value of values) {
+    const z = 0.6745 * (value - med) / deviation;
+    (Math.abs(z) > OUTLIER_Z ? outliers : kept).push(value);
+  }
+
+  return { kept, outliers };
+}
+
+/**
+ * 95% confidence interval of the mean
+ */
+function confidenceInterval(values) {
+  const avg = mean(values);
+  const halfWidth = values.length < 2
+    ? Infinity
+    : tCritical(values.length - 1) * stddev(values) / Math.sqrt(values.length);
+
+  return {
+    low: avg - halfWidth,
+    high: avg + halfWidth,
+    halfWidth,
+    // Half-width relative to the mean, used as the stopping criterion
+    relative: avg > 0 ? halfWidth / avg : 0
+  };
+}
+
+/**
+ * Summarize raw timings: outliers are rejected before computing statistics
+ */
+function summarize(times) {
+  const { kept, outliers } = rejectOutliers(times);
+
+  return {
+    avg: mean(kept),
+    median: median(kept),
+    min: Math.min(...kept),
+    max: Math.max(...kept),
+    stddev: stddev(kept),
+    p95: percentile(kept, 95),
+    p99: percentile(kept, 99),
+    mad: mad(kept),
+    ci95: confidenceInterval(kept),
+    samples: kept.length,
+    outliers,
+    times
+  };
+}
+
+/**
+ * Welch's t-test on two summaries
+ *
+ * Returns whether the means differ at the 95% level. Works on the fields
+ * produced by summarize(), so it can be applied to saved results.
+ */
+function welchTest(a, b) {
+  if (a.samples < 2 || b.samples < 2) {
+    return { t: null, df: null, significant: false };
+  }
+
+  const va = a.stddev ** 2 / a.samples;
+  const vb = b.stddev ** 2 / b.samples;
+
+  if (va + vb === 0) {
+    return { t: null, df: null, significant: a.avg !== b.avg };
+  }
+
+  const t = (a.avg - b.avg) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.samples - 1) + vb ** 2 / (b.samples - 1));
+
+  return { t, df, significant: Math.abs(t) > tCritical(df) };
+}
+
+module.exports = {
+  mean,
+  median,
+  percentile,
+  stddev,
+  mad,
+  rejectOutliers,
+  confidenceInterval,
+  summarize,
+  welchTest
+};
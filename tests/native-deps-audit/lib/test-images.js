@@ -0,0 +1,226 @@
+/**
+ * Test image generation for the sharp benchmark
+ *
+ * Flat solid-colour images compress unrealistically well, so the benchmark
+ * can also generate noise, gradients and photo-like content, or use files
+ * from a local fixture directory. Generators are seeded, so every backend
+ * (and every run) gets exactly the same pixels.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_SETS = ['flat', 'noise', 'gradient', 'photo'];
+const FIXTURE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.heic', '.heif', '.tif', '.tiff', '.gif'];
+const SEED = 0x5eed;
+
+/**
+ * Small seeded PRNG (mulberry32)
+ */
+function createRandom(seed = SEED) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function clamp(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/**
+ * Uniform RGB noise: the worst case for every codec
+ */
+function noisePixels(width, height) {
+  const random = createRandom();
+  const pixels = Buffer.alloc(width * height * 3);
+
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = random() * 256;
+  }
+
+  return pixels;
+}
+
+/**
+ * Smooth diagonal gradients, a different direction per channel
+ */
+function gradientPixels(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      pixels[i] = (x / width) * 255;
+      pixels[i + 1] = (y / height) * 255;
+      pixels[i + 2] = ((x + y) / (width + height)) * 255;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Photo-like content: low-frequency colour variation, hard-edged shapes and
+ * sensor-style grain
+ *
+ * Row and column terms are precomputed so generating a 4K image stays
+ * reasonable on a slow board.
+ */
+function photoPixels(width, height) {
+  const random = createRandom();
+  const pixels = Buffer.alloc(width * height * 3);
+
+  // Sum of a few random sinusoids per channel along each axis
+  const waves = (length, count) => {
+    const channels = [];
+    for (let c = 0; c < 3; c++) {
+      const values = new Float32Array(length);
+      for (let w = 0; w < count; w++) {
+        const freq = (1 + random() * 6) * Math.PI * 2 / length;
+        const phase = random() * Math.PI * 2;
+        const amplitude = 15 + random() * 25;
+        for (let i = 0; i < length; i++) {
+          values[i] += amplitude * Math.sin(i * freq + phase);
+        }
+      }
+      channels.push(values);
+    }
+    return channels;
+  };
+
+  const rows = waves(height, 3);
+  const cols = waves(width, 3);
+  const base = [90 + random() * 60, 90 + random() * 60, 90 + random() * 60];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const grain = (random() - 0.5) * 16;
+      for (let c = 0; c < 3; c++) {
+        pixels[i + c] = clamp(base[c] + rows[c][y] + cols[c][x] + grain);
+      }
+    }
+  }
+
+  // Hard edges: a handful of filled rectangles and circles
+  for (let s = 0; s < 12; s++) {
+    const colour = [random() * 255, random() * 255, random() * 255];
+    const cx = random() * width;
+    const cy = random() * height;
+    const radius = (0.03 + random() * 0.12) * Math.min(width, height);
+    const circle = random() < 0.5;
+
+    const x0 = Math.max(0, Math.floor(cx - radius));
+    const x1 = Math.min(width, Math.ceil(cx + radius));
+    const y0 = Math.max(0, Math.floor(cy - radius));
+    const y1 = Math.min(height, Math.ceil(cy + radius));
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (circle && (x - cx) ** 2 + (y - cy) ** 2 > radius ** 2) continue;
+        const i = (y * width + x) * 3;
+        for (let c = 0; c < 3; c++) {
+          // Blend so the grain underneath stays visible
+          pixels[i + c] = clamp(pixels[i + c] * 0.3 + colour[c] * 0.7);
+        }
+      }
+    }
+  }
+
+  return pixels;
+}
+
+const GENERATORS = {
+  noise: noisePixels,
+  gradient: gradientPixels,
+  photo: photoPixels
+};
+
+/**
+ * Decode the source pixels (or file) for one test image into a sharp instance
+ */
+function sourceImage(sharp, image, imageSet) {
+  if (image.file) {
+    return sharp(image.file);
+  }
+
+  if (imageSet === 'flat') {
+    return sharp({
+      create: {
+        width: image.width,
+        height: image.height,
+        channels: 4,
+        background: { r: 100, g: 150, b: 200, alpha: 1 }
+      }
+    });
+  }
+
+  const generate = GENERATORS[imageSet];
+  if (!generate) {
+    throw new Error(`Unknown image set: ${imageSet} (expected one of ${IMAGE_SETS.join(', ')} or a fixture directory)`);
+  }
+
+  return sharp(generate(image.width, image.height), {
+    raw: { width: image.width, height: image.height, channels: 3 }
+  });
+}
+
+/**
+ * Create a test image encoded in the given format
+ */
+async function createTestImage(sharp, image, imageSet, format = 'jpeg') {
+  // Use fixture bytes untouched when they are already in the wanted format
+  if (image.file && (await sharp(image.file).metadata()).format === format) {
+    return fs.readFileSync(image.file);
+  }
+
+  return sourceImage(sharp, image, imageSet)[format]().toBuffer();
+}
+
+/**
+ * List fixture images in a directory as benchmark "sizes"
+ *
+ * Dimensions are left null: reading them would need a sharp backend.
+ */
+function listFixtures(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Fixture directory not found: ${dir}`);
+  }
+
+  const images = fs.readdirSync(dir)
+    .filter(file => FIXTURE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, path.extname(file)),
+      file: path.join(dir, file),
+      width: null,
+      height: null
+    }));
+
+  if (images.length === 0) {
+    throw new Error(`No images found in ${dir}`);
+  }
+
+  return images;
+}
+
+/**
+ * Human-readable label for a test image
+ */
+function describeImage(image) {
+  return image.width ? `${image.name} (${image.width}x${image.height})` : image.name;
+}
+
+module.exports = {
+  IMAGE_SETS,
+  createRandom,
+  createTestImage,
+  listFixtures,
+  describeImage
+};
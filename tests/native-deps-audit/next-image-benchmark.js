@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+
+/**
+ * next/image Optimizer Benchmark for riscv64
+ *
+ * Measures the real cost of image optimization: starts `next start` for the
+ * test apps and requests /_next/image across deviceSizes, qualities and
+ * Accept formats, once per sharp backend. The first request for each variant
+ * is a cold-cache miss (resize + encode); repeats are warm-cache hits.
+ *
+ * Backends:
+ *   native  - sharp installed in --native-prefix (see sharp-benchmark.js)
+ *   wasm    - sharp installed in --wasm-prefix
+ *   squoosh - no sharp at all: Next.js 14 falls back to its bundled Squoosh
+ *
+ * Usage:
+ *   node next-image-benchmark.js [--app=app-router|pages-router|both]
+ *                                [--backends=native,wasm,squoosh]
+ *                                [--widths=640,1080,...] [--qualities=50,75,90]
+ *                                [--formats=avif,webp,original] [--warm=N]
+ *                                [--settle-timeout=ms]
+ *                                [--images=/images/landscape.jpg,...] [--build]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { summarize } = require('./lib/stats');
+const { startNextServer, ensureBuild, request, sleep } = require('../../lib/next-server');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+const getListArg = (name, fallback) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean) || fallback;
+
+const TESTS_DIR = path.join(__dirname, '..');
+const APPS = getArg('app', 'both') === 'both' ? ['app-router', 'pages-router'] : [getArg('app')];
+
+// Next.js default images.deviceSizes
+const DEVICE_SIZES = [640, 750, 828, 1080, 1200, 1920, 2048, 3840];
+
+// Browser-like Accept headers; the optimizer picks the first configured
+// format the client accepts, otherwise it keeps the source format
+const FORMATS = {
+  avif: { accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8', contentType: 'image/avif' },
+  webp: { accept: 'image/webp,image/apng,image/*,*/*;q=0.8', contentType: 'image/webp' },
+  original: { accept: 'image/apng,image/*,*/*;q=0.8', contentType: null }
+};
+
+const CONFIG = {
+  backends: getListArg('backends', ['native', 'wasm']),
+  widths: getListArg('widths', DEVICE_SIZES).map(Number),
+  qualities: getListArg('qualities', [50, 75, 90]).map(Number),
+  formats: getListArg('formats', Object.keys(FORMATS)),
+  images: getListArg('images', ['/images/landscape.jpg', '/images/gradient.png']),
+  warm: parseInt(getArg('warm', '3'), 10),  // Cache hits measured per variant
+  settleTimeout: parseInt(getArg('settle-timeout', '10000'), 10),  // Wait for the cache write
+  build: args.includes('--build')
+};
+
+const PREFIXES = {
+  native: path.resolve(getArg('native-prefix', path.join(__dirname, 'sharp-native'))),
+  wasm: path.resolve(getArg('wasm-prefix', path.join(__dirname, 'sharp-wasm')))
+};
+
+/**
+ * Resolve NEXT_SHARP_PATH for a backend, checking in a child process that the
+ * prefix really holds that backend
+ */
+function resolveBackend(kind) {
+  if (kind === 'squoosh') {
+    // A path that cannot be required makes Next.js use Squoosh
+    return { kind, sharpPath: path.join(os.tmpdir(), 'next-image-benchmark-no-sharp'), info: null };
+  }
+
+  if (!PREFIXES[kind]) {
+    throw new Error(`Unknown backend: ${kind}`);
+  }
+
+  const script = `
+    const { loadSharp } = require(${JSON.stringify(path.join(__dirname, 'lib', 'sharp-backend'))});
+    const { backend } = loadSharp(${JSON.stringify(PREFIXES[kind])}, ${JSON.stringify(kind)});
+    console.log(JSON.stringify(backend));
+  `;
+
+  try {
+    const info = JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }));
+    return { kind, sharpPath: path.join(PREFIXES[kind], 'node_modules', 'sharp'), info };
+  } catch (error) {
+    const message = (error.stderr || error.message).trim().split('\n').find(line => line.startsWith('Error:')) || error.message;
+    throw new Error(`${kind} sharp not usable from ${PREFIXES[kind]}: ${message}`);
+  }
+}
+
+/**
+ * All request variants for one run
+ */
+function variants() {
+  const list = [];
+
+  for (const image of CONFIG.images) {
+    for (const format of CONFIG.formats) {
+      for (const width of CONFIG.widths) {
+        for (const quality of CONFIG.qualities) {
+          list.push({ image, format, width, quality });
+        }
+      }
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Request one variant cold, then CONFIG.warm times from cache
+ *
+ * Next.js writes the optimized image to its cache after answering, so the
+ * variant is polled until it reports HIT before warm timings are taken.
+ */
+async function measureVariant(baseUrl, variant) {
+  const url = `${baseUrl}/_next/image?url=${encodeURIComponent(variant.image)}&w=${variant.width}&q=${variant.quality}`;
+  const headers = { accept: FORMATS[variant.format].accept };
+  const expectedType = FORMATS[variant.format].contentType;
+
+  const result = { ...variant, cold: null, warm: [], settleMs: null, bytes: null, contentType: null, errors: [] };
+
+  const check = (res, expectedCache) => {
+    if (res.status !== 200) {
+      result.errors.push(`HTTP ${res.status}: ${res.body.toString().slice(0, 120)}`);
+      return false;
+    }
+    const cache = res.headers['x-nextjs-cache'];
+    if (cache !== expectedCache) {
+      result.errors.push(`expected cache ${expectedCache}, got ${cache}`);
+    }
+    return true;
+  };
+
+  try {
+    const cold = await request(url, { headers, timeoutMs: 300000 });
+    if (!check(cold, 'MISS')) return result;
+
+    result.cold = cold.durationMs;
+    result.bytes = cold.body.length;
+    result.contentType = cold.headers['content-type'];
+
+    if (expectedType && result.contentType !== expectedType) {
+      result.errors.push(`expected ${expectedType}, got ${result.contentType}`);
+    }
+
+    const settleStart = Date.now();
+    while (true) {
+      const probe = await request(url, { headers });
+      if (probe.status === 200 && probe.headers['x-nextjs-cache'] === 'HIT') break;
+      if (Date.now() - settleStart > CONFIG.settleTimeout) {
+        result.errors.push(`no cache HIT within ${CONFIG.settleTimeout}ms`);
+        return result;
+      }
+      await sleep(50);
+    }
+    result.settleMs = Date.now() - settleStart;
+
+    for (let i = 0; i < CONFIG.warm; i++) {
+      const warm = await request(url, { headers });
+      if (check(warm, 'HIT')) {
+        result.warm.push(warm.durationMs);
+      }
+    }
+  } catch (error) {
+    result.errors.push(error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Latency summary (median/p95/mean) for a list of timings
+ */
+function latency(times) {
+  if (times.length === 0) return null;
+  const { median, p95, avg } = summarize(times);
+  return { median, p95, avg, count: times.length };
+}
+
+/**
+ * Benchmark one app with one backend
+ */
+async function benchmarkBackend(appDir, backend) {
+  // Wipe the optimizer cache so the first request per variant is really cold
+  fs.rmSync(path.join(appDir, '.next', 'cache', 'images'), { recursive: true, force: true });
+
+  const server = await startNextServer(appDir, {
+    env: { NEXT_SHARP_PATH: backend.sharpPath }
+  });
+  console.log(`  Server ready on ${server.url} in ${server.startupMs}ms`);
+
+  const samples = [];
+  try {
+    for (const variant of variants()) {
+      process.stdout.write(`    ${variant.image} ${variant.format} w=${variant.width} q=${variant.quality}... `);
+      const sample = await measureVariant(server.url, variant);
+      samples.push(sample);
+
+      if (sample.errors.length > 0) {
+        console.log(`❌ ${sample.errors[0]}`);
+      } else {
+        const warm = latency(sample.warm);
+        console.log(`✓ cold ${sample.cold.toFixed(0)}ms, warm ${warm ? warm.median.toFixed(1) : '-'}ms, ${(sample.bytes / 1024).toFixed(0)}KB`);
+      }
+    }
+  } finally {
+    await server.stop();
+  }
+
+  const byFormat = {};
+  for (const format of CONFIG.formats) {
+    const formatSamples = samples.filter(s => s.format === format && s.cold !== null);
+    byFormat[format] = {
+      cold: latency(formatSamples.map(s => s.cold)),
+      warm: latency(formatSamples.flatMap(s => s.warm))
+    };
+  }
+
+  return {
+    startupMs: server.startupMs,
+    cold: latency(samples.filter(s => s.cold !== null).map(s => s.cold)),
+    warm: latency(samples.flatMap(s => s.warm)),
+    byFormat,
+    errors: samples.filter(s => s.errors.length > 0).length,
+    samples
+  };
+}
+
+/**
+ * Print cold vs warm latency per backend for one app
+ */
+function printAppSummary(app, appResults) {
+  const fmt = value => (value === undefined || value === null ? '-' : `${value.toFixed(1)}ms`);
+
+  console.log(`\n📈 ${app}: /_next/image latency (cold = cache miss, warm = cache hit)\n`);
+  console.log('─'.repeat(80));
+  console.log(
+    'Backend'.padEnd(10) + 'Format'.padEnd(10) + 'Cold p50'.padEnd(12) + 'Cold p95'.padEnd(12) +
+    'Warm p50'.padEnd(12) + 'Warm p95'.padEnd(12) + 'Errors'
+  );
+  console.log('─'.repeat(80));
+
+  for (const [kind, run] of Object.entries(appResults)) {
+    if (run.error) {
+      console.log(kind.padEnd(10) + `❌ ${run.error}`);
+      continue;
+    }
+
+    for (const [format, stats] of Object.entries(run.byFormat)) {
+      console.log(
+        kind.padEnd(10) + format.padEnd(10) +
+        fmt(stats.cold?.median).padEnd(12) + fmt(stats.cold?.p95).padEnd(12) +
+        fmt(stats.warm?.median).padEnd(12) + fmt(stats.warm?.p95).padEnd(12) +
+        String(run.samples.filter(s => s.format === format && s.errors.length > 0).length)
+      );
+    }
+  }
+
+  console.log('─'.repeat(80));
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  console.log('════════════════════════════════════════════════════════════════════════════════');
+  console.log('  next/image Optimizer Benchmark for riscv64');
+  console.log('════════════════════════════════════════════════════════════════════════════════');
+  console.log(`\n  Apps: ${APPS.join(', ')}`);
+  console.log(`  Backends: ${CONFIG.backends.join(', ')}`);
+  console.log(`  Widths: ${CONFIG.widths.join(', ')}`);
+  console.log(`  Qualities: ${CONFIG.qualities.join(', ')}`);
+  console.log(`  Formats: ${CONFIG.formats.join(', ')}`);
+  console.log(`  Images: ${CONFIG.images.join(', ')}`);
+
+  for (const format of CONFIG.formats) {
+    if (!FORMATS[format]) {
+      console.error(`\n❌ Unknown format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+      process.exit(1);
+    }
+  }
+
+  const results = {
+    date: new Date().toISOString(),
+    platform: process.platform,
+    arch: process.arch,
+    nodeVersion: process.version,
+    cpus: os.cpus().length,
+    config: CONFIG,
+    backends: {},
+    apps: {}
+  };
+
+  const backends = [];
+  for (const kind of CONFIG.backends) {
+    try {
+      const backend = resolveBackend(kind);
+      backends.push(backend);
+      results.backends[kind] = backend.info || { kind };
+      console.log(`\n  ✓ ${kind}: ${backend.info ? `sharp ${backend.info.sharpVersion}, libvips ${backend.info.vipsVersion}` : 'Next.js Squoosh fallback'}`);
+    } catch (error) {
+      console.error(`\n  ❌ ${error.message}`);
+    }
+  }
+
+  if (backends.length === 0) {
+    console.error('\n❌ No usable backend\n');
+    process.exit(1);
+  }
+
+  for (const app of APPS) {
+    const appDir = path.join(TESTS_DIR, app);
+    if (!fs.existsSync(path.join(appDir, 'package.json'))) {
+      console.error(`\n❌ Unknown app: ${app}`);
+      process.exit(1);
+    }
+
+    console.log(`\n📦 ${app}`);
+    ensureBuild(appDir, { force: CONFIG.build });
+
+    results.apps[app] = {};
+
+    for (const backend of backends) {
+      console.log(`\n📊 Benchmarking ${app} with ${backend.kind}...\n`);
+
+      try {
+        results.apps[app][backend.kind] = await benchmarkBackend(appDir, backend);
+      } catch (error) {
+        console.error(`  ❌ ${error.message}`);
+        if (error.logs) console.error(error.logs.split('\n').slice(-20).join('\n'));
+        results.apps[app][backend.kind] = { error: error.message };
+      }
+    }
+
+    printAppSummary(app, results.apps[app]);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `next-image-benchmark-results-${timestamp}.json`;
+  fs.writeFileSync(path.join(__dirname, filename), JSON.stringify(results, null, 2));
+  console.log(`\n💾 Results saved to: ${filename}`);
+
+  const failed = Object.values(results.apps).some(appResults =>
+    Object.values(appResults).some(run => run.error || run.errors > 0)
+  );
+
+  if (failed) {
+    console.log('\n⚠️  Benchmark finished with errors\n');
+    process.exit(1);
+  }
+
+  console.log('\n✅ Benchmark complete!\n');
+}
+
+main().catch(error => {
+  console.error('\n❌ Benchmark failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,19 @@
+/**
+ * Responsive widths operation
+ *
+ * Encodes one source image at several widths, the way the next/image
+ * optimizer serves a srcset. Loaded by sharp-benchmark.config.json.
+ */
+
+module.exports = async function responsiveWidths(sharp, input, { widths = [640, 1080], quality = 75 } = {}) {
+  const outputs = [];
+
+  for (const width of widths) {
+    outputs.push(await sharp(input)
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer());
+  }
+
+  return outputs;
+};
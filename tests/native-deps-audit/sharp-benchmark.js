@@ -6,40 +6,141 @@
  * Compares native libvips vs WASM implementation performance
  * Run this on actual riscv64 hardware (Banana Pi F3)
  *
+ * Each backend is loaded from its own install prefix and benchmarked in its
+ * own child process, so the two runs can never share a sharp module.
+ *
  * Usage:
- *   node sharp-benchmark.js [--implementation native|wasm|both]
+ *   node sharp-benchmark.js [--implementation=native|wasm|both]
+ *                           [--native-prefix=DIR] [--wasm-prefix=DIR]
+ *                           [--config=FILE] [--image-set=flat|noise|gradient|photo]
+ *                           [--fixtures=DIR] [--operations=resize,blur,...]
+ *                           [--warmup=N] [--min-iterations=N]
+ *                           [--max-iterations=N] [--target-ci=FRACTION]
+ *
+ *   node sharp-benchmark.js compare --baseline=FILE [--current=FILE]
+ *                           [--threshold=PERCENT] [--metric=avg|median|min]
+ *     Compares a new run (or --current) against a saved baseline and exits
+ *     non-zero when any operation slowed down past the threshold.
+ *
+ *   node sharp-benchmark.js profile [--threadpool=4,8] [--concurrency=1,2,4,8]
+ *                           [--parallel=1,2,4,8] [--rounds=N] [--size=NAME]
+ *     Sweeps UV_THREADPOOL_SIZE, sharp.concurrency() and the number of
+ *     parallel pipelines, recording throughput, CPU time and peak memory.
+ *
+ *   node sharp-benchmark.js verify [--max-delta=N] [--min-psnr=DB] [--min-ssim=N]
+ *     Runs every operation through both backends, compares the decoded
+ *     pixels and saves diff images for operations outside the tolerance.
+ *
+ * Every mode also accepts --report=markdown,html,csv,junit [--report-dir=DIR]
+ * to render its results through the shared report module (lib/report.js).
+ *
+ * Image sizes and operations come from sharp-benchmark.config.json (see
+ * lib/operations.js for the format).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { fork } = require('child_process');
 const { performance } = require('perf_hooks');
+const { loadSharp } = require('./lib/sharp-backend');
+const { loadResults, compareRuns, printComparison } = require('./lib/benchmark-compare');
+const { summarize, welchTest } = require('./lib/stats');
+const { profileParallel, powersOfTwo } = require('./lib/resource-profiler');
+const { loadConfig, runOperation, appliesTo } = require('./lib/operations');
+const { IMAGE_SETS, createTestImage, listFixtures, describeImage } = require('./lib/test-images');
+const { compareImages, diffImage, encodePng } = require('./lib/image-diff');
+const { runReport, compareReport, profileReport, verifyReport } = require('./lib/benchmark-report');
+const { parseFormats, writeReport } = require('../../lib/report');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const implementation = args.find(arg => arg.startsWith('--implementation='))?.split('=')[1] || 'both';
+const getArg = (name, fallback) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || fallback;
+
+const getListArg = (name, fallback) => getArg(name)?.split(',').map(value => value.trim()).filter(Boolean) || fallback;
+
+const implementation = getArg('implementation', 'both');
+const isWorker = args.includes('--worker');
+const mode = args.find(arg => !arg.startsWith('--')) || 'run';
+
+const BACKENDS = {
+  native: {
+    label: 'NATIVE libvips',
+    prefix: path.resolve(getArg('native-prefix', path.join(__dirname, 'sharp-native'))),
+    install: 'npm install --prefix <dir> sharp'
+  },
+  wasm: {
+    label: 'WASM',
+    prefix: path.resolve(getArg('wasm-prefix', path.join(__dirname, 'sharp-wasm'))),
+    install: 'npm install --prefix <dir> --cpu=wasm32 sharp'
+  }
+};
 
 // Configuration
-const TEST_ITERATIONS = 5;  // Run each test multiple times for average
-const IMAGE_SIZES = [
-  { name: 'small', width: 640, height: 480 },
-  { name: 'medium', width: 1280, height: 720 },
-  { name: 'large', width: 1920, height: 1080 },
-  { name: 'xlarge', width: 3840, height: 2160 }
-];
-
-const OPERATIONS = [
-  { name: 'resize', desc: 'Resize to 800x600' },
-  { name: 'jpeg-to-webp', desc: 'JPEG → WebP conversion' },
-  { name: 'png-to-jpeg', desc: 'PNG → JPEG conversion' },
-  { name: 'rotate', desc: 'Rotate 90°' },
-  { name: 'blur', desc: 'Apply blur filter (sigma=5)' },
-  { name: 'grayscale', desc: 'Convert to grayscale' },
-  { name: 'composite', desc: 'Composite two images' }
-];
+const TIMING = {
+  warmup: parseInt(getArg('warmup', '2'), 10),               // Untimed runs before measuring
+  minIterations: parseInt(getArg('min-iterations', '5'), 10),
+  maxIterations: parseInt(getArg('max-iterations', '30'), 10),
+  targetCI: parseFloat(getArg('target-ci', '0.05'))          // Stop once the 95% CI is within ±5% of the mean
+};
+
+// Profiling sweep (defaults scale with the number of cores)
+const CPU_COUNT = require('os').cpus().length;
+const PROFILE = {
+  threadpool: getListArg('threadpool', [...new Set([4, CPU_COUNT])]).map(Number),  // 4 is the libuv default
+  concurrency: getListArg('concurrency', powersOfTwo(CPU_COUNT)).map(Number),
+  parallel: getListArg('parallel', powersOfTwo(CPU_COUNT)).map(Number),
+  rounds: parseInt(getArg('rounds', '3'), 10),  // Pipelines run back to back per parallel lane
+  size: getArg('size', 'large')
+};
+
+// Pixel verification tolerances (native vs WASM outputs)
+const TOLERANCE = {
+  maxDelta: parseInt(getArg('max-delta', '16'), 10),   // Largest allowed per-channel difference (0-255)
+  minPsnr: parseFloat(getArg('min-psnr', '40')),        // dB
+  minSsim: parseFloat(getArg('min-ssim', '0.98'))
+};
+
+// Image sizes, image set and operations
+const CONFIG_PATH = path.resolve(getArg('config', path.join(__dirname, 'sharp-benchmark.config.json')));
+const FIXTURES_DIR = getArg('fixtures') && path.resolve(getArg('fixtures'));
+const OPERATION_FILTER = getListArg('operations', null);
+
+// Rendered reports in the shared format, next to the JSON results by default
+const REPORT_DIR = path.resolve(getArg('report-dir', __dirname));
+
+let IMAGE_SET;
+let IMAGE_SIZES;
+let OPERATIONS;
+let REPORT_FORMATS;
+try {
+  REPORT_FORMATS = parseFormats(getArg('report'));
+
+  const config = loadConfig(CONFIG_PATH);
+
+  IMAGE_SET = FIXTURES_DIR ? `fixtures:${FIXTURES_DIR}` : getArg('image-set', config.imageSet);
+  IMAGE_SIZES = FIXTURES_DIR ? listFixtures(FIXTURES_DIR) : config.sizes;
+  OPERATIONS = OPERATION_FILTER
+    ? config.operations.filter(op => OPERATION_FILTER.includes(op.name))
+    : config.operations;
+
+  if (!FIXTURES_DIR && !IMAGE_SETS.includes(IMAGE_SET)) {
+    throw new Error(`Unknown image set: ${IMAGE_SET} (expected one of ${IMAGE_SETS.join(', ')})`);
+  }
+  if (OPERATIONS.length === 0) {
+    throw new Error('No operations selected');
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
 // Results storage
 const results = {
   systemInfo: {},
+  timing: TIMING,
+  imageSet: IMAGE_SET,
+  config: CONFIG_PATH,
+  backends: {},
   native: {},
   wasm: {},
   comparison: {}
@@ -63,186 +164,367 @@ function getSystemInfo() {
 }
 
 /**
- * Create a test image
+ * Benchmark a specific operation
+ *
+ * Runs untimed warmup iterations, then keeps measuring until the 95%
+ * confidence interval of the mean is within TIMING.targetCI of the mean (or
+ * maxIterations is reached). Outliers are rejected with a MAD-based test
+ * before the statistics are computed; raw timings are kept in `times`.
  */
-async function createTestImage(sharp, width, height, format = 'jpeg') {
-  const buffer = await sharp({
-    create: {
-      width,
-      height,
-      channels: 4,
-      background: { r: 100, g: 150, b: 200, alpha: 1 }
+async function benchmarkOperation(sharp, op, imageBuffer) {
+  const times = [];
+
+  try {
+    for (let i = 0; i < TIMING.warmup; i++) {
+      await runOperation(sharp, op, imageBuffer);
+    }
+
+    while (times.length < TIMING.maxIterations) {
+      const start = performance.now();
+      await runOperation(sharp, op, imageBuffer);
+      const end = performance.now();
+      times.push(end - start);
+
+      if (times.length >= TIMING.minIterations && summarize(times).ci95.relative <= TIMING.targetCI) {
+        break;
+      }
     }
-  })
-  [format]()
-  .toBuffer();
+  } catch (error) {
+    console.error(`  ❌ Error in ${op.name}:`, error.message);
+    return null;
+  }
 
-  return buffer;
+  return { ...summarize(times), iterations: times.length, warmup: TIMING.warmup };
 }
 
 /**
- * Benchmark a specific operation
+ * Benchmark every size and operation with an already loaded sharp
  */
-async function benchmarkOperation(sharp, operation, imageBuffer, size) {
-  const times = [];
+async function runBenchmarks(sharp) {
+  const backendResults = {};
 
-  for (let i = 0; i < TEST_ITERATIONS; i++) {
-    const start = performance.now();
+  for (const size of IMAGE_SIZES) {
+    console.log(`  Testing ${describeImage(size)}...`);
+    backendResults[size.name] = {};
 
-    try {
-      switch (operation) {
-        case 'resize':
-          await sharp(imageBuffer).resize(800, 600).toBuffer();
-          break;
-
-        case 'jpeg-to-webp':
-          await sharp(imageBuffer).webp({ quality: 85 }).toBuffer();
-          break;
-
-        case 'png-to-jpeg':
-          const pngBuffer = await sharp(imageBuffer).png().toBuffer();
-          await sharp(pngBuffer).jpeg({ quality: 85 }).toBuffer();
-          break;
-
-        case 'rotate':
-          await sharp(imageBuffer).rotate(90).toBuffer();
-          break;
-
-        case 'blur':
-          await sharp(imageBuffer).blur(5).toBuffer();
-          break;
-
-        case 'grayscale':
-          await sharp(imageBuffer).grayscale().toBuffer();
-          break;
-
-        case 'composite':
-          const overlay = await sharp({
-            create: {
-              width: 100,
-              height: 100,
-              channels: 4,
-              background: { r: 255, g: 0, b: 0, alpha: 0.5 }
-            }
-          }).png().toBuffer();
+    // Source image per input format, generated once per size
+    const inputs = {};
 
-          await sharp(imageBuffer)
-            .composite([{ input: overlay, top: 10, left: 10 }])
-            .toBuffer();
-          break;
-      }
+    for (const op of OPERATIONS.filter(op => appliesTo(op, size))) {
+      inputs[op.input] = inputs[op.input] || await createTestImage(sharp, size, IMAGE_SET, op.input);
 
-      const end = performance.now();
-      times.push(end - start);
+      process.stdout.write(`    ${op.desc}... `);
+      const result = await benchmarkOperation(sharp, op, inputs[op.input]);
 
-    } catch (error) {
-      console.error(`  ❌ Error in ${operation}:`, error.message);
-      return null;
+      if (result) {
+        backendResults[size.name][op.name] = result;
+        console.log(
+          `✓ ${result.avg.toFixed(2)}ms avg ±${result.ci95.halfWidth.toFixed(2)}ms ` +
+          `(n=${result.samples}${result.outliers.length ? `, ${result.outliers.length} outliers` : ''})`
+        );
+      }
     }
+    console.log('');
   }
 
-  // Calculate statistics
-  const avg = times.reduce((a, b) => a + b, 0) / times.length;
-  const sorted = times.sort((a, b) => a - b);
-  const median = sorted[Math.floor(sorted.length / 2)];
-  const min = Math.min(...times);
-  const max = Math.max(...times);
-
-  return { avg, median, min, max, times };
+  return backendResults;
 }
 
 /**
- * Test native implementation
+ * Profile one backend across sharp.concurrency() levels and parallel pipelines
+ *
+ * UV_THREADPOOL_SIZE is fixed for the lifetime of a process, so the parent
+ * forks one worker per thread pool size and this sweeps the rest.
  */
-async function testNative() {
-  console.log('\n📊 Testing NATIVE libvips implementation...\n');
-
-  let sharp;
-  try {
-    // Force native sharp (must be installed with SHARP_FORCE_GLOBAL_LIBVIPS=1)
-    sharp = require('sharp');
-    const versions = sharp.versions;
-
-    if (!versions.vips) {
-      throw new Error('Native libvips not detected');
-    }
+async function profileBackend(sharp) {
+  const size = IMAGE_SIZES.find(s => s.name === PROFILE.size);
+  if (!size) {
+    throw new Error(`Unknown image size: ${PROFILE.size}`);
+  }
 
-    console.log(`  libvips version: ${versions.vips}`);
-    console.log(`  sharp version: ${versions.sharp}`);
-    console.log('');
+  const operations = OPERATIONS.filter(op => appliesTo(op, size));
+  const threadpool = parseInt(process.env.UV_THREADPOOL_SIZE, 10) || 4;
+  const inputs = {};
+  const cells = [];
 
-  } catch (error) {
-    console.error('  ❌ Native sharp not available:', error.message);
-    console.error('  Install with: SHARP_FORCE_GLOBAL_LIBVIPS=1 npm install sharp');
-    return null;
+  for (const op of operations) {
+    inputs[op.input] = inputs[op.input] || await createTestImage(sharp, size, IMAGE_SET, op.input);
   }
 
-  const nativeResults = {};
+  for (const concurrency of PROFILE.concurrency) {
+    sharp.concurrency(concurrency);
+    console.log(`  UV_THREADPOOL_SIZE=${threadpool}, sharp.concurrency(${sharp.concurrency()})`);
 
-  for (const size of IMAGE_SIZES) {
-    console.log(`  Testing ${size.name} (${size.width}x${size.height})...`);
-    nativeResults[size.name] = {};
+    for (const op of operations) {
+      // Warm up once so lazy initialisation is not charged to the first cell
+      await runOperation(sharp, op, inputs[op.input]);
 
-    const imageBuffer = await createTestImage(sharp, size.width, size.height);
+      for (const parallel of PROFILE.parallel) {
+        process.stdout.write(`    ${op.desc} ×${parallel}... `);
 
-    for (const op of OPERATIONS) {
-      process.stdout.write(`    ${op.desc}... `);
-      const result = await benchmarkOperation(sharp, op.name, imageBuffer, size);
+        const cell = await profileParallel(
+          () => runOperation(sharp, op, inputs[op.input]),
+          { parallel, rounds: PROFILE.rounds }
+        );
 
-      if (result) {
-        nativeResults[size.name][op.name] = result;
-        console.log(`✓ ${result.avg.toFixed(2)}ms avg`);
+        cells.push({ threadpool, concurrency, parallel, size: size.name, operation: op.name, ...cell });
+        console.log(
+          `✓ ${cell.throughput.toFixed(1)} ops/s, ` +
+          `${cell.cpu.perOpMs.toFixed(1)}ms CPU/op, ` +
+          `peak RSS ${cell.memory.peakRssMB.toFixed(0)}MB`
+        );
       }
     }
     console.log('');
   }
 
-  return nativeResults;
+  return cells;
 }
 
 /**
- * Test WASM implementation
+ * Decode an operation's output into comparable values
+ *
+ * Images become raw sRGB+alpha pixels so grayscale or alpha-less outputs can
+ * still be compared; metadata/stats objects become normalized JSON.
  */
-async function testWASM() {
-  console.log('\n📊 Testing WASM implementation...\n');
+async function decodeOutput(sharp, output) {
+  if (Array.isArray(output)) {
+    return Promise.all(output.map(item => decodeOutput(sharp, item)).map(p => p.then(items => items[0])));
+  }
 
-  let sharp;
-  try {
-    // Try to load WASM version
-    // User should install with: npm install --cpu=wasm32 sharp
-    sharp = require('sharp');
+  if (Buffer.isBuffer(output)) {
+    const { data, info } = await sharp(output)
+      .toColourspace('srgb')
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
 
-    console.log(`  sharp version: ${sharp.versions.sharp}`);
-    console.log(`  Using WASM backend`);
-    console.log('');
-
-  } catch (error) {
-    console.error('  ❌ WASM sharp not available:', error.message);
-    console.error('  Install with: npm install --cpu=wasm32 sharp');
-    return null;
+    return [{ width: info.width, height: info.height, channels: info.channels, data }];
   }
 
-  const wasmResults = {};
+  // Round floats and drop embedded binary blobs (ICC, EXIF) before comparing
+  const json = JSON.stringify(output, (key, value) => {
+    if (typeof value === 'number') return Math.round(value * 100) / 100;
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) return `<${value.data.length} bytes>`;
+    return value;
+  });
 
-  for (const size of IMAGE_SIZES) {
-    console.log(`  Testing ${size.name} (${size.width}x${size.height})...`);
-    wasmResults[size.name] = {};
+  return [{ json }];
+}
 
-    const imageBuffer = await createTestImage(sharp, size.width, size.height);
+/**
+ * Verify worker: run single operations on request and reply with decoded output
+ */
+function serveOutputs(sharp) {
+  const inputs = new Map();
 
-    for (const op of OPERATIONS) {
-      process.stdout.write(`    ${op.desc}... `);
-      const result = await benchmarkOperation(sharp, op.name, imageBuffer, size);
+  process.on('message', async (msg) => {
+    if (msg.type === 'done') {
+      process.disconnect();
+      return;
+    }
 
-      if (result) {
-        wasmResults[size.name][op.name] = result;
-        console.log(`✓ ${result.avg.toFixed(2)}ms avg`);
+    const size = IMAGE_SIZES.find(s => s.name === msg.size);
+    const op = OPERATIONS.find(o => o.name === msg.operation);
+
+    try {
+      // Only keep the current size's inputs in memory
+      const key = `${size.name}:${op.input}`;
+      if (!inputs.has(key)) {
+        if (![...inputs.keys()].some(k => k.startsWith(`${size.name}:`))) {
+          inputs.clear();
+        }
+        inputs.set(key, await createTestImage(sharp, size, IMAGE_SET, op.input));
       }
+
+      const output = await runOperation(sharp, op, inputs.get(key));
+      process.send({ type: 'output', outputs: await decodeOutput(sharp, output) });
+    } catch (error) {
+      process.send({ type: 'output', error: error.message });
     }
-    console.log('');
+  });
+}
+
+/**
+ * Worker entry point: load one backend from its prefix and benchmark it
+ */
+async function runWorker() {
+  const kind = implementation;
+  const backendConfig = BACKENDS[kind];
+
+  let sharp;
+  let backend;
+  try {
+    ({ sharp, backend } = loadSharp(getArg('prefix', backendConfig.prefix), kind));
+  } catch (error) {
+    process.send({ type: 'error', message: error.message });
+    return;
   }
 
-  return wasmResults;
+  console.log(`  sharp version: ${backend.sharpVersion}`);
+  console.log(`  libvips version: ${backend.vipsVersion}`);
+  console.log(`  Binding: ${backend.binding}`);
+  if (backend.globalLibvips) {
+    console.log('  Using globally installed libvips');
+  }
+  console.log('');
+
+  if (mode === 'verify') {
+    serveOutputs(sharp);
+    process.send({ type: 'ready', backend });
+    return;
+  }
+
+  const backendResults = mode === 'profile'
+    ? await profileBackend(sharp)
+    : await runBenchmarks(sharp);
+  process.send({ type: 'result', backend, results: backendResults });
+}
+
+/**
+ * Run one backend in an isolated child process
+ */
+function runIsolated(kind, { extraArgs = [], env = {}, execArgv = [] } = {}) {
+  const backendConfig = BACKENDS[kind];
+
+  return new Promise((resolve) => {
+    let message = null;
+
+    const child = fork(__filename, [
+      mode,
+      '--worker',
+      `--implementation=${kind}`,
+      `--prefix=${backendConfig.prefix}`,
+      ...configArgs(),
+      ...extraArgs
+    ], {
+      env: { ...process.env, ...env },
+      execArgv: [...process.execArgv, ...execArgv]
+    });
+
+    child.on('message', (msg) => {
+      message = msg;
+    });
+
+    child.on('exit', (code) => {
+      if (message?.type === 'result') {
+        // Never trust a label the worker could not prove
+        if (message.backend.kind !== kind) {
+          console.error(`  ❌ Refusing to record ${message.backend.kind} results as ${kind}`);
+          resolve(null);
+          return;
+        }
+        resolve(message);
+        return;
+      }
+
+      console.error(`  ❌ ${backendConfig.label} sharp not available:`, message?.message || `worker exited with code ${code}`);
+      console.error(`  Install with: ${backendConfig.install.replace('<dir>', backendConfig.prefix)}`);
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Start a long-lived verify worker for one backend
+ *
+ * Resolves with a handle whose request() runs one operation in the worker,
+ * or null when the backend could not be loaded.
+ */
+function startVerifyWorker(kind) {
+  const backendConfig = BACKENDS[kind];
+
+  return new Promise((resolve) => {
+    const child = fork(__filename, [
+      mode,
+      '--worker',
+      `--implementation=${kind}`,
+      `--prefix=${backendConfig.prefix}`,
+      ...configArgs()
+    ], {
+      // Structured clone keeps decoded pixel buffers binary over IPC
+      serialization: 'advanced'
+    });
+
+    const onExit = (code) => {
+      console.error(`  ❌ ${backendConfig.label} sharp not available: worker exited with code ${code}`);
+      resolve(null);
+    };
+    child.once('exit', onExit);
+
+    child.once('message', (msg) => {
+      child.off('exit', onExit);
+
+      if (msg.type !== 'ready' || msg.backend.kind !== kind) {
+        console.error(`  ❌ ${backendConfig.label} sharp not available:`, msg.message || `${msg.backend?.kind} loaded instead`);
+        console.error(`  Install with: ${backendConfig.install.replace('<dir>', backendConfig.prefix)}`);
+        child.kill();
+        resolve(null);
+        return;
+      }
+
+      resolve({
+        backend: msg.backend,
+        request(size, operation) {
+          return new Promise((resolveRequest, rejectRequest) => {
+            const onCrash = (code) => rejectRequest(new Error(`${kind} worker exited with code ${code}`));
+            child.once('exit', onCrash);
+            child.once('message', (reply) => {
+              child.off('exit', onCrash);
+              resolveRequest(reply);
+            });
+            child.send({ type: 'run', size, operation });
+          });
+        },
+        stop() {
+          if (child.connected) child.send({ type: 'done' });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Config arguments forwarded to every worker
+ */
+function configArgs() {
+  return [
+    `--config=${CONFIG_PATH}`,
+    FIXTURES_DIR ? `--fixtures=${FIXTURES_DIR}` : `--image-set=${IMAGE_SET}`,
+    ...(OPERATION_FILTER ? [`--operations=${OPERATION_FILTER.join(',')}`] : [])
+  ];
+}
+
+/**
+ * Arguments forwarded to benchmark workers
+ */
+function timingArgs() {
+  return [
+    `--warmup=${TIMING.warmup}`,
+    `--min-iterations=${TIMING.minIterations}`,
+    `--max-iterations=${TIMING.maxIterations}`,
+    `--target-ci=${TIMING.targetCI}`
+  ];
+}
+
+/**
+ * Test native implementation
+ */
+function testNative() {
+  console.log(`\n📊 Testing ${BACKENDS.native.label} implementation...\n`);
+  console.log(`  Prefix: ${BACKENDS.native.prefix}`);
+
+  return runIsolated('native', { extraArgs: timingArgs() });
+}
+
+/**
+ * Test WASM implementation
+ */
+function testWASM() {
+  console.log(`\n📊 Testing ${BACKENDS.wasm.label} implementation...\n`);
+  console.log(`  Prefix: ${BACKENDS.wasm.prefix}`);
+
+  return runIsolated('wasm', { extraArgs: timingArgs() });
 }
 
 /**
@@ -259,9 +541,9 @@ function compareResults(nativeResults, wasmResults) {
   const comparison = {};
 
   for (const size of IMAGE_SIZES) {
-    console.log(`\n${size.name.toUpperCase()} (${size.width}x${size.height}):`);
+    console.log(`\n${describeImage({ ...size, name: size.name.toUpperCase() })}:`);
     console.log('─'.repeat(80));
-    console.log('Operation'.padEnd(30) + 'Native'.padEnd(15) + 'WASM'.padEnd(15) + 'Ratio');
+    console.log('Operation'.padEnd(30) + 'Native'.padEnd(18) + 'WASM'.padEnd(18) + 'Ratio');
     console.log('─'.repeat(80));
 
     comparison[size.name] = {};
@@ -272,17 +554,22 @@ function compareResults(nativeResults, wasmResults) {
 
       if (native && wasm) {
         const ratio = (wasm.avg / native.avg).toFixed(2);
+        const { t, df, significant } = welchTest(native, wasm);
+
         comparison[size.name][op.name] = {
           native: native.avg,
           wasm: wasm.avg,
-          ratio: parseFloat(ratio)
+          ratio: parseFloat(ratio),
+          t,
+          df,
+          significant
         };
 
         console.log(
           op.desc.padEnd(30) +
-          `${native.avg.toFixed(1)}ms`.padEnd(15) +
-          `${wasm.avg.toFixed(1)}ms`.padEnd(15) +
-          `${ratio}x`
+          `${native.avg.toFixed(1)}±${native.ci95.halfWidth.toFixed(1)}ms`.padEnd(18) +
+          `${wasm.avg.toFixed(1)}±${wasm.ci95.halfWidth.toFixed(1)}ms`.padEnd(18) +
+          `${ratio}x${significant ? '' : ' (not significant)'}`
         );
       }
     }
@@ -293,84 +580,505 @@ function compareResults(nativeResults, wasmResults) {
 
 /**
  * Generate summary statistics
+ *
+ * Only differences that pass Welch's t-test at the 95% level count towards
+ * the recommendation.
  */
 function generateSummary(comparison) {
-  if (!comparison) return;
+  if (!comparison) return null;
 
   console.log('\n\n📊 Summary Statistics\n');
   console.log('─'.repeat(80));
 
-  const ratios = [];
+  const cells = [];
   for (const size in comparison) {
     for (const op in comparison[size]) {
-      ratios.push(comparison[size][op].ratio);
+      cells.push(comparison[size][op]);
     }
   }
 
+  const significant = cells.filter(cell => cell.significant);
+  const ratios = significant.map(cell => cell.ratio);
+
+  console.log(`  Significant differences: ${significant.length} of ${cells.length} operations (95% level)`);
+
+  if (ratios.length === 0) {
+    console.log('');
+    console.log('  Recommendation: No significant difference - WASM is acceptable');
+    console.log('─'.repeat(80));
+    return { cells: cells.length, significant: 0, avgRatio: null, recommendation: 'wasm' };
+  }
+
   const avgRatio = ratios.reduce((a, b) => a + b, 0) / ratios.length;
   const minRatio = Math.min(...ratios);
   const maxRatio = Math.max(...ratios);
+  const recommendation = avgRatio >= 3 ? 'native' : 'wasm';
 
   console.log(`  Average speedup (Native vs WASM): ${avgRatio.toFixed(2)}x`);
-  console.log(`  Best case: ${minRatio.toFixed(2)}x faster`);
-  console.log(`  Worst case: ${maxRatio.toFixed(2)}x faster`);
+  console.log(`  Best case: ${maxRatio.toFixed(2)}x faster`);
+  console.log(`  Worst case: ${minRatio.toFixed(2)}x faster`);
   console.log('');
-  console.log(`  Recommendation: ${avgRatio >= 3 ? 'Use native for production' : 'WASM is acceptable'}`);
+  console.log(`  Recommendation: ${recommendation === 'native' ? 'Use native for production' : 'WASM is acceptable'}`);
   console.log('─'.repeat(80));
+
+  return {
+    cells: cells.length,
+    significant: significant.length,
+    avgRatio,
+    minRatio,
+    maxRatio,
+    recommendation
+  };
 }
 
 /**
  * Save results to file
  */
-function saveResults(results) {
+function saveResults(results, prefix = 'sharp-benchmark-results') {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const filename = `sharp-benchmark-results-${timestamp}.json`;
+  const filename = `${prefix}-${timestamp}.json`;
   const filepath = path.join(__dirname, filename);
 
   fs.writeFileSync(filepath, JSON.stringify(results, null, 2));
   console.log(`\n💾 Results saved to: ${filename}`);
+
+  return filepath;
 }
 
 /**
- * Main execution
+ * Render a report in the formats requested with --report
  */
-async function main() {
+function saveReport(report, prefix) {
+  if (REPORT_FORMATS.length === 0) return;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  for (const file of writeReport(report, path.join(REPORT_DIR, `${prefix}-${timestamp}`), REPORT_FORMATS)) {
+    console.log(`📄 Report saved to: ${REPORT_DIR === __dirname ? path.basename(file) : file}`);
+  }
+}
+
+/**
+ * Print the banner and system information
+ */
+function printHeader(title) {
   console.log('════════════════════════════════════════════════════════════════════════════════');
-  console.log('  Sharp Performance Benchmark for riscv64');
+  console.log(`  ${title}`);
   console.log('════════════════════════════════════════════════════════════════════════════════');
 
-  // Collect system info
-  results.systemInfo = getSystemInfo();
+  const systemInfo = getSystemInfo();
   console.log('\n🖥️  System Information:');
-  console.log(`  Platform: ${results.systemInfo.platform}`);
-  console.log(`  Architecture: ${results.systemInfo.arch}`);
-  console.log(`  CPUs: ${results.systemInfo.cpus}`);
-  console.log(`  Memory: ${results.systemInfo.totalMemory} (${results.systemInfo.freeMemory} free)`);
-  console.log(`  Node.js: ${results.systemInfo.nodeVersion}`);
+  console.log(`  Platform: ${systemInfo.platform}`);
+  console.log(`  Architecture: ${systemInfo.arch}`);
+  console.log(`  CPUs: ${systemInfo.cpus}`);
+  console.log(`  Memory: ${systemInfo.totalMemory} (${systemInfo.freeMemory} free)`);
+  console.log(`  Node.js: ${systemInfo.nodeVersion}`);
+
+  return systemInfo;
+}
+
+/**
+ * Run the benchmark and save its results
+ */
+async function runBenchmark() {
+  results.systemInfo = printHeader('Sharp Performance Benchmark for riscv64');
+  console.log(`  Image set: ${IMAGE_SET}`);
+  console.log(`  Operations: ${OPERATIONS.map(op => op.name).join(', ')}`);
 
   // Run tests based on implementation flag
   if (implementation === 'native' || implementation === 'both') {
-    results.native = await testNative();
+    const native = await testNative();
+    results.backends.native = native?.backend || null;
+    results.native = native?.results || null;
   }
 
   if (implementation === 'wasm' || implementation === 'both') {
-    results.wasm = await testWASM();
+    const wasm = await testWASM();
+    results.backends.wasm = wasm?.backend || null;
+    results.wasm = wasm?.results || null;
   }
 
   // Compare if both were tested
   if (implementation === 'both' && results.native && results.wasm) {
     results.comparison = compareResults(results.native, results.wasm);
-    generateSummary(results.comparison);
+    results.summary = generateSummary(results.comparison);
   }
 
   // Save results
   saveResults(results);
+  saveReport(runReport(results, {
+    sizes: IMAGE_SIZES,
+    operations: OPERATIONS,
+    labels: { native: BACKENDS.native.label, wasm: BACKENDS.wasm.label },
+    implementations: implementation === 'both' ? ['native', 'wasm'] : [implementation]
+  }), 'sharp-benchmark-report');
 
   console.log('\n✅ Benchmark complete!\n');
+
+  return results;
+}
+
+/**
+ * Compare a new run against a baseline results file
+ */
+async function runCompare() {
+  const baselineFile = getArg('baseline');
+  const currentFile = getArg('current');
+  const threshold = parseFloat(getArg('threshold', '10'));
+  const metric = getArg('metric', 'avg');
+
+  if (!baselineFile) {
+    console.error('❌ compare requires --baseline=FILE');
+    process.exit(1);
+  }
+
+  if (Number.isNaN(threshold) || threshold < 0) {
+    console.error(`❌ Invalid --threshold: ${getArg('threshold')}`);
+    process.exit(1);
+  }
+
+  const baseline = loadResults(path.resolve(baselineFile));
+  const current = currentFile ? loadResults(path.resolve(currentFile)) : await runBenchmark();
+
+  const implementations = implementation === 'both' ? ['native', 'wasm'] : [implementation];
+  const report = compareRuns(baseline, current, {
+    sizes: IMAGE_SIZES,
+    operations: OPERATIONS,
+    implementations,
+    threshold,
+    metric
+  });
+
+  console.log(`\n📉 Baseline Comparison (${metric}, threshold ${threshold}%)`);
+  console.log(`  Baseline: ${baselineFile} (${baseline.systemInfo?.date || 'unknown date'})`);
+  console.log(`  Current:  ${currentFile || 'this run'} (${current.systemInfo?.date || 'unknown date'})`);
+
+  // Results saved before image sets existed were always flat images
+  const baselineSet = baseline.imageSet || 'flat';
+  const currentSet = current.imageSet || 'flat';
+  if (baselineSet !== currentSet) {
+    console.log(`  ⚠️  Image sets differ (${baselineSet} vs ${currentSet}): deltas reflect content, not just speed`);
+  }
+
+  if (report.cells.length === 0) {
+    console.error('\n❌ No matching results to compare');
+    process.exit(1);
+  }
+
+  printComparison(report);
+  saveReport(compareReport(report, { baselineFile, currentFile }), 'sharp-compare-report');
+
+  console.log('\n' + '─'.repeat(80));
+  if (report.passed) {
+    console.log(`✅ No operation slowed down by more than ${threshold}%\n`);
+    return;
+  }
+
+  console.log(`❌ ${report.regressions.length} regression(s):`);
+  for (const cell of report.regressions) {
+    const detail = cell.status === 'missing' ? 'no result in current run' : `+${cell.deltaPct.toFixed(1)}%`;
+    console.log(`  - ${cell.implementation}/${cell.size}/${cell.operation}: ${detail}`);
+  }
+  console.log('');
+  process.exit(1);
+}
+
+/**
+ * Print profiling cells per operation with a sizing hint
+ *
+ * The hint is the cheapest configuration (lowest peak RSS) that still
+ * reaches 90% of the best throughput seen for that operation.
+ */
+function summarizeProfile(kind, cells) {
+  console.log(`\n📈 ${BACKENDS[kind].label} resource profile (${PROFILE.size})\n`);
+
+  const summary = {};
+
+  for (const op of OPERATIONS) {
+    const opCells = cells.filter(cell => cell.operation === op.name);
+    if (opCells.length === 0) continue;
+
+    console.log(`${op.desc}:`);
+    console.log('─'.repeat(80));
+    console.log(
+      'Threads'.padEnd(9) + 'Conc'.padEnd(6) + 'Par'.padEnd(6) + 'ops/s'.padEnd(10) +
+      'CPU/op'.padEnd(11) + 'CPU use'.padEnd(9) + 'Peak RSS'.padEnd(11) + 'Δ External'
+    );
+    console.log('─'.repeat(80));
+
+    for (const cell of opCells) {
+      console.log(
+        String(cell.threadpool).padEnd(9) +
+        String(cell.concurrency).padEnd(6) +
+        String(cell.parallel).padEnd(6) +
+        cell.throughput.toFixed(1).padEnd(10) +
+        `${cell.cpu.perOpMs.toFixed(1)}ms`.padEnd(11) +
+        `${cell.cpu.utilisation.toFixed(2)}`.padEnd(9) +
+        `${cell.memory.peakRssMB.toFixed(0)}MB`.padEnd(11) +
+        `${cell.memory.deltaExternalMB.toFixed(1)}MB`
+      );
+    }
+
+    const best = opCells.reduce((a, b) => (b.throughput > a.throughput ? b : a));
+    const sizing = opCells
+      .filter(cell => cell.throughput >= best.throughput * 0.9)
+      .reduce((a, b) => (b.memory.peakRssMB < a.memory.peakRssMB ? b : a));
+
+    const describe = cell => `UV_THREADPOOL_SIZE=${cell.threadpool}, concurrency=${cell.concurrency}, ${cell.parallel} parallel`;
+    console.log(`  Best throughput: ${best.throughput.toFixed(1)} ops/s (${describe(best)})`);
+    console.log(`  Sizing hint: ${describe(sizing)} → ${sizing.throughput.toFixed(1)} ops/s at ${sizing.memory.peakRssMB.toFixed(0)}MB RSS`);
+    console.log('');
+
+    summary[op.name] = {
+      best: { threadpool: best.threadpool, concurrency: best.concurrency, parallel: best.parallel, throughput: best.throughput },
+      sizing: {
+        threadpool: sizing.threadpool,
+        concurrency: sizing.concurrency,
+        parallel: sizing.parallel,
+        throughput: sizing.throughput,
+        peakRssMB: sizing.memory.peakRssMB
+      }
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Sweep thread pool sizes, sharp concurrency and parallel pipelines
+ */
+async function runProfile() {
+  const profileResults = {
+    systemInfo: printHeader('Sharp Resource & Concurrency Profile for riscv64'),
+    profile: PROFILE,
+    imageSet: IMAGE_SET,
+    config: CONFIG_PATH,
+    backends: {},
+    native: null,
+    wasm: null,
+    summary: {}
+  };
+
+  console.log(`  Image set: ${IMAGE_SET}`);
+  console.log(`  Thread pool sizes: ${PROFILE.threadpool.join(', ')}`);
+  console.log(`  sharp.concurrency: ${PROFILE.concurrency.join(', ')}`);
+  console.log(`  Parallel pipelines: ${PROFILE.parallel.join(', ')}`);
+
+  const kinds = implementation === 'both' ? ['native', 'wasm'] : [implementation];
+
+  for (const kind of kinds) {
+    const cells = [];
+
+    for (const threadpool of PROFILE.threadpool) {
+      console.log(`\n📊 Profiling ${BACKENDS[kind].label} with UV_THREADPOOL_SIZE=${threadpool}...\n`);
+      console.log(`  Prefix: ${BACKENDS[kind].prefix}`);
+
+      const run = await runIsolated(kind, {
+        env: { UV_THREADPOOL_SIZE: String(threadpool) },
+        // Lets the profiler collect garbage before each cell for a clean baseline
+        execArgv: ['--expose-gc'],
+        extraArgs: [
+          `--concurrency=${PROFILE.concurrency.join(',')}`,
+          `--parallel=${PROFILE.parallel.join(',')}`,
+          `--rounds=${PROFILE.rounds}`,
+          `--size=${PROFILE.size}`
+        ]
+      });
+
+      if (!run) break;
+      profileResults.backends[kind] = run.backend;
+      cells.push(...run.results);
+    }
+
+    if (cells.length > 0) {
+      profileResults[kind] = cells;
+      profileResults.summary[kind] = summarizeProfile(kind, cells);
+    }
+  }
+
+  saveResults(profileResults, 'sharp-profile-results');
+  saveReport(profileReport(profileResults, {
+    operations: OPERATIONS,
+    labels: { native: BACKENDS.native.label, wasm: BACKENDS.wasm.label }
+  }), 'sharp-profile-report');
+
+  console.log('\n✅ Profile complete!\n');
+}
+
+/**
+ * Check one pair of decoded outputs against the tolerances
+ */
+function checkOutputs(nativeOutput, wasmOutput) {
+  if (nativeOutput.json !== undefined || wasmOutput.json !== undefined) {
+    const same = nativeOutput.json === wasmOutput.json;
+    return { passed: same, reason: same ? null : 'non-image output differs', metrics: null };
+  }
+
+  const metrics = compareImages(nativeOutput, wasmOutput);
+  if (!metrics.comparable) {
+    return { passed: false, reason: metrics.reason, metrics };
+  }
+
+  const reasons = [];
+  if (metrics.maxDelta > TOLERANCE.maxDelta) reasons.push(`max delta ${metrics.maxDelta} > ${TOLERANCE.maxDelta}`);
+  if (metrics.psnr < TOLERANCE.minPsnr) reasons.push(`PSNR ${metrics.psnr.toFixed(1)}dB < ${TOLERANCE.minPsnr}dB`);
+  if (metrics.ssim < TOLERANCE.minSsim) reasons.push(`SSIM ${metrics.ssim.toFixed(4)} < ${TOLERANCE.minSsim}`);
+
+  return { passed: reasons.length === 0, reason: reasons.join(', ') || null, metrics };
+}
+
+/**
+ * Save native, WASM and amplified diff PNGs for a failing output
+ */
+function saveDiffImages(dir, name, nativeOutput, wasmOutput) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.writeFileSync(path.join(dir, `${name}-native.png`), encodePng(nativeOutput));
+  fs.writeFileSync(path.join(dir, `${name}-wasm.png`), encodePng(wasmOutput));
+  fs.writeFileSync(path.join(dir, `${name}-diff.png`), encodePng(diffImage(nativeOutput, wasmOutput)));
+}
+
+/**
+ * Compare native and WASM outputs pixel by pixel
+ *
+ * Catches miscompiled or SIMD-broken native builds that are fast but wrong.
+ */
+async function runVerify() {
+  const verifyResults = {
+    systemInfo: printHeader('Sharp Output Verification (Native vs WASM) for riscv64'),
+    imageSet: IMAGE_SET,
+    config: CONFIG_PATH,
+    tolerance: TOLERANCE,
+    backends: {},
+    cells: []
+  };
+
+  console.log(`  Image set: ${IMAGE_SET}`);
+  console.log(`  Tolerance: max delta ${TOLERANCE.maxDelta}, PSNR ≥ ${TOLERANCE.minPsnr}dB, SSIM ≥ ${TOLERANCE.minSsim}`);
+
+  const workers = {};
+  for (const kind of ['native', 'wasm']) {
+    console.log(`\n🔌 Starting ${BACKENDS[kind].label} worker (${BACKENDS[kind].prefix})...\n`);
+    workers[kind] = await startVerifyWorker(kind);
+  }
+
+  if (!workers.native || !workers.wasm) {
+    Object.values(workers).forEach(worker => worker?.stop());
+    console.error('\n❌ Verification needs both backends\n');
+    process.exit(1);
+  }
+
+  verifyResults.backends = { native: workers.native.backend, wasm: workers.wasm.backend };
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const diffDir = path.join(__dirname, `sharp-verify-diffs-${timestamp}`);
+
+  for (const size of IMAGE_SIZES) {
+    console.log(`\n${describeImage({ ...size, name: size.name.toUpperCase() })}:`);
+    console.log('─'.repeat(80));
+    console.log('Operation'.padEnd(30) + 'Max Δ'.padEnd(8) + 'PSNR'.padEnd(10) + 'SSIM'.padEnd(9) + 'Status');
+    console.log('─'.repeat(80));
+
+    for (const op of OPERATIONS.filter(op => appliesTo(op, size))) {
+      const native = await workers.native.request(size.name, op.name);
+      const wasm = await workers.wasm.request(size.name, op.name);
+
+      const cell = { size: size.name, operation: op.name, status: 'pass', outputs: [] };
+
+      if (native.error || wasm.error) {
+        cell.status = 'error';
+        cell.reason = native.error ? `native: ${native.error}` : `wasm: ${wasm.error}`;
+      } else if (native.outputs.length !== wasm.outputs.length) {
+        cell.status = 'fail';
+        cell.reason = `output count differs: ${native.outputs.length} vs ${wasm.outputs.length}`;
+      } else {
+        native.outputs.forEach((nativeOutput, index) => {
+          const check = checkOutputs(nativeOutput, wasm.outputs[index]);
+          cell.outputs.push({ index, ...check });
+
+          if (!check.passed) {
+            cell.status = 'fail';
+            cell.reason = check.reason;
+
+            if (check.metrics?.comparable) {
+              const name = `${size.name}-${op.name}${native.outputs.length > 1 ? `-${index}` : ''}`;
+              saveDiffImages(diffDir, name, nativeOutput, wasm.outputs[index]);
+              cell.diffDir = diffDir;
+            }
+          }
+        });
+      }
+
+      verifyResults.cells.push(cell);
+
+      // Report the worst output of the operation
+      const metrics = cell.outputs.map(output => output.metrics).filter(Boolean);
+      const worst = metrics.length > 0
+        ? metrics.reduce((a, b) => ((b.maxDelta ?? -1) > (a.maxDelta ?? -1) ? b : a))
+        : null;
+      const icon = { pass: '✅', fail: '❌', error: '💥' }[cell.status];
+
+      console.log(
+        op.desc.padEnd(30) +
+        String(worst?.maxDelta ?? '-').padEnd(8) +
+        (worst?.psnr === undefined ? '-' : worst.psnr === Infinity ? '∞' : `${worst.psnr.toFixed(1)}dB`).padEnd(10) +
+        (worst?.ssim === undefined ? '-' : worst.ssim.toFixed(4)).padEnd(9) +
+        `${icon}${cell.reason ? ` ${cell.reason}` : ''}`
+      );
+    }
+  }
+
+  workers.native.stop();
+  workers.wasm.stop();
+
+  const failures = verifyResults.cells.filter(cell => cell.status !== 'pass');
+  verifyResults.passed = failures.length === 0;
+
+  saveResults(verifyResults, 'sharp-verify-results');
+  saveReport(verifyReport(verifyResults, { operations: OPERATIONS }), 'sharp-verify-report');
+
+  console.log('\n' + '─'.repeat(80));
+  if (verifyResults.passed) {
+    console.log(`✅ All ${verifyResults.cells.length} operations match within tolerance\n`);
+    return;
+  }
+
+  console.log(`❌ ${failures.length} of ${verifyResults.cells.length} operations outside tolerance`);
+  if (fs.existsSync(diffDir)) {
+    console.log(`  Diff images: ${path.basename(diffDir)}/`);
+  }
+  console.log('');
+  process.exit(1);
+}
+
+/**
+ * Main execution
+ */
+async function main() {
+  switch (mode) {
+    case 'run':
+      await runBenchmark();
+      break;
+
+    case 'compare':
+      await runCompare();
+      break;
+
+    case 'profile':
+      await runProfile();
+      break;
+
+    case 'verify':
+      await runVerify();
+      break;
+
+    default:
+      console.error(`❌ Unknown mode: ${mode}`);
+      process.exit(1);
+  }
 }
 
-// Run main function
-main().catch(error => {
+// Run main function (or a single backend when forked as a worker)
+(isWorker ? runWorker() : main()).catch(error => {
   console.error('\n❌ Benchmark failed:', error);
   process.exit(1);
 });
@@ -0,0 +1,32 @@
+import type { NextPage } from 'next'
+import Head from 'next/head'
+import Link from 'next/link'
+import styles from '../styles/Home.module.css'
+
+// What /font renders in a Babel build: next/font only compiles with SWC
+const FontTest: NextPage = () => {
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>Font Test - Next.js on riscv64</title>
+      </Head>
+
+      <main className={styles.main}>
+        <h1 className={styles.title}>Local Font Test</h1>
+
+        <div className={styles.description}>
+          <p>
+            This build uses Babel, which cannot compile <code>next/font</code>: the font test
+            needs native SWC or WASM.
+          </p>
+        </div>
+
+        <Link href="/" className={styles.backLink}>
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
+
+export default FontTest
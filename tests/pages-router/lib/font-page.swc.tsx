@@ -0,0 +1,44 @@
+import type { NextPage } from 'next'
+import Head from 'next/head'
+import Link from 'next/link'
+import localFont from 'next/font/local'
+import styles from '../styles/Home.module.css'
+
+// Noto Sans (SIL Open Font License), self-hosted by next/font
+const notoSans = localFont({
+  src: '../fonts/NotoSans-Regular.ttf',
+  display: 'swap',
+})
+
+const FontTest: NextPage = () => {
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>Font Test - Next.js on riscv64</title>
+      </Head>
+
+      <main className={styles.main}>
+        <h1 className={styles.title}>Local Font Test</h1>
+
+        <div className={`${styles.description} ${notoSans.className}`}>
+          <p>
+            This text is set in Noto Sans, loaded with <code>next/font/local</code>: the font
+            file is hashed, served from <code>/_next/static/media</code> and preloaded.
+          </p>
+
+          <p>The quick brown fox jumps over the lazy dog. 0123456789</p>
+
+          <p className={styles.note}>
+            ✅ If this text uses Noto Sans, next/font is working correctly on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className={styles.backLink}>
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
+
+export default FontTest
@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server'
+import type { NextRequest } from 'next/server'
+
+// Runs on the Edge runtime in front of every page and API route
+export function middleware(request: NextRequest) {
+  if (request.nextUrl.pathname === '/middleware-redirect') {
+    return NextResponse.redirect(new URL('/about', request.url))
+  }
+
+  const response = NextResponse.next()
+  response.headers.set('x-riscv64-middleware', 'edge')
+  return response
+}
+
+export const config = {
+  matcher: ['/((?!_next/static|_next/image|favicon.ico).*)'],
+}
@@ -1,7 +1,12 @@
+const { withRiscv64Swc } = require('../../lib/next-swc-select')
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
-  swcMinify: false, // Disable SWC minifier, use Babel fallback
+  images: {
+    formats: ['image/avif', 'image/webp'], // Exercise AVIF encoding as well
+  },
 }
 
-module.exports = nextConfig
+// Native SWC if the riscv64 binding works, else WASM or .babelrc (swcMinify is set to match)
+module.exports = withRiscv64Swc(nextConfig, { projectDir: __dirname })
@@ -0,0 +1,11 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { collectDiagnostics } from '../../../../lib/runtime-diagnostics'
+
+// SWC binding, sharp backend, glibc, RISC-V ISA and cgroup limits (lib/runtime-diagnostics.js)
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ReturnType<typeof collectDiagnostics>>
+) {
+  res.setHeader('Cache-Control', 'no-store')
+  res.status(200).json(collectDiagnostics({ projectDir: process.cwd() }))
+}
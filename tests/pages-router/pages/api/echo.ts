@@ -0,0 +1,26 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+
+interface ResponseData {
+  method?: string
+  received?: unknown
+  arch?: string
+  error?: string
+}
+
+// POST only; the body is parsed by Next.js according to its content type
+export default function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ResponseData>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST')
+    res.status(405).json({ error: `Method ${req.method} not allowed` })
+    return
+  }
+
+  res.status(200).json({
+    method: req.method,
+    received: req.body,
+    arch: process.arch,
+  })
+}
@@ -0,0 +1,20 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+
+const CHUNKS = 5
+const INTERVAL_MS = 200
+
+// Sends one line every INTERVAL_MS instead of a buffered body
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse
+) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' })
+
+  for (let i = 1; i <= CHUNKS; i++) {
+    res.write(`chunk ${i}/${CHUNKS} ${new Date().toISOString()}\n`)
+    if (i < CHUNKS) {
+      await new Promise((resolve) => setTimeout(resolve, INTERVAL_MS))
+    }
+  }
+  res.end()
+}
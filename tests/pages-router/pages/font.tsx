@@ -0,0 +1,2 @@
+// next/font needs SWC: Babel builds get lib/font-page.babel.tsx instead (withRiscv64Swc)
+export { default } from '../lib/font-page.swc'
@@ -0,0 +1,56 @@
+import type { NextPage } from 'next'
+import Head from 'next/head'
+import Image from 'next/image'
+import Link from 'next/link'
+import styles from '../styles/Home.module.css'
+
+// Served through the /_next/image optimizer (sharp or the Squoosh fallback)
+const ImagesTest: NextPage = () => {
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>Image Optimization Test - Next.js on riscv64</title>
+      </Head>
+
+      <main className={styles.main}>
+        <h1 className={styles.title}>Image Optimization Test</h1>
+
+        <div className={styles.description}>
+          <p>
+            These images are resized and re-encoded on demand by <code>/_next/image</code>.
+          </p>
+
+          <h2>Responsive Photo</h2>
+          <Image
+            src="/images/landscape.jpg"
+            alt="Generated photo-like test image"
+            width={1920}
+            height={1280}
+            sizes="100vw"
+            priority
+            style={{ width: '100%', height: 'auto' }}
+          />
+
+          <h2>Fixed-Width PNG</h2>
+          <Image
+            src="/images/gradient.png"
+            alt="Generated gradient test image"
+            width={600}
+            height={400}
+            quality={90}
+          />
+
+          <p className={styles.note}>
+            ✅ If both images load, next/image optimization is working on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className={styles.backLink}>
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
+
+export default ImagesTest
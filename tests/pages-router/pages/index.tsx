@@ -41,6 +41,26 @@ const Home: NextPage = () => {
             <h2>API Test &rarr;</h2>
             <p>Test API routes functionality</p>
           </Link>
+
+          <Link href="/images" className={styles.card}>
+            <h2>Images Test &rarr;</h2>
+            <p>next/image optimization with sharp</p>
+          </Link>
+
+          <Link href="/isr" className={styles.card}>
+            <h2>ISR Test &rarr;</h2>
+            <p>getStaticProps with revalidate</p>
+          </Link>
+
+          <Link href="/posts/hello-riscv64" className={styles.card}>
+            <h2>Dynamic Routes &rarr;</h2>
+            <p>[slug] pages from getStaticPaths</p>
+          </Link>
+
+          <Link href="/font" className={styles.card}>
+            <h2>Font Test &rarr;</h2>
+            <p>Self-hosted font with next/font/local</p>
+          </Link>
         </div>
 
         <div className={styles.info}>
@@ -0,0 +1,64 @@
+import type { GetStaticProps, NextPage } from 'next'
+import Head from 'next/head'
+import Link from 'next/link'
+import styles from '../styles/Home.module.css'
+
+interface Props {
+  timestamp: string
+  arch: string
+}
+
+const ISRTest: NextPage<Props> = ({ timestamp, arch }) => {
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>ISR Test - Next.js on riscv64</title>
+      </Head>
+
+      <main className={styles.main}>
+        <h1 className={styles.title}>Incremental Static Regeneration (ISR) Test</h1>
+
+        <div className={styles.description}>
+          <p>
+            This page is generated at build time, and <code>revalidate: 5</code> makes the
+            server regenerate it in the background once it is older than 5 seconds.
+          </p>
+
+          <h2>Generation Information</h2>
+          <table>
+            <tbody>
+              <tr>
+                <td><strong>Generated At:</strong></td>
+                <td>{timestamp}</td>
+              </tr>
+              <tr>
+                <td><strong>Architecture:</strong></td>
+                <td>{arch}</td>
+              </tr>
+            </tbody>
+          </table>
+
+          <p className={styles.note}>
+            ✅ Reload after 5 seconds: a newer timestamp means ISR is working on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className={styles.backLink}>
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
+
+export const getStaticProps: GetStaticProps<Props> = async () => {
+  return {
+    props: {
+      timestamp: new Date().toISOString(),
+      arch: process.arch,
+    },
+    revalidate: 5,
+  }
+}
+
+export default ISRTest
@@ -0,0 +1,70 @@
+import type { GetStaticPaths, GetStaticProps, NextPage } from 'next'
+import Head from 'next/head'
+import Link from 'next/link'
+import styles from '../../styles/Home.module.css'
+import { getPost, posts } from '../../lib/posts'
+import type { Post } from '../../lib/posts'
+
+interface Props {
+  post: Post
+  others: Post[]
+}
+
+const PostPage: NextPage<Props> = ({ post, others }) => {
+  return (
+    <div className={styles.container}>
+      <Head>
+        <title>{`${post.title} - Next.js on riscv64`}</title>
+      </Head>
+
+      <main className={styles.main}>
+        <h1 className={styles.title}>{post.title}</h1>
+
+        <div className={styles.description}>
+          <p>{post.body}</p>
+
+          <p>
+            Other posts:{' '}
+            {others.map((other) => (
+              <Link key={other.slug} href={`/posts/${other.slug}`}>
+                {other.title}
+              </Link>
+            ))}
+          </p>
+
+          <p className={styles.note}>
+            ✅ If you see this post, dynamic routes with getStaticPaths are working on riscv64!
+          </p>
+        </div>
+
+        <Link href="/" className={styles.backLink}>
+          &larr; Back to Home
+        </Link>
+      </main>
+    </div>
+  )
+}
+
+// Only the listed slugs exist, anything else is a 404
+export const getStaticPaths: GetStaticPaths = async () => {
+  return {
+    paths: posts.map((post) => ({ params: { slug: post.slug } })),
+    fallback: false,
+  }
+}
+
+export const getStaticProps: GetStaticProps<Props> = async ({ params }) => {
+  const post = getPost(String(params?.slug))
+  if (!post) {
+    return { notFound: true }
+  }
+
+  return {
+    props: {
+      post,
+      others: posts.filter((other) => other.slug !== post.slug),
+    },
+  }
+}
+
+export default PostPage